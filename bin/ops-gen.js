@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+'use strict';
+const cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2), { stdout: process.stdout, stderr: process.stderr }, (exitCode) => {
+  process.exitCode = exitCode;
+});
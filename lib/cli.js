@@ -0,0 +1,195 @@
+'use strict';
+const async = require('async');
+const fs = require('fs');
+const glob = require('glob');
+const lodash = require('lodash');
+const generator = require('./generator');
+
+const USAGE = `Usage: ops-gen [options] <spec files or globs...>
+
+Generates TensorFlow kernels, declaration headers and Python wrappers from the operation spec files.
+
+Options:
+  -o, --out-dir <dir>  write the output files to <dir> instead of the directory of each spec file
+  --config <file>      read the project-wide includes, namespace and usingDirectives from the JSON <file>
+  --stdout             print the output files instead of writing them
+  --dry-run            print the paths of the output files instead of writing them
+  --kernel-only        generate the C++ files only
+  --python-only        generate the Python wrappers only
+  --check              check whether the output files are up to date, print the diff of the stale ones
+  --verify             verify the function declared in {{srcFile}}.hpp of each operation against the spec
+  -h, --help           print this message`;
+
+/**
+ * Parses the command line arguments.
+ *
+ * @example
+ * // returns { patterns: ['ops/*.json'], outDir: 'build', config: undefined, stdout: false, dryRun: false,
+ * //           kernelOnly: false, pythonOnly: false, check: false, verify: false, help: false }
+ * parseArgs(['-o', 'build', 'ops/*.json']);
+ *
+ * @param {array} argv The command line arguments without node and the script path.
+ * @return {object} The parsed options.
+ */
+function parseArgs(argv) {
+  let options = {
+    patterns: [],
+    outDir: undefined,
+    config: undefined,
+    stdout: false,
+    dryRun: false,
+    kernelOnly: false,
+    pythonOnly: false,
+    check: false,
+    verify: false,
+    help: false
+  };
+  const flags = {
+    '--stdout': 'stdout',
+    '--dry-run': 'dryRun',
+    '--kernel-only': 'kernelOnly',
+    '--python-only': 'pythonOnly',
+    '--check': 'check',
+    '--verify': 'verify',
+    '-h': 'help',
+    '--help': 'help'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags[arg]) {
+      options[flags[arg]] = true;
+    } else if (arg === '-o' || arg === '--out-dir') {
+      if (i + 1 >= argv.length) { throw new Error(`Invalid arguments: missing directory after ${arg}`); }
+      options.outDir = argv[++i];
+    } else if (/^--out-dir=/.test(arg)) {
+      options.outDir = arg.slice('--out-dir='.length);
+    } else if (arg === '--config') {
+      if (i + 1 >= argv.length) { throw new Error(`Invalid arguments: missing file after ${arg}`); }
+      options.config = argv[++i];
+    } else if (/^--config=/.test(arg)) {
+      options.config = arg.slice('--config='.length);
+    } else if (/^-/.test(arg)) {
+      throw new Error(`Invalid arguments: unknown option ${arg}`);
+    } else {
+      options.patterns.push(arg);
+    }
+  }
+
+  if (options.kernelOnly && options.pythonOnly) {
+    throw new Error('Invalid arguments: --kernel-only and --python-only can not be used together');
+  }
+  ['stdout', 'dryRun', 'verify'].forEach((mode) => {
+    if (options.check && options[mode]) {
+      throw new Error(`Invalid arguments: --check and --${lodash.kebabCase(mode)} can not be used together`);
+    }
+  });
+  if (!options.help && options.patterns.length === 0) {
+    throw new Error('Invalid arguments: no spec file given');
+  }
+
+  return options;
+}
+
+/**
+ * Expands the globs to the list of spec files. The patterns which match nothing are kept as they
+ * are, so that missing files can be reported.
+ *
+ * @param {array} patterns The spec files or globs.
+ * @return {array} The spec files, without duplicates.
+ */
+function expandPatterns(patterns) {
+  return lodash.uniq(lodash.flatten(patterns.map((pattern) => {
+    const files = glob.hasMagic(pattern) ? glob.sync(pattern, { nodir: true }) : [];
+    return files.length > 0 ? files.sort() : [ pattern ];
+  })));
+}
+
+/**
+ * Runs the ops-gen command.
+ *
+ * Every spec file is processed even if some of them fail, the errors are printed to stderr with the
+ * spec file path.
+ *
+ * @param {array} argv The command line arguments without node and the script path.
+ * @param {object} io The output streams, { stdout, stderr }.
+ * @param {function} callback The callback, callback(exitCode).
+ */
+function run(argv, io, callback) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    io.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return callback(1);
+  }
+  if (options.help) {
+    io.stdout.write(`${USAGE}\n`);
+    return callback(0);
+  }
+  let config;
+  if (options.config) {
+    try {
+      config = JSON.parse(fs.readFileSync(options.config, 'utf8'));
+    } catch (err) {
+      io.stderr.write(`${options.config}: ${err.message}\n`);
+      return callback(1);
+    }
+  }
+
+  const files = expandPatterns(options.patterns);
+  let failed = false;
+
+  async.eachSeries(files, (file, callback) => {
+    const done = (err) => {
+      if (err) {
+        failed = true;
+        io.stderr.write(`${file}: ${err.message}\n`);
+      }
+      callback();
+    };
+
+    const renderOptions = {
+      outDir: options.outDir,
+      dryRun: options.stdout || options.dryRun,
+      kernelOnly: options.kernelOnly,
+      pythonOnly: options.pythonOnly,
+      config
+    };
+
+    if (options.verify) {
+      return generator.verify(file, done);
+    }
+    if (options.check) {
+      return generator.check(file, renderOptions, (err, staleFiles) => {
+        if (err) { return done(err); }
+        staleFiles.forEach((staleFile) => {
+          io.stdout.write(staleFile.diff);
+          io.stderr.write(`${staleFile.path} is out of date with ${file}\n`);
+        });
+        failed = failed || staleFiles.length > 0;
+        done();
+      });
+    }
+
+    generator.render(file, renderOptions, (err, outputs) => {
+      if (err) { return done(err); }
+      outputs.forEach((output) => {
+        if (options.stdout) {
+          io.stdout.write(`==> ${output.path} <==\n${output.contents}\n\n`);
+        } else {
+          io.stdout.write(`${options.dryRun ? 'would write' : 'wrote'} ${output.path}\n`);
+        }
+      });
+      done();
+    });
+  }, () => {
+    callback(failed ? 1 : 0);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  expandPatterns,
+  run
+};
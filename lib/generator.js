@@ -3,10 +3,13 @@ const Mustache = require('mustache');
 const lodash = require('lodash');
 const changeCase = require('change-case');
 const async = require('async');
+const jsdiff = require('diff');
 const parser = require('./shape');
 const utils = require('./utils');
 const types = require('./types');
 const template = require('./template');
+const validator = require('./validator');
+const verifier = require('./verifier');
 const fs = require('fs');
 const path = require('path');
 
@@ -23,7 +26,16 @@ const cvVar         = '{{name}}_cv';
 const dimVar        = '{{name}}_dims_';
 const dimSizeInVar  = '{{name}}_in_dims_sz_';
 const dimSizeOutVar = '{{name}}_out_dims_sz_';
+const channelVar    = '{{name}}_channel';
+const lengthsVar    = '{{name}}_lengths_';
+const lengthVar     = '{{name}}_in_len_';
 const cvShapeVar    = '{{name}}_cv_shape';
+const shapeVar      = '{{name}}_shape';
+
+/**
+ * Define the C++ namespace of the functions which the kernels call, unless the spec gives another.
+ */
+const DEFAULT_NAMESPACE = 'pv';
 
 
 function ascendingId(a, b) {
@@ -38,26 +50,202 @@ function capitalAndCamel(str) {
   return changeCase.upperCaseFirst(changeCase.camelCase(str));
 }
 
+/**
+ * Gets the C++ type of the data cell described by the parsed data descriptor, which is the template
+ * parameter of the kernel if the data descriptor refers to a type variable.
+ *
+ * @param {object} dataDtor The parsed data descriptor.
+ * @return {string} The C++ type, e.g. 'uint8_t' for CV_8UC3, or 'T' for CV_TC3.
+ */
+function cppType(dataDtor) {
+  if (dataDtor.typeVar) {
+    return dataDtor.typeVar;
+  }
+  return dataDtor.format === 'cv' ? types.cvToStd(dataDtor.dtype) : dataDtor.dtype;
+}
+
+/**
+ * Gets the C++ type of the tensor elements described by the parsed data descriptor, which is
+ * different from cppType() for half and quantized types.
+ *
+ * @param {object} dataDtor The parsed data descriptor.
+ * @param {string} [tensorType] The tensorflow type overriding the one of the data descriptor.
+ * @return {string} The C++ type, e.g. 'Eigen::half' for CV_16FC3, or 'quint8' for tensor type quint8.
+ */
+function tensorCppType(dataDtor, tensorType) {
+  if (tensorType) {
+    return types.tfToCpp(tensorType);
+  }
+  if (dataDtor.typeVar) {
+    return dataDtor.typeVar;
+  }
+  return dataDtor.format === 'cv' ? types.tfToCpp(types.cvToTf(dataDtor.dtype)) : types.stdToTensorCpp(dataDtor.dtype);
+}
+
+/**
+ * Converts an element expression between the C++ types of tensor and OpenCV.
+ *
+ * @example
+ * // returns 'cv::float16_t(static_cast<float>(a_in_data(0)))'
+ * castElement('a_in_data(0)', 'Eigen::half', 'cv::float16_t');
+ *
+ * @param {string} expr The element expression.
+ * @param {string} fromType The C++ type of the expression.
+ * @param {string} toType The C++ type to be converted to.
+ * @return {string} The converted expression, or the expression itself if the types are the same.
+ */
+function castElement(expr, fromType, toType) {
+  if (fromType === toType) {
+    return expr;
+  }
+  // Eigen::half and cv::float16_t can only be converted from and to float.
+  if (fromType === 'Eigen::half' || toType === 'Eigen::half') {
+    return `${toType}(static_cast<float>(${expr}))`;
+  }
+  return `static_cast<${toType}>(${expr})`;
+}
+
+/**
+ * Generates the assignments between the fields of a geometry object and the elements of the last
+ * tensor dimension.
+ *
+ * @example
+ * // returns 'a_cv.x = a_in_data(0);\na_cv.y = a_in_data(1);'
+ * copyGeometryFields(parser.parseDataDtor('Point2f'), 'a_cv', (idx) => { return `a_in_data(${idx})`; }, 'float', true);
+ *
+ * @param {object} dataDtor The parsed data descriptor of the geometry type.
+ * @param {string} cvExpr The expression of the geometry object.
+ * @param {function} dataExprFn The function returns the expression of the tensor element of a field index.
+ * @param {string} tensorDtype The C++ type of the tensor elements.
+ * @param {boolean} toCv Whether to copy from the tensor to the geometry object, or the reverse.
+ * @return {string} The assignments.
+ */
+function copyGeometryFields(dataDtor, cvExpr, dataExprFn, tensorDtype, toCv) {
+  return dataDtor.fields.map((field, idx) => {
+    if (toCv) {
+      return `${cvExpr}${field.accessor} = ${castElement(dataExprFn(idx), tensorDtype, field.dtype)};`;
+    }
+    return `${dataExprFn(idx)} = ${castElement(`${cvExpr}${field.accessor}`, field.dtype, tensorDtype)};`;
+  }).join('\n');
+}
+
+/**
+ * Generates the copying statements of all the channels of a data cell. The statements are unrolled
+ * for the channel numbers which have Vec typedefs, otherwise the channels are copied by a loop.
+ *
+ * @example
+ * // returns 'a_cv.at<Vec<float, 2>>(i)[0] = a_in_data(i, 0);\na_cv.at<Vec<float, 2>>(i)[1] = a_in_data(i, 1);'
+ * copyChannels(2, (idx) => { return `a_cv.at<Vec<float, 2>>(i)[${idx}] = a_in_data(i, ${idx});`; });
+ *
+ * @param {number} channels The channel number.
+ * @param {function} copyFn The function returns the copying statement of a channel index expression.
+ * @return {string} The copying statements.
+ */
+function copyChannels(channels, copyFn) {
+  if (channels <= 4) {
+    return lodash.range(channels).map(copyFn).join('\n');
+  }
+  return `for (int ${channelVar} = 0; ${channelVar} < ${channels}; ${channelVar}++) {
+  ${copyFn(channelVar)}
+}`;
+}
+
+/**
+ * Lists the lengths tensors of an input or output, one for each ragged layer of its shape, see
+ * parser.getRaggedLayers(). The lengths tensors are registered right after the tensor, each one has
+ * the shape of the dimensions before its layer, and holds the vector lengths of the layer.
+ *
+ * @example
+ * // returns [{ name: 'points_lengths_1', layer: 1 }]
+ * lengthsTensors({ name: 'points', lengths: true, pShape: parser.parseShape(['vector:none', 'vector:none', 'Point2f']) });
+ *
+ * @param {object} obj The parsed input, output or inputoutput.
+ * @return {array} The lengths tensors, each one is an object of { name, layer }.
+ */
+function lengthsTensors(obj) {
+  if (!obj.lengths) {
+    return [];
+  }
+  return parser.getRaggedLayers(obj.pShape).map((layer) => {
+    return { name: `${obj.name}_lengths_${layer}`, layer };
+  });
+}
+
+/**
+ * Lists the lengths tensors of an output, see lengthsTensors(). The lengths of inputoutputs are the
+ * inputs, so only the outputs have lengths outputs.
+ *
+ * @param {object} opsMeta The parsed operations metadata.
+ * @param {object} obj The parsed output or inputoutput.
+ * @return {array} The lengths tensors, each one is an object of { name, layer }.
+ */
+function outputLengths(opsMeta, obj) {
+  if (!opsMeta.outputs || opsMeta.outputs.indexOf(obj) === -1) {
+    return [];
+  }
+  return lengthsTensors(obj);
+}
+
+/**
+ * Lists the kernels to be registered for the type attributes, one for each combination of types.
+ *
+ * @example
+ * // returns [{ constraints: '.TypeConstraint<float>("T")', templateArgus: '<float>' },
+ * //          { constraints: '.TypeConstraint<double>("T")', templateArgus: '<double>' }]
+ * kernelTypeCombinations([{ name: 'T', types: ['float32', 'float64'] }]);
+ *
+ * @param {array} typeAttrs The parsed type attributes, each one is an object of { name, types }.
+ * @return {array} The kernels, each one is an object of { constraints, templateArgus }.
+ */
+function kernelTypeCombinations(typeAttrs) {
+  if (!typeAttrs || typeAttrs.length === 0) {
+    return [{ constraints: '', templateArgus: '' }];
+  }
+  const combinations = typeAttrs.reduce((combinations, typeAttr) => {
+    return lodash.flatten(combinations.map((combination) => {
+      return typeAttr.types.map((type) => {
+        return combination.concat({ name: typeAttr.name, cppType: types.tfToCpp(type) });
+      });
+    }));
+  }, [[]]);
+  return combinations.map((combination) => {
+    return {
+      constraints: combination.map((item) => { return `.TypeConstraint<${item.cppType}>("${item.name}")`; }).join(''),
+      templateArgus: `<${combination.map((item) => { return item.cppType; }).join(', ')}>`
+    };
+  });
+}
+
+const registerTypeAttrFn = function() {
+  return `.Attr("${this.name}: {${this.types.map(types.tfToAttr).join(', ')}}")`;
+};
+
 const registerOpInput = function(opsMeta) {
   let result = [];
   if (opsMeta && opsMeta.inputs) {
     result = result.concat(opsMeta.inputs);
   }
   if (opsMeta && opsMeta.inputoutputs) {
-    result = result.concat(opsMeta.inputoutputs.map((obj) => {
-      return Object.assign({}, obj, { name: `${obj.name}_in` });
-    }));
+    result = result.concat(opsMeta.inputoutputs);
   }
   result.sort(ascendingId);
-  return result.map((obj) => {
+  return result.reduce((registered, obj) => {
     let type = undefined;
-    if (obj.typeFormat === 'cv') {
+    if (obj.tensorType) {
+      type = obj.tensorType;
+    } else if (obj.typeVar) {
+      type = obj.typeVar;
+    } else if (obj.typeFormat === 'cv') {
       type = types.cvToTf(obj.dtype);
-    } else if (obj.typeFormat === 'std') {
+    } else if (obj.typeFormat === 'std' || obj.typeFormat === 'geo') {
       type = types.stdToTf(obj.dtype);
     }
-    return { name: obj.name, type };
-  });
+    // The inputs of inputoutputs are renamed, since the outputs have the same names.
+    const isInputOutput = Boolean(opsMeta.inputoutputs) && opsMeta.inputoutputs.indexOf(obj) > -1;
+    return registered.concat({ name: isInputOutput ? `${obj.name}_in` : obj.name, type }, lengthsTensors(obj).map((item) => {
+      return { name: item.name, type: 'int32' };
+    }));
+  }, []);
 };
 
 const registerOpInputFn = function() {
@@ -73,15 +261,21 @@ const registerOpOutput = function(opsMeta) {
     result = result.concat(opsMeta.inputoutputs);
   }
   result.sort(ascendingId);
-  return result.map((obj) => {
+  return result.reduce((registered, obj) => {
     let type = undefined;
-    if (obj.typeFormat === 'cv') {
+    if (obj.tensorType) {
+      type = obj.tensorType;
+    } else if (obj.typeVar) {
+      type = obj.typeVar;
+    } else if (obj.typeFormat === 'cv') {
       type = types.cvToTf(obj.dtype);
-    } else if (obj.typeFormat === 'std') {
+    } else if (obj.typeFormat === 'std' || obj.typeFormat === 'geo') {
       type = types.stdToTf(obj.dtype);
     }
-    return { name: obj.name, type };
-  });
+    return registered.concat({ name: obj.name, type }, outputLengths(opsMeta, obj).map((item) => {
+      return { name: item.name, type: 'int32' };
+    }));
+  }, []);
 };
 
 const registerOpOutputFn = function() {
@@ -95,21 +289,174 @@ const opAttributes = function(opsMeta) {
   }
   result.sort(ascendingId);
   return result.map((obj) => {
-    return { name: obj.name, type: obj.type, defaultVal: obj.defaultVal };
+    let attr = { name: obj.name, type: obj.type, defaultVal: obj.defaultVal };
+    if (obj.minimum !== undefined) { attr.minimum = obj.minimum; }
+    if (obj.minLength !== undefined) { attr.minLength = obj.minLength; }
+    if (obj.allowedValues) { attr.allowedValues = obj.allowedValues; }
+    if (obj.as) { attr.as = obj.as; }
+    if (obj.qualified) { attr.qualified = true; }
+    return attr;
   });
 };
 
 const registerOpAttrFn = function() {
-  const type = this.defaultVal ? `${this.type} = ${this.defaultVal}` : `${this.type}`;
+  let type = this.allowedValues ? `{${this.allowedValues.map((value) => { return `'${value}'`; }).join(', ')}}` :
+                                  `${this.type}`;
+  if (this.minimum !== undefined) { type = `${type} >= ${this.minimum}`; }
+  if (this.minLength !== undefined) { type = `${type} >= ${this.minLength}`; }
+  type = this.defaultVal ? `${type} = ${attrDefaultLiteral(this)}` : type;
   return `.Attr("${lowerAndSnake(this.name)}: ${type}")`;
 };
 
+/**
+ * Spells the default value of the attribute in the C++ string literal of the registration, where
+ * the strings are single-quoted, e.g. 'nearest' for "nearest". The quotes left in the strings are
+ * escaped.
+ *
+ * @param {object} attr The attribute, { type, defaultVal }.
+ * @return {string} The default value.
+ */
+function attrDefaultLiteral(attr) {
+  if (attr.type !== 'string' && attr.type !== 'list(string)') {
+    return attr.defaultVal;
+  }
+  return attr.defaultVal
+    .replace(/"([^"']*)"/g, '\'$1\'')
+    .replace(/["\\]/g, '\\$&');
+}
+
 const getAttributesFn = function() {
-  return `OP_REQUIRES_OK(context, context->GetAttr("${lowerAndSnake(this.name)}", &${this.name}_));`;
+  const attrName = lowerAndSnake(this.name);
+  const memberVar = `${this.name}_`;
+  let stmts = [`OP_REQUIRES_OK(context, context->GetAttr("${attrName}", &${memberVar}));`];
+
+  // TensorFlow checks the constraints when the graph is built, and the kernel checks them again in
+  // case the kernel is created from a graph built by another registration.
+  if (this.minimum !== undefined) {
+    stmts.push(`OP_REQUIRES(context, ${memberVar} >= ${this.minimum},
+            errors::InvalidArgument("${attrName} must be >= ${this.minimum}, but got ", ${memberVar}));`);
+  }
+  if (this.minLength !== undefined) {
+    stmts.push(`OP_REQUIRES(context, ${memberVar}.size() >= ${this.minLength},
+            errors::InvalidArgument("${attrName} must have at least ${this.minLength} elements, but got ",
+            ${memberVar}.size()));`);
+  }
+  if (this.allowedValues) {
+    const condition = this.allowedValues.map((value) => { return `${memberVar} == "${value}"`; }).join(' || ');
+    const valueList = this.allowedValues.map((value) => { return `'${value}'`; }).join(', ');
+    stmts.push(`OP_REQUIRES(context, ${condition},
+            errors::InvalidArgument("${attrName} must be one of ${valueList}, but got ", ${memberVar}));`);
+  }
+
+  switch (this.as) {
+    case 'Size':
+      stmts.push(`OP_REQUIRES(context, ${memberVar}.size() == 2,
+            errors::InvalidArgument("${attrName} must have 2 elements to be converted to Size, but got ",
+            ${memberVar}.size()));
+${this.name}_cv_ = ${attrCvType(this)}(${memberVar}[0], ${memberVar}[1]);`);
+      break;
+    case 'Scalar':
+      stmts.push(`OP_REQUIRES(context, ${memberVar}.size() >= 1 && ${memberVar}.size() <= 4,
+            errors::InvalidArgument("${attrName} must have 1 to 4 elements to be converted to Scalar, but got ",
+            ${memberVar}.size()));
+for (size_t i = 0; i < ${memberVar}.size(); i++) {
+  ${this.name}_cv_[i] = ${memberVar}[i];
+}`);
+      break;
+  }
+
+  return stmts.join('\n');
 };
 
 const declareAttributesFn = function() {
-  return `${this.type}      ${this.name}_;`;
+  const declaration = `${attrCType(this.type, this.qualified)}      ${this.name}_;`;
+  return this.as ? `${declaration}\n${attrCvType(this)}      ${this.name}_cv_;` : declaration;
+};
+
+/**
+ * Gets the C++ type of the attribute type, e.g. 'vector<int>' for 'list(int)'.
+ *
+ * @param {string} type The attribute type parsed by utils.parseAttrType().
+ * @param {boolean} [qualified=false] Whether to qualify the names of std, see qualifyType().
+ * @return {string} The C++ type.
+ */
+function attrCType(type, qualified) {
+  const listFormat = /^list\((.*)\)$/.exec(type);
+  const cType = listFormat ? `vector<${listFormat[1]}>` : type;
+  return qualified ? qualifyType(cType) : cType;
+}
+
+/**
+ * Gets the OpenCV type which the list attribute is converted to, e.g. 'Size2f' for a 'list(float)'
+ * attribute with "as": "Size".
+ *
+ * @param {object} attr The attribute, { type, as, qualified }.
+ * @return {string} The OpenCV type.
+ */
+function attrCvType(attr) {
+  let cvType = attr.as;
+  if (attr.as === 'Size') {
+    cvType = attr.type === 'list(float)' ? 'Size2f' : 'Size';
+  }
+  return attr.qualified ? qualifyType(cvType) : cvType;
+}
+
+/**
+ * Lists the inputs checked by the shape function, in the same order as they are registered.
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata.
+ * @returns {array} The list of inputs, see computeInput().
+ */
+const shapeFnInputs = function(parsedOpsMeta) {
+  return computeInput(parsedOpsMeta);
+};
+
+/**
+ * Generates the checks of an input in the shape function, so that the shape errors are reported when
+ * the graph is built: the rank, the static dimension sizes and the channel number of the input, and
+ * the dimensions with the same symbol are merged. The ranks of the lengths tensors are checked too.
+ */
+const checkShapeFnInputFn = function() {
+  const inShapeVar = Mustache.render(shapeVar, { name: this.name });
+  let stmts = [
+    `shape_inference::ShapeHandle ${inShapeVar};`,
+    `TF_RETURN_IF_ERROR(c->WithRank(c->input(${this.regIdx}), ${this.pShape.tfRank}, &${inShapeVar}));`
+  ];
+
+  staticDimSizes(this.pShape).forEach((item) => {
+    const dimHandleVar = `${inShapeVar}_dim_${item.dimIdx}`;
+    stmts.push(`shape_inference::DimensionHandle ${dimHandleVar};`,
+               `TF_RETURN_IF_ERROR(c->WithValue(c->Dim(${inShapeVar}, ${item.dimIdx}), ${item.size}, &${dimHandleVar}));`);
+  });
+
+  this.pShape.dimDtorArr.forEach((dimDtor, dimIdx) => {
+    const ref = dimDtor.ref;
+    if (!ref) {
+      return;
+    }
+    // The first dimension with the symbol declares it, and the others are merged into it.
+    const symbolVar = symbolDimVar(dimDtor.symbol);
+    if (ref.name === this.name && ref.dimIdx === dimIdx) {
+      stmts.push(`shape_inference::DimensionHandle ${symbolVar} = c->Dim(${inShapeVar}, ${dimIdx});`);
+    } else {
+      stmts.push(`TF_RETURN_IF_ERROR(c->Merge(${symbolVar}, c->Dim(${inShapeVar}, ${dimIdx}), &${symbolVar}));`);
+    }
+  });
+
+  (this.lengths || []).forEach((item) => {
+    const lengthsShapeVar = Mustache.render(shapeVar, { name: item.name });
+    stmts.push(`shape_inference::ShapeHandle ${lengthsShapeVar};`,
+               `TF_RETURN_IF_ERROR(c->WithRank(c->input(${item.regIdx}), ${item.layer}, &${lengthsShapeVar}));`);
+  });
+
+  return stmts.join('\n');
+};
+
+/**
+ * Gets the variable name of the dimension handle of a symbol in the shape function, e.g. 'H_dim'.
+ */
+function symbolDimVar(symbol) {
+  return `${symbol}_dim`;
 }
 
 const registerOpShape = function(opsMeta) {
@@ -121,32 +468,45 @@ const registerOpShape = function(opsMeta) {
     result = result.concat(opsMeta.inputoutputs);
   }
   result.sort(ascendingId);
-  return result.map((obj, index) => {
-    return { regIdx: index, pShape: obj.pShape };
-  });
+  return result.reduce((registered, obj) => {
+    registered = registered.concat({ regIdx: registered.length, pShape: obj.pShape });
+    return registered.concat(outputLengths(opsMeta, obj).map((item, index) => {
+      return { regIdx: registered.length + index, pShape: obj.pShape, lengthsLayer: item.layer };
+    }));
+  }, []);
 };
 
 const registerOpShapeFn = function() {
   const tfRank = this.pShape.tfRank;
+  const regIdx = this.regIdx;
+  // The statements computing the dimension expressions go before setting the output shape.
+  let stmts = [];
   let shapeStr;
-  if (tfRank === 0) {
+  if (this.lengthsLayer !== undefined) {
+    // The lengths tensor has the dimensions before its layer.
+    const dims = this.pShape.dimDtorArr.slice(0, this.lengthsLayer).map(getDim);
+    shapeStr = dims.length === 1 ? `c->Vector(${dims[0]})` : `c->MakeShape({ ${dims.join(', ')} })`;
+  }
+  else if (tfRank === 0) {
     shapeStr = `c->Scalar()`;
   }
   else if (tfRank === 1) {
-    shapeStr = `c->Vector(${getDim(this.pShape.dimDtorArr[0])})`;
+    // A single geometry object has only the dimension of its fields, eg. [ Rect ].
+    shapeStr = `c->Vector(${this.pShape.cvRank === 0 ? this.pShape.dataDtor.channels : getDim(this.pShape.dimDtorArr[0])})`;
   }
   else if (tfRank === 2) {
     // There two possible different shapes can have the same tfrank (>=2), which are:
     //  1. Two dimensional descriptors with a single channel data descriptor, eg. [ none, none, CV_64F ]
     //  2. One dimentional descriptor with a multichannel data descriptor, eg. [ none, CV_64FC3 ]
     // We need to figure out which one is the case.
+    const firstDim = getDim(this.pShape.dimDtorArr[0]);
     let secDim;
     if (this.pShape.dataDtor.channels === 1) {
       secDim = getDim(this.pShape.dimDtorArr[1]);
     } else {
       secDim = this.pShape.dataDtor.channels;
     }
-    shapeStr = `c->Matrix(${getDim(this.pShape.dimDtorArr[0])}, ${secDim})`;
+    shapeStr = `c->Matrix(${firstDim}, ${secDim})`;
   }
   else if (tfRank >= 3) {
     const argus = this.pShape.dimDtorArr.map((elem) => {
@@ -158,11 +518,86 @@ const registerOpShapeFn = function() {
       shapeStr = `c->MakeShape({ ${argus}, ${this.pShape.dataDtor.channels} })`;
     }
   }
-  return `c->set_output(${this.regIdx}, ${shapeStr});`;
+  return stmts.concat(`c->set_output(${this.regIdx}, ${shapeStr});`).join('\n');
 
   function getDim(dimDtor) {
+    if (dimDtor.expr) {
+      return shapeFnDimExpr(dimDtor.expr);
+    }
+    if (dimDtor.ref) {
+      // The symbolic dimension has the size of the input dimensions merged by checkShapeFnInputFn().
+      return symbolDimVar(dimDtor.symbol);
+    }
     return dimDtor.dims === 'none' ? 'InferenceContext::kUnknownDim' : parseInt(dimDtor.dims);
   }
+
+  /**
+   * Generates the dimension of an expression, each binary operation is computed into a temporary
+   * dimension handle.
+   *
+   * @param {object} node The node of the parsed dimension expression.
+   * @returns {string} Returns the dimension or constant string.
+   * @example
+   *
+   * // expression of output 0: dim(src, 1) / 2, src is input 0
+   * shapeFnDimExpr(node);
+   * // => 'output_0_dim_0', after pushing the statements:
+   * // shape_inference::DimensionHandle output_0_dim_0;
+   * // TF_RETURN_IF_ERROR(c->Divide(c->Dim(c->input(0), 1), 2, false, &output_0_dim_0));
+   */
+  function shapeFnDimExpr(node) {
+    switch (node.op) {
+      case 'const':
+        return `${node.value}`;
+      case 'attr':
+        return `${node.name}_`;
+      case 'dim':
+        return `c->Dim(c->input(${node.regIdx}), ${node.dimIdx})`;
+    }
+    const first = node.left.op === 'dim' || node.left.left ?
+                  shapeFnDimExpr(node.left) : `c->MakeDim(${shapeFnDimExpr(node.left)})`;
+    const second = shapeFnDimExpr(node.right);
+    const dimVar = `output_${regIdx}_dim_${stmts.length / 2}`;
+    const call = {
+      '+': `Add(${first}, ${second}, &${dimVar})`,
+      '-': `Subtract(${first}, ${second}, &${dimVar})`,
+      '*': `Multiply(${first}, ${second}, &${dimVar})`,
+      '/': `Divide(${first}, ${second}, false, &${dimVar})`
+    }[node.op];
+    stmts.push(`shape_inference::DimensionHandle ${dimVar};`, `TF_RETURN_IF_ERROR(c->${call});`);
+    return dimVar;
+  }
+};
+
+/**
+ * Lists the int attributes used by the dimension expressions of the outputs, which are read by the
+ * shape function.
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata.
+ * @returns {array} The list of attributes, { name, type, qualified }.
+ */
+const shapeFnAttributes = function(parsedOpsMeta) {
+  let names = [];
+  (parsedOpsMeta.outputs || []).forEach((output) => {
+    output.pShape.dimDtorArr.forEach((dimDtor) => {
+      if (!dimDtor.expr) { return; }
+      parser.dimExprNodes(dimDtor.expr).forEach((node) => {
+        if (node.op === 'attr' && names.indexOf(node.name) === -1) {
+          names.push(node.name);
+        }
+      });
+    });
+  });
+  return opAttributes(parsedOpsMeta).filter((attr) => {
+    return names.indexOf(attr.name) > -1;
+  }).map((attr) => {
+    return attr.qualified ? { name: attr.name, type: attr.type, qualified: true } : { name: attr.name, type: attr.type };
+  });
+};
+
+const getShapeFnAttrFn = function() {
+  return `${attrCType(this.type, this.qualified)} ${this.name}_;
+TF_RETURN_IF_ERROR(c->GetAttr("${lowerAndSnake(this.name)}", &${this.name}_));`;
 };
 
 const computeInput = function(opsMeta) {
@@ -174,8 +609,28 @@ const computeInput = function(opsMeta) {
     result = result.concat(opsMeta.inputoutputs);
   }
   result.sort(ascendingId);
-  return result.map((obj, index) => {
-    return { regIdx: index, name: obj.name, shape: obj.shape, pShape: obj.pShape };
+  // The lengths tensors take the indices after their inputs.
+  let regIdx = 0;
+  return result.map((obj) => {
+    let input = {
+      regIdx: regIdx++,
+      name: obj.name,
+      shape: obj.shape,
+      pShape: obj.pShape,
+      zeroCopy: Boolean(obj.zeroCopy),
+      // The CV variables of inputoutputs will be modified by the function.
+      mutable: Boolean(opsMeta.inputoutputs) && opsMeta.inputoutputs.indexOf(obj) > -1
+    };
+    if (obj.tensorType) {
+      input.tensorType = obj.tensorType;
+    }
+    const lengths = lengthsTensors(obj);
+    if (lengths.length > 0) {
+      input.lengths = lengths.map((item) => {
+        return Object.assign({ regIdx: regIdx++ }, item);
+      });
+    }
+    return input;
   });
 };
 
@@ -187,18 +642,26 @@ const computeInputFn = function() {
               {{tensorInVar}}.shape().DebugString()));
   auto {{dataInVar}} = {{tensorInVar}}.tensor<{{tensorDtype}}, {{tensorInRank}}>();
   {{{decTfDimSize}}}
+  {{{checkStaticDims}}}
+  {{{checkDimSymbols}}}
+  {{{readLengths}}}
   {{{cvtTensorToCv}}}
   `;
+  const tensorDtype = tensorCppType(this.pShape.dataDtor, this.tensorType);
+  const cvDtype = cppType(this.pShape.dataDtor);
+  const raggedLayers = (this.lengths ? this.lengths : []).map((item) => { return item.layer; });
   const view = {
     name: this.name,
     regIdx: this.regIdx,
     tensorInRank: this.pShape.tfRank,
     tensorInVar: Mustache.render(tensorInVar, { name: this.name }),
     dataInVar: Mustache.render(dataInVar, { name: this.name }),
-    tensorDtype: this.pShape.dataDtor.format === 'cv' ? types.cvToStd(this.pShape.dataDtor.dtype) :
-                                                        this.pShape.dataDtor.dtype,
+    tensorDtype,
     decTfDimSize: Mustache.render(declareTfDimSize(this.pShape.tfRank), { name: this.name }),
-    cvtTensorToCv: Mustache.render(convertTensorToCvByShape(this.pShape), { name: this.name })
+    checkStaticDims: Mustache.render(checkStaticDims(this.name, this.pShape), { name: this.name }),
+    checkDimSymbols: Mustache.render(checkDimSymbols(this.name, this.pShape, dimSizeInVar, `${tensorInVar}.shape().DebugString()`), { name: this.name }),
+    readLengths: Mustache.render(readLengths(this.lengths ? this.lengths : []), { name: this.name }),
+    cvtTensorToCv: Mustache.render(convertTensorToCvByShape(this.pShape, this.zeroCopy, this.mutable), { name: this.name })
   }
   return Mustache.render(template, view);
 
@@ -208,16 +671,59 @@ const computeInputFn = function() {
     }).join('\n');
   }
 
+  /**
+   * Generates the code reading the lengths tensors, which must have the shape of the dimensions
+   * before their layers.
+   *
+   * @param {array} lengths The lengths tensors of the input, see lengthsTensors().
+   * @returns {string} Returns the reading code string.
+   * @example
+   *
+   * // input shape: [ vector:none, vector:none, int ], with lengths
+   * readLengths([{ name: 'a_lengths_1', layer: 1, regIdx: 1 }]);
+   * // =>
+   * // const Tensor& a_lengths_1_in = context->input(1);
+   * // OP_REQUIRES(context, a_lengths_1_in.shape() == TensorShape({ a_in_dims_sz_0 }),
+   * //             errors::InvalidArgument("a_lengths_1 must have shape ",
+   * //             TensorShape({ a_in_dims_sz_0 }).DebugString(), ", but got ",
+   * //             a_lengths_1_in.shape().DebugString()));
+   * // auto a_lengths_1_in_data = a_lengths_1_in.tensor<int32, 1>();
+   */
+  function readLengths(lengths) {
+    return lengths.map((item) => {
+      const tensorVar = `${lengthsVar}${item.layer}_in`;
+      const shapeStr = `TensorShape({ ${utils.expandArgus(dimSizeInVar, item.layer)} })`;
+      return `const Tensor& ${tensorVar} = context->input(${item.regIdx});
+  OP_REQUIRES(context, ${tensorVar}.shape() == ${shapeStr},
+              errors::InvalidArgument("${item.name} must have shape ",
+              ${shapeStr}.DebugString(), ", but got ",
+              ${tensorVar}.shape().DebugString()));
+  auto ${tensorVar}_data = ${tensorVar}.tensor<int32, ${item.layer}>();`;
+    }).join('\n');
+  }
+
   /**
    * Generates convertion code, given the parsed CV shape object, for copying data from a tensor to a
    * CV data structure.
    *
+   * In zero-copy mode, a Mat object is created as a header of the tensor buffer instead of copying
+   * data from the tensor. It is only supported for the shape of MAT type with Mat ctype, the other
+   * shapes fall back to copying.
+   *
    * @param {array} pShape The parsed shape object specifiying an n-dimentional CV array shape.
+   * @param {boolean} [zeroCopy=false] Whether to wrap the tensor buffer instead of copying.
+   * @param {boolean} [mutable=false] Whether the CV data structure will be modified, the wrapped
+   *                                  buffer will be cloned since tensor inputs are immutable.
    * @returns {string} Returns the convertion code string.
    * @example
    *
+   * // input shape: [ none, none, CV_8UC3 ], zero-copy mode
+   * convertTensorToCvByShape(pShape, true);
+   * // =>
+   * // const int a_cv_shape[] = { a_in_dims_sz_0, a_in_dims_sz_1 };
+   * // Mat a_cv(2, a_cv_shape, CV_8UC3, const_cast<uint8_t*>(a_in.flat<uint8_t>().data()));
    */
-  function convertTensorToCvByShape(pShape) {
+  function convertTensorToCvByShape(pShape, zeroCopy, mutable) {
     const dataDtor = pShape.dataDtor;
     const cvRank = pShape.cvRank;
 
@@ -225,7 +731,11 @@ const computeInputFn = function() {
     switch (pShape.type) {
       case parser.SCALAR:
         declareStr = `${pShape.varDecStr} ${cvVar};`;
-        loopStr = `${cvVar} = ${dataInVar}(0);`;
+        if (dataDtor.format === 'geo') {
+          loopStr = copyGeometryFields(dataDtor, cvVar, (idx) => { return `${dataInVar}(${idx})`; }, tensorDtype, true);
+        } else {
+          loopStr = `${cvVar} = ${castElement(`${dataInVar}(0)`, tensorDtype, cvDtype)};`;
+        }
         break;
       case parser.VEC_OF_PRIM:
         declareStr = `${pShape.varDecStr} ${cvVar};`;
@@ -243,10 +753,19 @@ const computeInputFn = function() {
         loopStr = `${loopVecOfMat(0, pShape.vecDims, pShape.matDims, pShape.varMatDecStr, dataDtor)}`;
         break;
       case parser.MAT:
-        const matDtype = dataDtor.format === 'cv' ? dataDtor.toString() : types.stdToCv(dataDtor.toString());
+        const matDtype = dataDtor.toString();
         if (pShape.dataDtor.ctype === 'Matx' ||
             pShape.dataDtor.ctype === 'Vec') {
           declareStr = `${pShape.varDecStr} ${cvVar};`;
+        } else if (zeroCopy) {
+          // The tensor buffer is continuous and in row-major order with interleaved channels, which
+          // is exactly the memory layout of a continuous Mat.
+          const matArgus = `${cvRank}, ${cvShapeVar}, ${matDtype}, const_cast<${tensorDtype}*>(${tensorInVar}.flat<${tensorDtype}>().data())`;
+          declareStr = `const int ${cvShapeVar}[] = { ${utils.expandArgus(dimSizeInVar, cvRank)} };
+          ${mutable ? `${pShape.varDecStr} ${cvVar} = ${pShape.varDecStr}(${matArgus}).clone();` :
+                      `${pShape.varDecStr} ${cvVar}(${matArgus});`}`;
+          loopStr = '';
+          break;
         } else {
           declareStr = `const int ${cvShapeVar}[] = { ${utils.expandArgus(dimSizeInVar, cvRank)} };
           ${pShape.varDecStr} ${cvVar}(${cvRank}, ${cvShapeVar}, ${matDtype});`;
@@ -274,7 +793,6 @@ const computeInputFn = function() {
      * // for (int a_dims_0 = 0; a_dims_0 < a_dims_size_0; a_dims_0++) {
      * //   a_cv[a_dims_0].resize(a_dims_size_1);
      * //   for (int a_dims_1 = 0; a_dims_1 < a_dims_size_1; a_dims_1++) {
-     * //     if (isnan(a_data(a_dims_0, a_dims_1))) { break; }
      * //     a_cv[a_dims_0][a_dims_1] = a_data(a_dims_0, a_dims_1);
      * //   }
      * // }
@@ -290,11 +808,12 @@ const computeInputFn = function() {
      */
     function loopVecOfPrim(start, end) {
       if (start === end) {
-        let guardStr = '';
-        if (end > 1) {
-          guardStr = `if (isnan(${dataInVar}(${utils.expandArgus(dimVar, end)}))) { break; }`;
+        if (dataDtor.format === 'geo') {
+          return `${copyGeometryFields(dataDtor, `${cvVar}${utils.expandArrayAccessor(dimVar, end)}`, (idx) => {
+          return `${dataInVar}(${utils.expandArgus(dimVar, end)}, ${idx})`;
+        }, tensorDtype, true)}`;
         }
-        const data = `${dataInVar}(${utils.expandArgus(dimVar, end)})`;
+        const data = castElement(`${dataInVar}(${utils.expandArgus(dimVar, end)})`, tensorDtype, cvDtype);
         // XXX:
         // Because we already used "resize()" to allocate memory space in the vector, so
         // we should use assignment (by "=") instead of attachment (by "push_back()") to
@@ -309,14 +828,10 @@ const computeInputFn = function() {
         //   vec.push_back(i);
         // }
         // std::cout << vec.size() << std::endl; // 20
-        return `${guardStr}
-        ${cvVar}${utils.expandArrayAccessor(dimVar, end)} = ${data};`;
+        return `${cvVar}${utils.expandArrayAccessor(dimVar, end)} = ${data};`;
       }
 
-      return `${resizeVector(start)}
-      for (int ${dimVar + start} = 0; ${dimVar + start} < ${dimSizeInVar + start}; ${dimVar + start}++) {
-        ${loopVecOfPrim(++start, end)}
-      }`;
+      return loopVector(start, loopVecOfPrim(start + 1, end));
     }
 
     /**
@@ -352,11 +867,6 @@ const computeInputFn = function() {
      */
     function loopVecOfMat(start, vecDims, matDims, varMatDecStr, dataDtor) {
       if (start === vecDims) {
-        let guardStr = '';
-        if (vecDims > 1) {
-          const paddingZeros = matDims + (dataDtor.channels > 1 ? 1 : 0);
-          guardStr = `if (isnan(${dataInVar}(${utils.expandArgus(dimVar, vecDims) + ', 0'.repeat(paddingZeros)}))) { break; }`;
-        }
         const tmpVar = 'mat';
         const tmpVarMatDecArguStr = dataDtor.ctype === 'Mat' ? `(${matDims}, ${cvShapeVar}, ${dataDtor.toString()})` : '';
         const tmpVarMatDecStr = `${varMatDecStr} ${tmpVar}${tmpVarMatDecArguStr}`;
@@ -374,16 +884,12 @@ const computeInputFn = function() {
         //   vec.push_back(i);
         // }
         // std::cout << vec.size() << std::endl; // 20
-        return `${guardStr}
-        ${tmpVarMatDecStr};
+        return `${tmpVarMatDecStr};
         ${loopMat(vecDims, matDims + vecDims, dataDtor, vecDims, tmpVar)}
         ${cvVar}${utils.expandArrayAccessor(dimVar, vecDims)} = ${tmpVar};`;
       }
 
-      return `${resizeVector(start)}
-      for (int ${dimVar + start} = 0; ${dimVar + start} < ${dimSizeInVar + start}; ${dimVar + start}++) {
-        ${loopVecOfMat(++start, vecDims, matDims, varMatDecStr, dataDtor)}
-      }`;
+      return loopVector(start, loopVecOfMat(start + 1, vecDims, matDims, varMatDecStr, dataDtor));
     }
 
     /**
@@ -429,11 +935,13 @@ const computeInputFn = function() {
         const cvArgus = utils.expandArgus(`${dimVar}`, cvStartOffset, end);
         const dataArgus = utils.expandArgus(`${dimVar}`, end);
         if (dataDtor.channels === 1) {
-          return `${newCvVar ? newCvVar : cvVar}${dataDtor.accessor(cvArgus)} = ${dataInVar}(${dataArgus});`;
+          const data = castElement(`${dataInVar}(${dataArgus})`, tensorDtype, cvDtype);
+          return `${newCvVar ? newCvVar : cvVar}${dataDtor.accessor(cvArgus)} = ${data};`;
         } else if (dataDtor.channels > 1) {
-          return lodash.range(dataDtor.channels).map((channelIdx) => {
-            return `${newCvVar ? newCvVar : cvVar}${dataDtor.accessor(cvArgus)}[${channelIdx}] = ${dataInVar}(${dataArgus}, ${channelIdx});`;
-          }).join('\n');
+          return copyChannels(dataDtor.channels, (channelIdx) => {
+            const data = castElement(`${dataInVar}(${dataArgus}, ${channelIdx})`, tensorDtype, cvDtype);
+            return `${newCvVar ? newCvVar : cvVar}${dataDtor.accessor(cvArgus)}[${channelIdx}] = ${data};`;
+          });
         } else {
           throw new Error(`Invalid channel number: ${dataDtor.channels}`);
         }
@@ -445,25 +953,211 @@ const computeInputFn = function() {
     }
 
     /**
-     * Generates a statement that resize a specific layer of multi-layer vector.
+     * Generates a loop over a specific layer of multi-layer vector, which resizes the vector first.
+     *
+     * The vectors of a ragged layer are resized to the lengths read from the lengths tensor, the
+     * padding elements of the tensor are skipped.
      *
      * @param {number} layer The layer index of the vector.
-     * @returns {string} Returns the resized vector string.
+     * @param {string} bodyStr The loop body.
+     * @returns {string} Returns the loop string.
      * @example
      *
-     * resizeVector(2);
+     * loopVector(1, 'a_cv[a_dims_0][a_dims_1] = a_in_data(a_dims_0, a_dims_1);');
+     * // =>
+     * // a_cv[a_dims_0].resize(a_in_dims_sz_1);
+     * // for (int a_dims_1 = 0; a_dims_1 < a_in_dims_sz_1; a_dims_1++) {
+     * //   a_cv[a_dims_0][a_dims_1] = a_in_data(a_dims_0, a_dims_1);
+     * // }
+     *
+     * // the layer is ragged
+     * loopVector(1, 'a_cv[a_dims_0][a_dims_1] = a_in_data(a_dims_0, a_dims_1);');
      * // =>
-     * // a_cv[a_dims_0][a_dims_1].resize(a_dims_size_2);
+     * // const int32 a_in_len_1 = a_lengths_1_in_data(a_dims_0);
+     * // OP_REQUIRES(context, a_in_len_1 >= 0 && a_in_len_1 <= a_in_dims_sz_1,
+     * //             errors::InvalidArgument("a_lengths_1 must be between 0 and ", a_in_dims_sz_1,
+     * //             ", but got ", a_in_len_1));
+     * // a_cv[a_dims_0].resize(a_in_len_1);
+     * // for (int a_dims_1 = 0; a_dims_1 < a_in_len_1; a_dims_1++) {
+     * //   a_cv[a_dims_0][a_dims_1] = a_in_data(a_dims_0, a_dims_1);
+     * // }
      */
-    function resizeVector(layer) {
-      return `${cvVar}${utils.expandArrayAccessor(dimVar, layer)}.resize(${dimSizeInVar + layer});`;
+    function loopVector(layer, bodyStr) {
+      let sizeStr = dimSizeInVar + layer;
+      let readLengthStr = '';
+      if (raggedLayers.indexOf(layer) > -1) {
+        sizeStr = lengthVar + layer;
+        readLengthStr = `const int32 ${sizeStr} = ${lengthsVar}${layer}_in_data(${utils.expandArgus(dimVar, layer)});
+      OP_REQUIRES(context, ${sizeStr} >= 0 && ${sizeStr} <= ${dimSizeInVar + layer},
+                  errors::InvalidArgument("${nameVar}_lengths_${layer} must be between 0 and ", ${dimSizeInVar + layer},
+                  ", but got ", ${sizeStr}));
+      `;
+      }
+      return `${readLengthStr}${cvVar}${utils.expandArrayAccessor(dimVar, layer)}.resize(${sizeStr});
+      for (int ${dimVar + layer} = 0; ${dimVar + layer} < ${sizeStr}; ${dimVar + layer}++) {
+        ${bodyStr}
+      }`;
     }
   }
 };
 
+/**
+ * Describes the expected tensor shape of a parsed shape object, used in error messages.
+ *
+ * @param {object} pShape The parsed shape object.
+ * @returns {string} Returns the shape description.
+ * @example
+ *
+ * describeTfShape(parseShape([ 'H', 'none', CV_8UC3 ]));
+ * // => '[H, ?, 3]'
+ */
+function describeTfShape(pShape) {
+  let dims = pShape.dimDtorArr.map((dimDtor) => {
+    if (dimDtor.symbol) { return dimDtor.symbol; }
+    return dimDtor.dims === 'none' ? '?' : dimDtor.dims;
+  });
+  if (pShape.tfRank > pShape.cvRank) {
+    dims.push(pShape.dataDtor.channels);
+  }
+  return `[${dims.join(', ')}]`;
+}
+
+/**
+ * Lists the tensor dimensions with static sizes, including the channel dimension.
+ *
+ * @param {object} pShape The parsed shape object.
+ * @returns {array} The list of { dimIdx, size }.
+ * @example
+ *
+ * staticDimSizes(parseShape([ none, 3, CV_8UC2 ]));
+ * // => [ { dimIdx: 1, size: 3 }, { dimIdx: 2, size: 2 } ]
+ */
+function staticDimSizes(pShape) {
+  let result = [];
+  pShape.dimDtorArr.forEach((dimDtor, dimIdx) => {
+    if (dimDtor.dims !== 'none') {
+      result.push({ dimIdx, size: parseInt(dimDtor.dims) });
+    }
+  });
+  if (pShape.tfRank > pShape.cvRank) {
+    // The last dimension of a multichannel tensor is the channel dimension.
+    result.push({ dimIdx: pShape.cvRank, size: pShape.dataDtor.channels });
+  }
+  return result;
+}
+
+/**
+ * Generates runtime checks for the static dimension sizes and the channel number of an input tensor.
+ *
+ * @param {string} name The name of the tensor.
+ * @param {object} pShape The parsed shape object of the tensor.
+ * @returns {string} Returns the checking code string.
+ * @example
+ *
+ * // input shape of a: [ none, 3, CV_8UC2 ]
+ * checkStaticDims('a', pShape);
+ * // =>
+ * // OP_REQUIRES(context, {{name}}_in_dims_sz_1 == 3,
+ * //             errors::InvalidArgument("a must have shape [?, 3, 2], but got ",
+ * //             {{name}}_in.shape().DebugString()));
+ * // OP_REQUIRES(context, {{name}}_in_dims_sz_2 == 2,
+ * // ...
+ */
+function checkStaticDims(name, pShape) {
+  const shapeStr = describeTfShape(pShape);
+  return staticDimSizes(pShape).map((item) => {
+    return `OP_REQUIRES(context, ${dimSizeInVar}${item.dimIdx} == ${item.size},
+              errors::InvalidArgument("${name} must have shape ${shapeStr}, but got ",
+              ${tensorInVar}.shape().DebugString()));`;
+  }).join('\n');
+}
+
+/**
+ * Generates runtime checks for the symbolic dimensions of a tensor, each symbolic dimension must
+ * have the same size as the input dimension it refers to.
+ *
+ * @param {string} name The name of the tensor.
+ * @param {object} pShape The parsed shape object of the tensor, its symbolic dimensions should be
+ *                        resolved by resolveDimSymbols().
+ * @param {string} dimSizeTemp The template of the dimension size variable names of the tensor.
+ * @param {string} [shapeStrTemp] The template of the expression for printing the actual shape of the
+ *                                tensor in the error message. Prints the dimension size if omitted.
+ * @returns {string} Returns the checking code string.
+ * @example
+ *
+ * // input shape of b: [ H, W, CV_8U ], with H and W refer to the first two dimensions of input a
+ * checkDimSymbols('b', pShape, '{{name}}_in_dims_sz_', '{{name}}_in.shape().DebugString()');
+ * // =>
+ * // OP_REQUIRES(context, {{name}}_in_dims_sz_0 == a_in_dims_sz_0,
+ * //             errors::InvalidArgument("Dimension 0 (H) of b must be equal to dimension 0 of a, but got ",
+ * //             {{name}}_in.shape().DebugString(), " and ", a_in.shape().DebugString()));
+ * // OP_REQUIRES(context, {{name}}_in_dims_sz_1 == a_in_dims_sz_1,
+ * // ...
+ */
+function checkDimSymbols(name, pShape, dimSizeTemp, shapeStrTemp) {
+  return pShape.dimDtorArr.map((dimDtor, dimIdx) => {
+    const ref = dimDtor.ref;
+    if (!ref || (ref.name === name && ref.dimIdx === dimIdx)) {
+      return '';
+    }
+    const refDimSizeVar = Mustache.render(dimSizeInVar, { name: ref.name });
+    const refTensorVar = Mustache.render(tensorInVar, { name: ref.name });
+    const actualStr = shapeStrTemp ? shapeStrTemp : `${dimSizeTemp}${dimIdx}`;
+    return `OP_REQUIRES(context, ${dimSizeTemp}${dimIdx} == ${refDimSizeVar}${ref.dimIdx},
+              errors::InvalidArgument("Dimension ${dimIdx} (${dimDtor.symbol}) of ${name} must be equal to dimension ${ref.dimIdx} of ${ref.name}, but got ",
+              ${actualStr}, " and ", ${refTensorVar}.shape().DebugString()));`;
+  }).filter((str) => { return str.length > 0; }).join('\n');
+}
+
+/**
+ * Generates runtime checks for the dimension expressions of an output, the size of the returned
+ * data must match the one reported by the shape function.
+ *
+ * @param {string} name The name of the output.
+ * @param {object} pShape The parsed shape object of the output.
+ * @returns {string} Returns the checking code string.
+ * @example
+ *
+ * // output shape of b: [ dim(a, 0) / 2, CV_8U ]
+ * checkDimExprs('b', pShape);
+ * // =>
+ * // OP_REQUIRES(context, {{name}}_out_dims_sz_0 == a_in_dims_sz_0 / 2,
+ * //             errors::InvalidArgument("Dimension 0 of b must be dim(a, 0) / 2 = ", a_in_dims_sz_0 / 2,
+ * //             ", but got ", {{name}}_out_dims_sz_0));
+ */
+function checkDimExprs(name, pShape) {
+  return pShape.dimDtorArr.map((dimDtor, dimIdx) => {
+    if (!dimDtor.expr) {
+      return '';
+    }
+    const exprStr = renderDimExpr(dimDtor.expr, (node) => {
+      return node.op === 'dim' ? `dim(${node.name}, ${node.dimIdx})` : `attr:${node.name}`;
+    });
+    const sizeStr = renderDimExpr(dimDtor.expr, (node) => {
+      return node.op === 'dim' ? `${Mustache.render(dimSizeInVar, { name: node.name })}${node.dimIdx}` : `${node.name}_`;
+    });
+    return `OP_REQUIRES(context, ${dimSizeOutVar}${dimIdx} == ${sizeStr},
+              errors::InvalidArgument("Dimension ${dimIdx} of ${name} must be ${exprStr} = ", ${sizeStr},
+              ", but got ", ${dimSizeOutVar}${dimIdx}));`;
+  }).filter((str) => { return str.length > 0; }).join('\n');
+
+  function renderDimExpr(node, renderRef) {
+    if (node.op === 'const') {
+      return `${node.value}`;
+    }
+    if (!node.left) {
+      return renderRef(node);
+    }
+    const operand = (child) => { return child.left ? `(${renderDimExpr(child, renderRef)})` : renderDimExpr(child, renderRef); };
+    return `${operand(node.left)} ${node.op} ${operand(node.right)}`;
+  }
+}
+
 const computeExecute = function(opsMeta) {
   let result = {};
-  result.fnName = opsMeta.fnName;
+  // The function is called by its qualified name if its namespace is not used by the kernel.
+  result.fnName = opsMeta.usingDirectives || !opsMeta.namespace || opsMeta.fnName.indexOf('::') !== -1 ?
+    opsMeta.fnName : `${opsMeta.namespace}::${opsMeta.fnName}`;
   if (opsMeta.inputs) {
     result.inputs = opsMeta.inputs.map((obj) => {
       return { id: obj.id, name: obj.name };
@@ -471,7 +1165,12 @@ const computeExecute = function(opsMeta) {
   }
   if (opsMeta.outputs) {
     result.outputs = opsMeta.outputs.map((obj) => {
-      return { id: obj.id, name: obj.name, pShape: obj.pShape };
+      let output = { id: obj.id, name: obj.name, pShape: obj.pShape };
+      if (obj.return) {
+        // The output is assigned the return value of the function instead of being passed to it.
+        output.isReturn = true;
+      }
+      return output;
     });
   }
   if (opsMeta.inputoutputs) {
@@ -480,21 +1179,39 @@ const computeExecute = function(opsMeta) {
     });
   }
   if (opsMeta.attributes) {
+    // The attributes converted to OpenCV types are passed as the converted ones.
     result.attributes = opsMeta.attributes.map((obj) => {
-      return { id: obj.id, name: obj.name };
+      return { id: obj.id, name: obj.as ? `${obj.name}_cv` : obj.name };
+    });
+  }
+  if (opsMeta.call) {
+    result.callArgus = opsMeta.call.map((arg) => {
+      return arg.ref ? kernelVarOf(arg.ref) : arg.expr.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        return kernelVarOf(name);
+      });
     });
   }
   return result;
+
+  function kernelVarOf(name) {
+    const attr = (opsMeta.attributes || []).find((obj) => { return obj.name === name; });
+    if (attr) {
+      return attr.as ? `${name}_cv_` : `${name}_`;
+    }
+    return `${name}_cv`;
+  }
 };
 
 const computeExecuteFn = function() {
   let declareOutputStr = '';
   let argus = [];
+  let returned;
 
   if (this.inputs) { argus = argus.concat(addPostfixToName(this.inputs, '_cv')); }
   if (this.outputs) {
     const outputs = addPostfixToName(this.outputs, '_cv');
-    argus = argus.concat(outputs);
+    returned = outputs.find((item) => { return item.isReturn; });
+    argus = argus.concat(outputs.filter((item) => { return !item.isReturn; }));
     outputs.forEach((item) => {
       declareOutputStr += `${item.pShape.varDecStr} ${item.name};\n`;
     });
@@ -507,9 +1224,11 @@ const computeExecuteFn = function() {
   if (this.attributes) { argus = argus.concat(addPostfixToName(this.attributes, '_')); }
 
   argus.sort(ascendingId);
+  // The arguments listed by the call field are passed in the given order.
+  const argusStr = this.callArgus ? this.callArgus.join(', ') : argus.map((item) => { return item.name; }).join(', ');
 
   return `${declareOutputStr}
-  ${this.fnName}(${argus.map((item) => { return item.name; }).join(', ')});`;
+  ${returned ? `${returned.name} = ` : ''}${this.fnName}(${argusStr});`;
 
   function addPostfixToName(arr, postfix) {
     return arr.map((item) => {
@@ -528,8 +1247,23 @@ const computeOutput = function(opsMeta) {
     result = result.concat(opsMeta.inputoutputs);
   }
   result.sort(ascendingId);
-  return result.map((obj, index) => {
-    return { regIdx: index, name: obj.name, shape: obj.shape, pShape: obj.pShape };
+  // The lengths tensors take the indices after their outputs.
+  let regIdx = 0;
+  return result.map((obj) => {
+    let output = { regIdx: regIdx++, name: obj.name, shape: obj.shape, pShape: obj.pShape, zeroCopy: Boolean(obj.zeroCopy) };
+    if (obj.tensorType) {
+      output.tensorType = obj.tensorType;
+    }
+    if (obj.padding !== undefined) {
+      output.padding = obj.padding;
+    }
+    const lengths = outputLengths(opsMeta, obj);
+    if (lengths.length > 0) {
+      output.lengths = lengths.map((item) => {
+        return Object.assign({ regIdx: regIdx++ }, item);
+      });
+    }
+    return output;
   });
 };
 
@@ -538,11 +1272,22 @@ const computeOutputFn = function() {
 
   const template = `
   {{{decCvDimSize}}}
+  {{{checkDimSymbols}}}
+  {{{checkDimExprs}}}
   Tensor *{{tensorOutVar}};
   OP_REQUIRES_OK(context, context->allocate_output({{regIdx}}, TensorShape({ {{tfShapeArgus}} }), &{{tensorOutVar}}));
   auto {{dataOutVar}} = {{tensorOutVar}}->tensor<{{tensorDtype}}, {{tensorOutRank}}>();
+  {{{fillPadding}}}
   {{{cvtCvToTensor}}}
+  {{{writeLengths}}}
   `;
+  const tensorDtype = tensorCppType(this.pShape.dataDtor, this.tensorType);
+  const cvDtype = cppType(this.pShape.dataDtor);
+  // The vectors of different lengths, and the Mats of different sizes in vectors, are copied to the
+  // tensor padded to the longest ones.
+  const padded = this.pShape.vecDims > 1 ||
+                 (this.pShape.type === parser.VEC_OF_MAT && this.pShape.dataDtor.ctype === 'Mat');
+  const padding = castElement(String(this.padding !== undefined ? this.padding : 0), 'double', tensorDtype);
   const view = {
     name: this.name,
     regIdx: this.regIdx,
@@ -550,90 +1295,217 @@ const computeOutputFn = function() {
     tensorOutVar: Mustache.render(tensorOutVar, { name: this.name }),
     dataOutVar: Mustache.render(dataOutVar, { name: this.name }),
     tfShapeArgus: Mustache.render(tfShapeArgus, { name: this.name }),
-    tensorDtype: this.pShape.dataDtor.format === 'cv' ? types.cvToStd(this.pShape.dataDtor.dtype) :
-                                                        this.pShape.dataDtor.dtype,
+    tensorDtype,
     decCvDimSize: Mustache.render(declareCvDimSize(this.pShape), { name: this.name }),
-    cvtCvToTensor: Mustache.render(convertCvToTensorByShape(this.pShape), { name: this.name })
+    checkDimSymbols: Mustache.render(checkDimSymbols(this.name, this.pShape, dimSizeOutVar), { name: this.name }),
+    checkDimExprs: Mustache.render(checkDimExprs(this.name, this.pShape), { name: this.name }),
+    fillPadding: padded ? Mustache.render(`${dataOutVar}.setConstant(${padding});`, { name: this.name }) : '',
+    cvtCvToTensor: Mustache.render(convertCvToTensorByShape(this.pShape, this.zeroCopy), { name: this.name }),
+    writeLengths: Mustache.render(writeLengths(this.lengths ? this.lengths : []), { name: this.name })
   };
-  const computeOutputStr = Mustache.render(template, view);
+  return Mustache.render(template, view);
 
-  if (this.pShape.vecDims > 0) {
-    return utils.genIfElse(
-      Mustache.render(`${cvVar}.size() == 0`, { name: this.name }),
-      `OP_REQUIRES_OK(context, context->allocate_output(${this.regIdx}, TensorShape({ 0 }), NULL));`,
-      computeOutputStr
-    );
-  } else {
-    return computeOutputStr
+  /**
+   * Generates the size expression of a specific layer of multi-layer vector.
+   *
+   * @param {number} layer The layer index of the vector.
+   * @returns {string} Returns the size expression string.
+   * @example
+   *
+   * vectorSize(2);
+   * // => 'static_cast<int32>(a_cv[a_dims_0][a_dims_1].size())'
+   */
+  function vectorSize(layer) {
+    return layer === 0 ? `${dimSizeOutVar}0` :
+                         `static_cast<int32>(${cvVar}${utils.expandArrayAccessor(dimVar, layer)}.size())`;
   }
 
   /**
    * Declares dimension size variables.
    *
+   * The sizes of the inner vector layers and the Mats in vectors are the longest ones, which are
+   * found by the loops over all the vectors, and the channels of vectors are the ones of the data
+   * descriptor, so that the sizes are not read from the empty vectors. The static sizes of them are
+   * the declared ones, the shorter vectors and smaller Mats are padded, and the longer or larger
+   * ones are rejected. The other static sizes have to be the declared ones.
+   *
    * Example:
    *
-   *  [ vector:none, 3, 3, CV_64FC2 ]
+   *  [ vector:none, 3, none, CV_64FC2 ]
    *  vecDims: 1
    *  matDims: 2
    *
-   *  const int32 a_dims_size_0 = static_cast<int32>(a_cv.size());
-   *  const int32 a_dims_size_1 = static_cast<int32>(a_cv[0].size[0]);
-   *  const int32 a_dims_size_2 = static_cast<int32>(a_cv[0].size[1]);
-   *  const int32 a_dims_size_3 = static_cast<int32>(a_cv[0].channels());
-   *
-   * XXX: Note: If the shape type is vector of something, we treat all the vectors as fixed
-   *            length, so we only check the size of the first element for each vector layer.
+   *  const int32 a_out_dims_sz_0 = static_cast<int32>(a_cv.size());
+   *  const int32 a_out_dims_sz_1 = 3;
+   *  int32 a_out_dims_sz_2 = 0;
+   *  const int32 a_out_dims_sz_3 = 2;
+   *  for (int a_dims_0 = 0; a_dims_0 < a_out_dims_sz_0; a_dims_0++) {
+   *    if (!a_cv[a_dims_0].empty()) {
+   *      OP_REQUIRES(context, a_cv[a_dims_0].size[0] <= 3,
+   *                  errors::InvalidArgument("Dimension 1 of a must be at most 3, but got ", a_cv[a_dims_0].size[0]));
+   *      a_out_dims_sz_2 = std::max(a_out_dims_sz_2, a_cv[a_dims_0].size[1]);
+   *    }
+   *  }
    */
   function declareCvDimSize(pShape) {
     const vecDims = pShape.vecDims;
     const matDims = pShape.matDims;
+    const isMat = pShape.dataDtor.ctype === 'Mat';
+    const staticSize = (dimIdx) => {
+      const dims = pShape.dimDtorArr[dimIdx].dims;
+      return dims === 'none' ? undefined : parseInt(dims);
+    };
     let outStr = '', idx = 0, i;
 
     for (i = 0; i < vecDims; i++) {
-      outStr += `const int32 ${dimSizeOutVar + idx} = static_cast<int32>(${cvVar}${expand(i)}.size());\n`;
+      if (i === 0) {
+        outStr += `const int32 ${dimSizeOutVar + idx} = static_cast<int32>(${cvVar}.size());\n`;
+        outStr += checkStaticSize(idx);
+      } else if (staticSize(idx) !== undefined) {
+        outStr += `const int32 ${dimSizeOutVar + idx} = ${staticSize(idx)};\n`;
+      } else {
+        outStr += `int32 ${dimSizeOutVar + idx} = 0;\n`;
+      }
       idx++;
     }
 
-    if (pShape.dataDtor.ctype === 'Mat') {
-      for (i = 0; i < matDims; i++) {
-        outStr += `const int32 ${dimSizeOutVar + idx} = static_cast<int32>(${cvVar}${expand(vecDims)}.size[${i}]);\n`;
-        idx++;
-      }
-    } else {
-      for (i = 0; i < matDims; i++) {
+    for (i = 0; i < matDims; i++) {
+      if (!isMat) {
         outStr += `const int32 ${dimSizeOutVar + idx} = ${pShape.matDimDtorArr[i].dims};\n`;
-        idx++;
+      } else if (vecDims === 0) {
+        outStr += `const int32 ${dimSizeOutVar + idx} = static_cast<int32>(${cvVar}.size[${i}]);\n`;
+        outStr += checkStaticSize(idx);
+      } else if (staticSize(idx) !== undefined) {
+        outStr += `const int32 ${dimSizeOutVar + idx} = ${staticSize(idx)};\n`;
+      } else {
+        outStr += `int32 ${dimSizeOutVar + idx} = 0;\n`;
       }
+      idx++;
+    }
+
+    if (pShape.dataDtor.format === 'geo' || (vecDims > 0 && pShape.dataDtor.channels > 1)) {
+      outStr += `const int32 ${dimSizeOutVar + idx} = ${pShape.dataDtor.channels};\n`;
+    } else if (pShape.dataDtor.channels > 1) {
+      outStr += `const int32 ${dimSizeOutVar + idx} = static_cast<int32>(${cvVar}.channels());\n`;
     }
 
-    if (pShape.dataDtor.channels > 1) {
-      outStr += `const int32 ${dimSizeOutVar + idx} = static_cast<int32>(${cvVar}${expand(vecDims)}.channels());\n`;
+    if (padded) {
+      outStr += findLongest(0);
     }
 
     return outStr;
 
-    function expand(length) {
-      return lodash.range(length).map(() => { return '[0]'; }).join('');
+    function checkStaticSize(dimIdx) {
+      if (staticSize(dimIdx) === undefined) {
+        return '';
+      }
+      return `OP_REQUIRES(context, ${dimSizeOutVar + dimIdx} == ${staticSize(dimIdx)},
+            errors::InvalidArgument("Dimension ${dimIdx} of ${nameVar} must be ${staticSize(dimIdx)}, but got ", ${dimSizeOutVar + dimIdx}));\n`;
+    }
+
+    function updateLongest(dimIdx, sizeStr) {
+      if (staticSize(dimIdx) === undefined) {
+        return `${dimSizeOutVar + dimIdx} = std::max(${dimSizeOutVar + dimIdx}, ${sizeStr});`;
+      }
+      return `OP_REQUIRES(context, ${sizeStr} <= ${staticSize(dimIdx)},
+                  errors::InvalidArgument("Dimension ${dimIdx} of ${nameVar} must be at most ${staticSize(dimIdx)}, but got ", ${sizeStr}));`;
+    }
+
+    function findLongest(layer) {
+      const elemStr = `${cvVar}${utils.expandArrayAccessor(dimVar, layer + 1)}`;
+      let bodyStr;
+      if (layer + 1 < vecDims) {
+        bodyStr = `${updateLongest(layer + 1, vectorSize(layer + 1))}
+      ${findLongest(layer + 1)}`;
+      } else if (isMat && matDims > 0) {
+        bodyStr = `if (!${elemStr}.empty()) {
+        ${lodash.range(matDims).map((i) => { return updateLongest(vecDims + i, `${elemStr}.size[${i}]`); }).join('\n')}
+      }`;
+      } else {
+        return '';
+      }
+      return `for (int ${dimVar + layer} = 0; ${dimVar + layer} < ${vectorSize(layer)}; ${dimVar + layer}++) {
+      ${bodyStr}
+      }`;
     }
   }
 
+  /**
+   * Generates the code writing the lengths tensors, which hold the vector lengths of the ragged
+   * layers, and zeros for the padded vectors.
+   *
+   * @param {array} lengths The lengths tensors of the output, see lengthsTensors().
+   * @returns {string} Returns the writing code string.
+   * @example
+   *
+   * // output shape: [ vector:none, vector:none, int ], with lengths
+   * writeLengths([{ name: 'a_lengths_1', layer: 1, regIdx: 1 }]);
+   * // =>
+   * // Tensor *a_lengths_1_out;
+   * // OP_REQUIRES_OK(context, context->allocate_output(1, TensorShape({ a_out_dims_sz_0 }), &a_lengths_1_out));
+   * // auto a_lengths_1_out_data = a_lengths_1_out->tensor<int32, 1>();
+   * // a_lengths_1_out_data.setZero();
+   * // for (int a_dims_0 = 0; a_dims_0 < a_out_dims_sz_0; a_dims_0++) {
+   * //   a_lengths_1_out_data(a_dims_0) = static_cast<int32>(a_cv[a_dims_0].size());
+   * // }
+   */
+  function writeLengths(lengths) {
+    return lengths.map((item) => {
+      const tensorVar = `${lengthsVar}${item.layer}_out`;
+      return `Tensor *${tensorVar};
+  OP_REQUIRES_OK(context, context->allocate_output(${item.regIdx}, TensorShape({ ${utils.expandArgus(dimSizeOutVar, item.layer)} }), &${tensorVar}));
+  auto ${tensorVar}_data = ${tensorVar}->tensor<int32, ${item.layer}>();
+  ${tensorVar}_data.setZero();
+  ${loopLengths(0)}`;
+
+      function loopLengths(layer) {
+        if (layer === item.layer) {
+          return `${tensorVar}_data(${utils.expandArgus(dimVar, layer)}) = ${vectorSize(layer)};`;
+        }
+        return `for (int ${dimVar + layer} = 0; ${dimVar + layer} < ${vectorSize(layer)}; ${dimVar + layer}++) {
+    ${loopLengths(layer + 1)}
+  }`;
+      }
+    }).join('\n');
+  }
+
   /**
    * Generates convertion code, given the parsed CV shape object, for copying data from a CV data
    * structure to a tensor.
    *
+   * In zero-copy mode, a continuous Mat object is copied to the tensor buffer by a single memcpy,
+   * and the element-wise copying is the fallback for non-continuous Mat. It is only supported for
+   * the shape of MAT type with Mat ctype.
+   *
    * @param {array} pShape The parsed shape object specifiying an n-dimentional CV array shape.
+   * @param {boolean} [zeroCopy=false] Whether to copy a continuous Mat object by memcpy.
    * @returns {string} Returns the convertion code string.
    * @example
    *
+   * // output shape: [ none, none, CV_8UC3 ], zero-copy mode
+   * convertCvToTensorByShape(pShape, true);
+   * // =>
+   * // OP_REQUIRES(context, a_cv.type() == CV_8UC3,
+   * //             errors::Internal("a must be of type CV_8UC3, but got type ", a_cv.type()));
+   * // if (a_cv.isContinuous()) {
+   * //     std::memcpy(a_out->flat<uint8_t>().data(), a_cv.data, a_cv.total() * a_cv.elemSize());
+   * // } else {
+   * //     for (int a_dims_0 = 0; a_dims_0 < a_out_dims_sz_0; a_dims_0++) {
+   * //     ...
+   * // }
    */
-  function convertCvToTensorByShape(pShape) {
+  function convertCvToTensorByShape(pShape, zeroCopy) {
     const dataDtor = pShape.dataDtor;
     const cvRank = pShape.cvRank;
 
     let loopStr;
     switch (pShape.type) {
       case parser.SCALAR:
-        loopStr = `${dataOutVar}(0) = ${cvVar}`;
+        if (dataDtor.format === 'geo') {
+          loopStr = copyGeometryFields(dataDtor, cvVar, (idx) => { return `${dataOutVar}(${idx})`; }, tensorDtype, false);
+        } else {
+          loopStr = `${dataOutVar}(0) = ${castElement(cvVar, cvDtype, tensorDtype)};`;
+        }
         break;
       case parser.VEC_OF_PRIM:
         loopStr = `${loopVecOfPrim(0, cvRank)}`;
@@ -643,6 +1515,13 @@ const computeOutputFn = function() {
         break;
       case parser.MAT:
         loopStr = `${loopMat(0, cvRank, dataDtor)}`;
+        if (zeroCopy && dataDtor.ctype === 'Mat') {
+          const matDtype = dataDtor.toString();
+          const copyStr = `std::memcpy(${tensorOutVar}->flat<${tensorDtype}>().data(), ${cvVar}.data, ${cvVar}.total() * ${cvVar}.elemSize());`;
+          loopStr = `OP_REQUIRES(context, ${cvVar}.type() == ${matDtype},
+              errors::Internal("${nameVar} must be of type ${matDtype}, but got type ", ${cvVar}.type()));
+          ${utils.genIfElse(`${cvVar}.isContinuous()`, copyStr, loopStr)}`;
+        }
         break;
     }
 
@@ -650,10 +1529,15 @@ const computeOutputFn = function() {
 
     function loopVecOfPrim(start, end) {
       if (start === end) {
-        return `${dataOutVar}(${utils.expandArgus(dimVar, end)}) = ${cvVar}${utils.expandArrayAccessor(dimVar, end)};`;
+        if (dataDtor.format === 'geo') {
+          return copyGeometryFields(dataDtor, `${cvVar}${utils.expandArrayAccessor(dimVar, end)}`, (idx) => {
+            return `${dataOutVar}(${utils.expandArgus(dimVar, end)}, ${idx})`;
+          }, tensorDtype, false);
+        }
+        return `${dataOutVar}(${utils.expandArgus(dimVar, end)}) = ${castElement(`${cvVar}${utils.expandArrayAccessor(dimVar, end)}`, cvDtype, tensorDtype)};`;
       }
 
-      return `for (int ${dimVar + start} = 0; ${dimVar + start} < ${dimSizeOutVar + start}; ${dimVar + start}++) {
+      return `for (int ${dimVar + start} = 0; ${dimVar + start} < ${vectorSize(start)}; ${dimVar + start}++) {
       ${loopVecOfPrim(++start, end)}
       }`;
     }
@@ -703,31 +1587,40 @@ const computeOutputFn = function() {
       if (start === end) {
         //const dtype = dataDtor.format === 'cv' ? types.cvToStd(dataDtor.dtype) : dataDtor.dtype;
         if (dataDtor.channels === 1) {
-          return `${dataOutVar}(${utils.expandArgus(dimVar, end)}) = ${cvVar}${utils.expandArrayAccessor(dimVar, vecDims)}${dataDtor.accessor(utils.expandArgus(dimVar, vecDims, end))};`;
+          const data = `${cvVar}${utils.expandArrayAccessor(dimVar, vecDims)}${dataDtor.accessor(utils.expandArgus(dimVar, vecDims, end))}`;
+          return `${dataOutVar}(${utils.expandArgus(dimVar, end)}) = ${castElement(data, cvDtype, tensorDtype)};`;
         } else if (dataDtor.channels > 1) {
-          const argus = vecDims < end ? `${utils.expandArgus(dimVar, vecDims, end)}, ` : '';
-          return lodash.range(dataDtor.channels).map((channelIdx) => {
-            return `${dataOutVar}(${utils.expandArgus(dimVar, end)}, ${channelIdx}) = ${cvVar}${utils.expandArrayAccessor(dimVar, vecDims)}${dataDtor.accessor(argus + ", " + channelIdx)};`;
-          }).join('\n');
+          return copyChannels(dataDtor.channels, (channelIdx) => {
+            const data = `${cvVar}${utils.expandArrayAccessor(dimVar, vecDims)}${dataDtor.accessor(utils.expandArgus(dimVar, vecDims, end))}[${channelIdx}]`;
+            return `${dataOutVar}(${utils.expandArgus(dimVar, end)}, ${channelIdx}) = ${castElement(data, cvDtype, tensorDtype)};`;
+          });
         } else {
           throw new Error(`Invalid channel number: ${dataDtor.channels}`);
         }
       }
 
-      return `for (int ${dimVar + start} = 0; ${dimVar + start} < ${dimSizeOutVar + start}; ${dimVar + start}++) {
+      // The padded vectors and Mats are copied as long as they are.
+      let sizeStr = dimSizeOutVar + start;
+      if (start < vecDims) {
+        sizeStr = vectorSize(start);
+      } else if (dataDtor.ctype === 'Mat') {
+        sizeStr = `${cvVar}${utils.expandArrayAccessor(dimVar, vecDims)}.size[${start - vecDims}]`;
+      }
+      return `for (int ${dimVar + start} = 0; ${dimVar + start} < ${sizeStr}; ${dimVar + start}++) {
       ${loopVecOfMat(++start, end, vecDims, dataDtor)}
       }`;
     }
 
     function loopMat(start, end, dataDtor) {
       if (start === end) {
-        const dtype = dataDtor.format === 'cv' ? types.cvToStd(dataDtor.dtype) : dataDtor.dtype;
         if (dataDtor.channels === 1) {
-          return `${dataOutVar}(${utils.expandArgus(dimVar, end)}) = ${cvVar}${dataDtor.accessor(utils.expandArgus(dimVar, end))};`;
+          const data = castElement(`${cvVar}${dataDtor.accessor(utils.expandArgus(dimVar, end))}`, cvDtype, tensorDtype);
+          return `${dataOutVar}(${utils.expandArgus(dimVar, end)}) = ${data};`;
         } else if (dataDtor.channels > 1) {
-          return lodash.range(dataDtor.channels).map((channelIdx) => {
-            return `${dataOutVar}(${utils.expandArgus(dimVar, end)}, ${channelIdx}) = ${cvVar}${dataDtor.accessor(utils.expandArgus(dimVar, end))}[${channelIdx}];`;
-          }).join('\n');
+          return copyChannels(dataDtor.channels, (channelIdx) => {
+            const data = castElement(`${cvVar}${dataDtor.accessor(utils.expandArgus(dimVar, end))}[${channelIdx}]`, cvDtype, tensorDtype);
+            return `${dataOutVar}(${utils.expandArgus(dimVar, end)}, ${channelIdx}) = ${data};`;
+          });
         } else {
           throw new Error(`Invalid channel number: ${dataDtor.channels}`);
         }
@@ -740,62 +1633,220 @@ const computeOutputFn = function() {
   }
 };
 
-function renderKernelTemp(opsMeta) {
-  // TODO: Validates the opsMeta format
+/**
+ * Resolves the symbolic dimensions of the parsed operations metadata.
+ *
+ * Every symbolic dimension descriptor gets a "ref" property, { name, regIdx, dimIdx }, which refers
+ * to the first input dimension with the same symbol. Outputs can only use the symbols defined by
+ * inputs, since there is no way to determine their sizes before execution otherwise.
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata.
+ */
+function resolveDimSymbols(parsedOpsMeta) {
+  let symbols = {};
+  computeInput(parsedOpsMeta).forEach((input) => {
+    input.pShape.dimDtorArr.forEach((dimDtor, dimIdx) => {
+      if (!dimDtor.symbol) { return; }
+      if (!symbols[dimDtor.symbol]) {
+        symbols[dimDtor.symbol] = { name: input.name, regIdx: input.regIdx, dimIdx };
+      }
+      dimDtor.ref = symbols[dimDtor.symbol];
+    });
+  });
+  if (parsedOpsMeta.outputs) {
+    parsedOpsMeta.outputs.forEach((output) => {
+      output.pShape.dimDtorArr.forEach((dimDtor) => {
+        if (!dimDtor.symbol) { return; }
+        if (!symbols[dimDtor.symbol]) {
+          throw new Error(`Invalid shape format: symbol ${dimDtor.symbol} of ${output.name} is not defined by any input`);
+        }
+        dimDtor.ref = symbols[dimDtor.symbol];
+      });
+    });
+  }
+}
+
+/**
+ * Resolves the dimension expressions of the outputs in the parsed operations metadata.
+ *
+ * Every dim() node of the expressions gets a "regIdx" property, which is the registration index of
+ * the input it refers to.
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata.
+ */
+function resolveDimExprs(parsedOpsMeta) {
+  const inputs = computeInput(parsedOpsMeta);
+  if (!parsedOpsMeta.outputs) {
+    return;
+  }
+  parsedOpsMeta.outputs.forEach((output) => {
+    output.pShape.dimDtorArr.forEach((dimDtor) => {
+      if (!dimDtor.expr) { return; }
+      parser.dimExprNodes(dimDtor.expr).forEach((node) => {
+        if (node.op !== 'dim') { return; }
+        const input = inputs.find((item) => { return item.name === node.name; });
+        if (!input) {
+          throw new Error(`Invalid shape format: ${node.name} referred by ${output.name} is not an input`);
+        }
+        node.regIdx = input.regIdx;
+      });
+    });
+  });
+}
+
+/**
+ * Parses the operations metadata, which is read from the spec file, for rendering.
+ *
+ * The original metadata object is left untouched, so that it can be parsed again.
+ *
+ * @param {object} opsMeta The operations metadata.
+ * @return {object} The parsed operations metadata.
+ */
+function parseOpsMeta(opsMeta) {
+  validator.assertNoErrors(validator.validateOpsMeta(opsMeta));
+
   let parsedOpsMeta = {
     srcFile:  opsMeta.srcFile,
     opName:   opsMeta.opName,
-    fnName:   opsMeta.fnName
+    fnName:   opsMeta.fnName,
+    namespace: functionNamespace(opsMeta),
+    usingDirectives: opsMeta.usingDirectives !== false
   };
-  if (opsMeta.inputs) {
-    parsedOpsMeta.inputs = Object.keys(opsMeta.inputs).map((key) => {
-      let inputs = opsMeta.inputs[key];
-      const shape = parser.parseShape(inputs.shape);
-      inputs.name = key.trim();
-      inputs.typeFormat = shape.dataDtor.format;
-      inputs.dtype = shape.dataDtor.dtype;
-      inputs.pShape = shape;
-      return inputs;
+  // The ids are optional if the call field is given, the entries without ids follow the ones with
+  // ids in the order they are declared.
+  const sections = ['inputs', 'outputs', 'inputoutputs', 'attributes'];
+  let nextId = sections.reduce((maxId, section) => {
+    return Object.keys(opsMeta[section] || {}).reduce((sectionMaxId, key) => {
+      const id = opsMeta[section][key].id;
+      return id !== undefined ? Math.max(sectionMaxId, id) : sectionMaxId;
+    }, maxId);
+  }, -1) + 1;
+  const idOf = (entry) => { return entry.id !== undefined ? entry.id : nextId++; };
+
+  ['inputs', 'outputs', 'inputoutputs'].forEach((section) => {
+    if (!opsMeta[section]) {
+      return;
+    }
+    parsedOpsMeta[section] = Object.keys(opsMeta[section]).map((key) => {
+      const entry = opsMeta[section][key];
+      // The outputs can copy the dimensions of inputs by same_as descriptors.
+      const expandedShape = section === 'outputs' ? parser.expandSameAs(entry.shape, lookupInputShape) : entry.shape;
+      const shape = parser.parseShape(expandedShape);
+      return Object.assign({}, entry, {
+        id: idOf(entry),
+        name: key.trim(),
+        shape: expandedShape,
+        typeFormat: shape.dataDtor.format,
+        dtype: shape.dataDtor.dtype,
+        typeVar: shape.dataDtor.typeVar,
+        pShape: shape,
+        zeroCopy: entry.zeroCopy !== undefined ? entry.zeroCopy : Boolean(opsMeta.zeroCopy)
+      });
+    });
+  });
+  if (opsMeta.typeAttrs) {
+    parsedOpsMeta.typeAttrs = Object.keys(opsMeta.typeAttrs).map((key) => {
+      return { name: key.trim(), types: utils.parseTypeAttr(opsMeta.typeAttrs[key]) };
     });
   }
-  if (opsMeta.outputs) {
-    parsedOpsMeta.outputs = Object.keys(opsMeta.outputs).map((key) => {
-      let outputs = opsMeta.outputs[key];
-      const shape = parser.parseShape(outputs.shape);
-      outputs.name = key.trim();
-      outputs.typeFormat = shape.dataDtor.format;
-      outputs.dtype = shape.dataDtor.dtype;
-      outputs.pShape = shape;
-      return outputs;
+  if (opsMeta.attributes) {
+    parsedOpsMeta.attributes = Object.keys(opsMeta.attributes).map((key) => {
+      const entry = opsMeta.attributes[key];
+      // The parsed type expression is { type, defaultVal }, with minLength for constrained lists.
+      return Object.assign({}, entry, utils.parseAttrType(entry.type), { id: idOf(entry), name: key.trim() });
     });
   }
-  if (opsMeta.inputoutputs) {
-    parsedOpsMeta.inputoutputs = Object.keys(opsMeta.inputoutputs).map((key) => {
-      let inputoutputs = opsMeta.inputoutputs[key];
-      const shape = parser.parseShape(inputoutputs.shape);
-      inputoutputs.name = key.trim();
-      inputoutputs.typeFormat = shape.dataDtor.format;
-      inputoutputs.dtype = shape.dataDtor.dtype;
-      inputoutputs.pShape = shape;
-      return inputoutputs;
+  if (opsMeta.call) {
+    const names = sections.reduce((result, section) => {
+      return result.concat((parsedOpsMeta[section] || []).map((obj) => { return obj.name; }));
+    }, []);
+    parsedOpsMeta.call = opsMeta.call.map((str) => { return utils.parseCallArg(str, names); });
+  }
+
+  resolveDimSymbols(parsedOpsMeta);
+  resolveDimExprs(parsedOpsMeta);
+  if (!parsedOpsMeta.usingDirectives) {
+    qualifyNames(parsedOpsMeta);
+  }
+
+  return parsedOpsMeta;
+
+  function lookupInputShape(name) {
+    let shape;
+    ['inputs', 'inputoutputs'].forEach((section) => {
+      Object.keys(opsMeta[section] || {}).forEach((key) => {
+        if (key.trim() === name) {
+          shape = opsMeta[section][key].shape;
+        }
+      });
     });
+    return shape;
   }
-  if (opsMeta.attributes) {
-    parsedOpsMeta.attributes = Object.keys(opsMeta.attributes).map((key) => {
-      let attributes = opsMeta.attributes[key];
-      const typeExpr = utils.parseAttrType(attributes.type);
-      attributes.name = key.trim();
-      attributes.type = typeExpr.type;
-      attributes.defaultVal = typeExpr.defaultVal;
-      return attributes;
+}
+
+/**
+ * Qualifies the names of std and OpenCV which the kernel code of the operation spells, for the kernel
+ * without the using-directives. They are the declarations of the CV variables, the element accessors
+ * of Mat and the C++ types of the attributes. The call arguments are written as they are given.
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata, which is modified in place.
+ */
+function qualifyNames(parsedOpsMeta) {
+  ['inputs', 'outputs', 'inputoutputs'].forEach((section) => {
+    (parsedOpsMeta[section] || []).forEach((obj) => {
+      const pShape = obj.pShape;
+      pShape.varDecStr = qualifyType(pShape.varDecStr);
+      if (pShape.varMatDecStr) {
+        pShape.varMatDecStr = qualifyType(pShape.varMatDecStr);
+      }
+      const accessor = pShape.dataDtor.accessor;
+      if (accessor) {
+        pShape.dataDtor.accessor = (argusStr) => { return qualifyType(accessor(argusStr)); };
+      }
     });
+  });
+  (parsedOpsMeta.attributes || []).forEach((attr) => {
+    attr.qualified = true;
+  });
+}
+
+function renderKernelTemp(opsMeta) {
+  const parsedOpsMeta = parseOpsMeta(opsMeta);
+  const typeAttrs = parsedOpsMeta.typeAttrs ? parsedOpsMeta.typeAttrs : [];
+
+  // The kernel code uses the names of std and cv unqualified, the ones of cv come with the default
+  // namespace, see renderDeclTemp(). Without the using-directives, the names are qualified instead,
+  // see qualifyNames().
+  const namespace = parsedOpsMeta.namespace;
+  let usingNamespaces = [];
+  if (parsedOpsMeta.usingDirectives) {
+    usingNamespaces.push('std');
+    if (namespace !== DEFAULT_NAMESPACE) {
+      usingNamespaces.push('cv');
+    }
+    if (namespace !== '' && namespace !== 'cv') {
+      usingNamespaces.push(namespace);
+    }
   }
 
   const view = {
     srcFile: opsMeta.srcFile,
+    // The extra headers are quoted unless they are system ones, e.g. <vector>.
+    includes: (opsMeta.includes ? opsMeta.includes : []).map((header) => {
+      header = header.trim();
+      return /^</.test(header) ? header : `"${header}"`;
+    }),
+    usingNamespaces,
+    hasUsingNamespaces: usingNamespaces.length > 0,
     opName: opsMeta.opName,
     fnName: opsMeta.fnName,
     device: opsMeta.device ? opsMeta.device : 'DEVICE_CPU',
+    // The kernel is a class template if there is any type attribute.
+    templateDecl: typeAttrs.length > 0 ?
+      `template <${typeAttrs.map((typeAttr) => { return `typename ${typeAttr.name}`; }).join(', ')}>\n` : '',
+    kernelBuilders: kernelTypeCombinations(typeAttrs),
+    typeAttrs,
+    registerTypeAttrFn,
     registerOpInput: registerOpInput(parsedOpsMeta),
     registerOpInputFn,
     registerOpOutput: registerOpOutput(parsedOpsMeta),
@@ -804,6 +1855,10 @@ function renderKernelTemp(opsMeta) {
     registerOpAttrFn,
     getAttributesFn,
     declareAttributesFn,
+    shapeFnInputs: shapeFnInputs(parsedOpsMeta),
+    checkShapeFnInputFn,
+    shapeFnAttributes: shapeFnAttributes(parsedOpsMeta),
+    getShapeFnAttrFn,
     registerOpShape: registerOpShape(parsedOpsMeta),
     registerOpShapeFn,
     computeInput: computeInput(parsedOpsMeta),
@@ -817,55 +1872,655 @@ function renderKernelTemp(opsMeta) {
   return Mustache.render(template.getKernelTemp(), view);
 }
 
+/**
+ * Lists the parameters of the C++ function which the kernel of the operation calls.
+ *
+ * The parameters follow the order of ids, the same as the call in computeExecuteFn. Inputs are passed
+ * by const reference (scalars by value), outputs and inputoutputs by reference, and attributes by
+ * value (strings, lists and Scalar by const reference). The output marked as return is not a
+ * parameter, see functionReturnType().
+ *
+ * If the call field is given, the parameters follow its order instead, and each expression argument
+ * is a parameter of the "call" section named after its position, e.g. 'arg2', which is passed the
+ * same way as the attributes. The type of a bare identifier like nullptr is left undefined, see
+ * utils.isUntypedCallArg().
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata.
+ * @return {array} The parameters, each one is an object of { id, section, name, type, isConst, isRef },
+ *                 where type is the C++ type without qualifiers, e.g. 'vector<Mat>'. The parameters of
+ *                 expression arguments have no id.
+ */
+function functionParams(parsedOpsMeta) {
+  let params = [];
+  ['inputs', 'outputs', 'inputoutputs'].forEach((section) => {
+    if (!parsedOpsMeta[section]) {
+      return;
+    }
+    params = params.concat(parsedOpsMeta[section].filter((obj) => { return !obj.return; }).map((obj) => {
+      const isInput = section === 'inputs';
+      // The geometry objects are passed by const reference like the other OpenCV data structures.
+      const isScalarInput = isInput && obj.pShape.type === parser.SCALAR && obj.pShape.dataDtor.format !== 'geo';
+      return {
+        id: obj.id,
+        section,
+        name: obj.name,
+        type: obj.pShape.varDecStr,
+        isConst: isInput && !isScalarInput,
+        isRef: !isScalarInput
+      };
+    }));
+  });
+  if (parsedOpsMeta.attributes) {
+    params = params.concat(parsedOpsMeta.attributes.map((obj) => {
+      const type = obj.as ? attrCvType(obj) : attrCType(obj.type, obj.qualified);
+      const byConstRef = !isPassedByValue(type);
+      return {
+        id: obj.id,
+        section: 'attributes',
+        name: obj.name,
+        type,
+        isConst: byConstRef,
+        isRef: byConstRef
+      };
+    }));
+  }
+  if (parsedOpsMeta.call) {
+    return parsedOpsMeta.call.map((arg, index) => {
+      if (arg.ref) {
+        return params.find((param) => { return param.name === arg.ref; });
+      }
+      const byConstRef = arg.type !== undefined && !isPassedByValue(arg.type);
+      return { section: 'call', name: `arg${index}`, type: arg.type, isConst: byConstRef, isRef: byConstRef };
+    });
+  }
+  return params.sort(ascendingId);
+
+  function isPassedByValue(type) {
+    return ['int', 'float', 'double', 'char', 'bool', 'Size', 'Size2f'].indexOf(type) > -1 || /\*$/.test(type);
+  }
+}
+
+/**
+ * Gets the return type of the C++ function which the kernel of the operation calls, which is the
+ * type of the output marked as return, or void if there is no such output.
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata.
+ * @return {string} The C++ return type, e.g. 'vector<KeyPoint>'.
+ */
+function functionReturnType(parsedOpsMeta) {
+  const returned = (parsedOpsMeta.outputs ? parsedOpsMeta.outputs : []).find((obj) => { return obj.return; });
+  return returned ? returned.pShape.varDecStr : 'void';
+}
+
+/**
+ * Declares a parameter listed by functionParams().
+ *
+ * @example
+ * // returns 'const Mat& image'
+ * declareParam({ name: 'image', type: 'Mat', isConst: true, isRef: true });
+ *
+ * @param {object} param The parameter.
+ * @param {boolean} [withName=true] Whether to append the parameter name.
+ * @return {string} The C++ parameter declaration.
+ */
+function declareParam(param, withName) {
+  const decl = `${param.isConst ? 'const ' : ''}${param.type}${param.isRef ? '&' : ''}`;
+  return withName === false ? decl : `${decl} ${param.name}`;
+}
+
+/**
+ * Declares the C++ function which the kernel of the operation calls.
+ *
+ * @example
+ * // returns 'void blur(const Mat& image, Mat& result, int ksize);'
+ * declareFunction(parseOpsMeta(opsMeta));
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata.
+ * @return {string} The C++ function declaration.
+ */
+function declareFunction(parsedOpsMeta) {
+  const params = functionParams(parsedOpsMeta);
+  // Without the using-directives, the types are spelled by their qualified names.
+  const qualify = parsedOpsMeta.usingDirectives === false ? qualifyType : lodash.identity;
+  const decls = params.map((param) => { return declareParam(Object.assign({}, param, { type: qualify(param.type) })); });
+  // Only the type variables used by the parameters can be deduced from the call in the kernel.
+  const typeVars = (parsedOpsMeta.typeAttrs ? parsedOpsMeta.typeAttrs : []).filter((typeAttr) => {
+    const pattern = new RegExp(`\\b${typeAttr.name}\\b`);
+    return params.some((param) => { return pattern.test(param.type); });
+  }).map((typeAttr) => { return `typename ${typeAttr.name}`; });
+  const templateDecl = typeVars.length > 0 ? `template <${typeVars.join(', ')}> ` : '';
+  // The function is declared in its namespace, see renderDeclTemp().
+  const fnName = parsedOpsMeta.fnName.split('::').pop();
+  return `${templateDecl}${qualify(functionReturnType(parsedOpsMeta))} ${fnName}(${decls.join(', ')});`;
+}
+
+/**
+ * Qualifies the names of std and OpenCV in the C++ type, which are used unqualified by the generated
+ * code.
+ *
+ * @example
+ * // returns 'std::vector<cv::Point2f>'
+ * qualifyType('vector<Point2f>');
+ *
+ * @param {string} type The C++ type.
+ * @return {string} The qualified type.
+ */
+function qualifyType(type) {
+  return type.replace(/(::)?\b([A-Za-z_]\w*)\b/g, (str, qualifier, name) => {
+    if (qualifier) {
+      return str;
+    }
+    if (name === 'vector' || name === 'string') {
+      return `std::${name}`;
+    }
+    return ['Mat', 'Matx', 'Vec'].indexOf(name) !== -1 || parser.isGeometryType(name) ? `cv::${name}` : name;
+  });
+}
+
+/**
+ * Finds the C++ namespace of the function which the kernel of the operation calls. It is the qualifier
+ * of a fully qualified fnName, otherwise the namespace field, default to pv. The empty string stands
+ * for the global namespace.
+ *
+ * @example
+ * // returns 'cv'
+ * functionNamespace({ fnName: 'cv::GaussianBlur' });
+ *
+ * @param {object} opsMeta The operations metadata.
+ * @return {string} The namespace.
+ */
+function functionNamespace(opsMeta) {
+  const fnName = opsMeta.fnName ? opsMeta.fnName : '';
+  if (fnName.indexOf('::') !== -1) {
+    return fnName.slice(0, fnName.lastIndexOf('::'));
+  }
+  return opsMeta.namespace !== undefined ? opsMeta.namespace : DEFAULT_NAMESPACE;
+}
+
+/**
+ * Renders the header which declares the functions called by the kernels.
+ *
+ * The functions are declared in their namespaces, with the using-directives of std and cv unless all
+ * the operations of the namespace turn them off. The fully qualified function names refer to the
+ * functions declared elsewhere, e.g. by the library headers in includes, they are not declared again,
+ * neither are the functions passed untyped call arguments like nullptr.
+ *
+ * @param {string} headerName The file name of the header.
+ * @param {array} opsMeta The operations metadata returned by prepareOpsMeta().
+ * @return {string} The contents of the header.
+ */
+function renderDeclTemp(headerName, opsMeta) {
+  // The functions are grouped by their namespaces, in the order the operations are declared.
+  let namespaces = [];
+  opsMeta.forEach((meta) => {
+    const parsedOpsMeta = parseOpsMeta(meta);
+    if (/::/.test(parsedOpsMeta.fnName) ||
+        functionParams(parsedOpsMeta).some((param) => { return param.type === undefined; })) {
+      return;
+    }
+    let group = namespaces.find((item) => { return item.name === parsedOpsMeta.namespace; });
+    if (!group) {
+      const parts = parsedOpsMeta.namespace === '' ? [] : parsedOpsMeta.namespace.split('::');
+      group = {
+        name: parsedOpsMeta.namespace,
+        open: parts.map((part) => { return `namespace ${part} {`; }).join(' '),
+        close: parts.length > 0 ? `${parts.map(() => { return '}'; }).join(' ')} // namespace ${parsedOpsMeta.namespace}` : '',
+        usingDirectives: false,
+        declarations: []
+      };
+      namespaces.push(group);
+    }
+    group.usingDirectives = group.usingDirectives || parsedOpsMeta.usingDirectives;
+    group.declarations.push(declareFunction(parsedOpsMeta));
+  });
+  const view = {
+    guard: `${changeCase.constantCase(headerName)}_`,
+    namespaces
+  };
+
+  return Mustache.render(template.getDeclTemp(), view);
+}
+
+/**
+ * Lists the Python wrapper function of the operation, which makes the lengths tensors optional. The
+ * lengths tensors go after the other inputs with None defaults, since they can not be told from the
+ * tensor shapes otherwise. The outputs are returned as they are registered, so that the lengths
+ * outputs follow their outputs, the same as the operations exported as they are.
+ *
+ * @param {object} parsedOpsMeta The parsed operations metadata.
+ * @return {object} The wrapper, { params, lengths, argus }, or undefined if there is no lengths tensor,
+ *                  in which case the operation is exported as it is.
+ */
+function pyWrapper(parsedOpsMeta) {
+  let inputNames = [];
+  let lengths = [];
+  computeInput(parsedOpsMeta).forEach((input) => {
+    const inputName = lowerAndSnake(input.mutable ? `${input.name}_in` : input.name);
+    inputNames.push(inputName);
+    (input.lengths ? input.lengths : []).forEach((item) => {
+      const lengthsName = lowerAndSnake(item.name);
+      inputNames.push(lengthsName);
+      lengths.push({ lengthsName, inputName, layer: item.layer });
+    });
+  });
+  if (lengths.length === 0) {
+    return undefined;
+  }
+
+  const params = inputNames.filter((name) => {
+    return !lengths.find((item) => { return item.lengthsName === name; });
+  }).concat(lengths.map((item) => { return `${item.lengthsName}=None`; }));
+  return { params: params.join(', '), lengths, argus: inputNames.join(', ') };
+}
+
 function renderpyWrapperTemp(kernelSharedLibName, opsMeta) {
+  const ops = opsMeta.map((obj) => {
+    return { name: lowerAndSnake(obj.opName), wrapper: pyWrapper(parseOpsMeta(obj)) };
+  });
   const view = {
     kernelSharedLib: kernelSharedLibName,
-    ops: opsMeta.map((obj) => {
-      return { name: lowerAndSnake(obj.opName) };
-    })
+    hasLengths: ops.some((op) => { return Boolean(op.wrapper); }),
+    ops
   };
 
   return Mustache.render(template.getPyWrapperTemp(), view);
 }
 
-function render(url, callback) {
-  try {
-    const parsed = path.parse(url);
-
-    let defaultName = parsed.name;
-    let opsMeta = JSON.parse(fs.readFileSync(url));
-    if (typeof opsMeta === 'object' && !Array.isArray(opsMeta)) { opsMeta = [ opsMeta ]; }
-    if (!Array.isArray(opsMeta)) { return callback(new Error('Invalid JSON format')); }
-    opsMeta.forEach((meta) => {
-      meta.srcFile= meta.srcFile? meta.srcFile : defaultName;
-      meta.opName = meta.opName ? capitalAndCamel(meta.opName) : capitalAndCamel(defaultName);
-      meta.fnName = meta.fnName ? meta.fnName : defaultName;
+/**
+ * Validates the spec, and fills the default names of the operations.
+ *
+ * The project-wide config gives the defaults of the C++ code settings. Its includes go before the
+ * ones of each operation, and its namespace does not apply to the fully qualified function names.
+ *
+ * @param {object|array} opsMeta The operations metadata, or an array of them.
+ * @param {string} defaultName The default name of the operations, e.g. the name of the spec file.
+ * @param {object} [config] The project-wide settings, { includes, namespace, usingDirectives }.
+ * @return {array} The array of operations metadata with the default names filled.
+ */
+function prepareOpsMeta(opsMeta, defaultName, config) {
+  if (typeof opsMeta === 'object' && !Array.isArray(opsMeta)) { opsMeta = [ opsMeta ]; }
+  if (!Array.isArray(opsMeta)) { throw new Error('Invalid JSON format'); }
+  config = config || {};
+  validator.assertNoErrors(validator.validateConfig(config));
+  // Reports all the problems of all the operations before rendering anything.
+  validator.assertNoErrors(validator.validateOpsMetaList(opsMeta));
+
+  return opsMeta.map((meta) => {
+    let settings = {};
+    if (config.includes) {
+      settings.includes = config.includes.concat(meta.includes ? meta.includes : []);
+    }
+    if (config.namespace !== undefined && meta.namespace === undefined && !/::/.test(meta.fnName)) {
+      settings.namespace = config.namespace;
+    }
+    if (config.usingDirectives !== undefined && meta.usingDirectives === undefined) {
+      settings.usingDirectives = config.usingDirectives;
+    }
+    return Object.assign({}, meta, settings, {
+      srcFile: meta.srcFile ? meta.srcFile : defaultName,
+      opName: meta.opName ? capitalAndCamel(meta.opName) : capitalAndCamel(defaultName),
+      fnName: meta.fnName ? meta.fnName : defaultName
+    });
+  });
+}
+
+/**
+ * Loads the spec file, and fills the default names of the operations from the file name.
+ *
+ * @param {string} url The path of the spec file.
+ * @param {object} [config] The project-wide settings, see prepareOpsMeta().
+ * @return {object} The loaded spec, { dir, defaultName, opsMeta }, where opsMeta is an array.
+ */
+function loadSpec(url, config) {
+  const parsed = path.parse(url);
+  const opsMeta = prepareOpsMeta(JSON.parse(fs.readFileSync(url)), parsed.name, config);
+
+  return { dir: parsed.dir, defaultName: parsed.name, opsMeta };
+}
+
+/**
+ * Renders the source files of the prepared operations metadata.
+ *
+ * @param {array} opsMeta The operations metadata returned by prepareOpsMeta().
+ * @param {string} defaultName The default name of the operations, which names the declaration
+ *                             header and the Python wrapper.
+ * @param {object} options The rendering options, see generate().
+ * @return {object} The source files, a map of { filename: contents }.
+ */
+function renderSources(opsMeta, defaultName, options) {
+  if (options.kernelOnly && options.pythonOnly) {
+    throw new Error('Invalid options: kernelOnly and pythonOnly can not be used together');
+  }
+  let sources = {};
+
+  if (!options.pythonOnly) {
+    // Renders all the kernels before giving up, so that the problems of all the operations can be
+    // reported at once.
+    let errors = [];
+    opsMeta.forEach((meta, index) => {
+      try {
+        sources[`${lowerAndSnake(meta.opName)}_op.cc`] = renderKernelTemp(meta);
+      } catch (err) {
+        errors.push({ path: `ops[${index}]`, opName: meta.opName, message: err.message });
+      }
     });
+    if (errors.length > 0) {
+      const lines = errors.map((error) => {
+        return `  ${error.path} (${error.opName}): ${error.message.replace(/\n/g, '\n    ')}`;
+      });
+      let err = new Error(`Failed to render operations:\n${lines.join('\n')}`);
+      err.errors = errors;
+      throw err;
+    }
+    const declHeaderName = `${lowerAndSnake(defaultName)}_op_decl.hpp`;
+    sources[declHeaderName] = renderDeclTemp(declHeaderName, opsMeta);
+  }
+  if (!options.kernelOnly) {
+    const kernelSharedLibName = `prov_${lowerAndSnake(defaultName)}_op_kernel.so`;
+    sources[`${lowerAndSnake(defaultName)}_op.py`] = renderpyWrapperTemp(kernelSharedLibName, opsMeta);
+  }
+
+  return sources;
+}
 
-    async.parallel({
-      renderKernel: (callback) => {
-        async.each(opsMeta, (meta, callback) => {
-          fs.writeFile(`${parsed.dir}/${lowerAndSnake(meta.opName)}_op.cc`,
-                       renderKernelTemp(meta), callback);
-        }, (err) => {
-          if (err) { callback(err); }
+/**
+ * Generates the TensorFlow kernels, the declaration header and the Python wrapper of the spec in
+ * memory, without touching the disk.
+ *
+ * @example
+ * generate({ inputs: { ... }, outputs: { ... } }, { name: 'blur' }).then((sources) => {
+ *   // sources: { 'blur_op.cc': '...', 'blur_op_decl.hpp': '...', 'blur_op.py': '...' }
+ * });
+ *
+ * @param {object|array} spec The operations metadata, or an array of them, i.e. the content of a
+ *                            spec file.
+ * @param {object} options The generating options.
+ * @param {string} options.name The default name of the operations, which is the name of the spec
+ *                              file when rendering a file.
+ * @param {boolean} [options.kernelOnly=false] Generate the C++ files only.
+ * @param {boolean} [options.pythonOnly=false] Generate the Python wrapper only.
+ * @param {object} [options.config] The project-wide settings of the C++ code, { includes, namespace,
+ *                                  usingDirectives }, which the operations can override.
+ * @return {Promise} The promise resolved to the map of { filename: contents }.
+ */
+function generate(spec, options) {
+  return new Promise((resolve) => {
+    options = options || {};
+    if (typeof options.name !== 'string' || options.name.trim().length === 0) {
+      throw new Error('Invalid options: name is required to name the generated files');
+    }
+    resolve(renderSources(prepareOpsMeta(spec, options.name, options.config), options.name, options));
+  });
+}
+
+/**
+ * Writes the source files to the directory, which is created with its parents if it does not exist.
+ *
+ * The files are written to temporary files first, and renamed into place only if all of them are
+ * written. The existing files are moved aside before they are replaced, and moved back if any rename
+ * fails, so that a failure leaves the files as they were, unless restoring them fails as well.
+ *
+ * @param {object} sources The map of { filename: contents }.
+ * @param {string} outDir The directory to write the files to.
+ * @param {function} callback The callback, callback(err, paths), which is invoked exactly once.
+ */
+function writeFiles(sources, outDir, callback) {
+  const files = Object.keys(sources).map((filename) => {
+    const filePath = path.join(outDir, filename);
+    return {
+      path: filePath,
+      tmpPath: path.join(outDir, `.${filename}.${process.pid}.tmp`),
+      backupPath: path.join(outDir, `.${filename}.${process.pid}.bak`),
+      contents: sources[filename],
+      backedUp: false,
+      replaced: false
+    };
+  });
+
+  async.series([
+    (callback) => {
+      makeDir(outDir, callback);
+    },
+    (callback) => {
+      async.each(files, (file, callback) => {
+        fs.writeFile(file.tmpPath, file.contents, callback);
+      }, callback);
+    },
+    (callback) => {
+      async.eachSeries(files, (file, callback) => {
+        fs.rename(file.path, file.backupPath, (err) => {
+          if (err && err.code !== 'ENOENT') {
+            return callback(err);
+          }
+          file.backedUp = !err;
+          fs.rename(file.tmpPath, file.path, (err) => {
+            file.replaced = !err;
+            callback(err);
+          });
+        });
+      }, callback);
+    }
+  ], (err) => {
+    if (err) {
+      // Removes the temporary files which are not renamed, ignoring the ones never written, and puts
+      // the existing files back in place of the new ones.
+      return async.eachSeries(files, (file, callback) => {
+        fs.unlink(file.tmpPath, () => {
+          if (file.backedUp) {
+            return fs.rename(file.backupPath, file.path, () => { callback(); });
+          }
+          if (file.replaced) {
+            return fs.unlink(file.path, () => { callback(); });
+          }
           callback();
         });
-      },
-      renderPyWrapper: (callback) => {
-        const kernelSharedLibName = `prov_${lowerAndSnake(defaultName)}_op_kernel.so`;
-        fs.writeFile(`${parsed.dir}/${lowerAndSnake(defaultName)}_op.py`,
-                     renderpyWrapperTemp(kernelSharedLibName, opsMeta), callback);
-      }
-    }, (err) => {
+      }, () => { callback(err); });
+    }
+    async.each(files.filter((file) => { return file.backedUp; }), (file, callback) => {
+      fs.unlink(file.backupPath, () => { callback(); });
+    }, () => {
+      callback(null, files.map((file) => { return file.path; }));
+    });
+  });
+}
+
+/**
+ * Creates the directory and its missing parent directories, like mkdir -p.
+ *
+ * @param {string} dir The directory to create.
+ * @param {function} callback The callback, callback(err).
+ */
+function makeDir(dir, callback) {
+  fs.mkdir(dir, (err) => {
+    if (err && err.code === 'ENOENT' && path.dirname(dir) !== dir) {
+      return makeDir(path.dirname(dir), (err) => {
+        if (err) { return callback(err); }
+        makeDir(dir, callback);
+      });
+    }
+    callback(err && err.code !== 'EEXIST' ? err : null);
+  });
+}
+
+/**
+ * Writes the generated source files to the directory, which is created if it does not exist.
+ *
+ * The existing files are replaced only if all the source files are written successfully.
+ *
+ * @param {object} sources The map of { filename: contents } resolved by generate().
+ * @param {string} outDir The directory to write the files to.
+ * @return {Promise} The promise resolved to the array of written file paths.
+ */
+function writeOutputs(sources, outDir) {
+  return new Promise((resolve, reject) => {
+    writeFiles(sources, outDir, (err, paths) => {
+      if (err) { return reject(err); }
+      resolve(paths);
+    });
+  });
+}
+
+/**
+ * Renders the TensorFlow kernels, the declaration header and the Python wrapper of the spec file.
+ *
+ * All the operations are rendered before writing anything. If any of them fails, the problems of
+ * all the operations are reported and no file is touched.
+ *
+ * @example
+ * render('ops/blur.json', { outDir: 'build' }, (err, outputs) => {
+ *   // outputs: [{ path: 'build/blur_op.cc', contents: '...' }, ...]
+ * });
+ *
+ * @param {string} url The path of the spec file.
+ * @param {object} [options] The rendering options.
+ * @param {string} [options.outDir] The directory to write the output files to, default to the
+ *                                  directory of the spec file.
+ * @param {boolean} [options.dryRun=false] Render the output files without writing them.
+ * @param {boolean} [options.kernelOnly=false] Render the C++ files only.
+ * @param {boolean} [options.pythonOnly=false] Render the Python wrapper only.
+ * @param {object} [options.config] The project-wide settings of the C++ code, see generate().
+ * @param {function} callback The callback, callback(err, outputs), where outputs is an array of
+ *                            { path, contents } of the rendered files. It is invoked exactly once.
+ */
+function render(url, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
+  let outDir, sources;
+  try {
+    const spec = loadSpec(url, options.config);
+    outDir = options.outDir || spec.dir || '.';
+    sources = renderSources(spec.opsMeta, spec.defaultName, options);
+  } catch (err) {
+    return callback(err);
+  }
+  const outputs = Object.keys(sources).map((filename) => {
+    return { path: path.join(outDir, filename), contents: sources[filename] };
+  });
+  if (options.dryRun) {
+    return callback(null, outputs);
+  }
+
+  writeFiles(sources, outDir, (err) => {
+    if (err) { return callback(err); }
+    callback(null, outputs);
+  });
+}
+
+/**
+ * Checks whether the files on disk are up to date with the spec file.
+ *
+ * The files are rendered in memory by render(), and compared with the ones on disk. A missing file
+ * is compared as an empty one.
+ *
+ * @param {string} url The path of the spec file.
+ * @param {object} [options] The rendering options, see render().
+ * @param {function} callback The callback, callback(err, staleFiles), where staleFiles is an array of
+ *                            { path, contents, diff } of the files which differ from the rendered
+ *                            contents, and diff is the unified diff from the disk to the rendered one.
+ */
+function check(url, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  render(url, Object.assign({}, options, { dryRun: true }), (err, outputs) => {
+    if (err) { return callback(err); }
+
+    async.mapSeries(outputs, (output, callback) => {
+      fs.readFile(output.path, 'utf8', (err, onDisk) => {
+        if (err && err.code !== 'ENOENT') { return callback(err); }
+        if (!err && onDisk === output.contents) { return callback(null, null); }
+        const diff = jsdiff.createTwoFilesPatch(err ? '/dev/null' : output.path, output.path,
+                                                err ? '' : onDisk, output.contents, 'on disk', 'generated');
+        callback(null, { path: output.path, contents: output.contents, diff });
+      });
+    }, (err, results) => {
       if (err) { return callback(err); }
-      callback();
+      callback(null, results.filter((result) => { return result !== null; }));
     });
+  });
+}
+
+/**
+ * Verifies the function declared in the header file, {{srcFile}}.hpp, of each operation against the
+ * signature which the kernel calls, without compiling anything.
+ *
+ * The header files are searched in the directory of the spec file. If any mismatch is found, the
+ * callback gets an error which lists them in terms of spec field names, e.g.
+ * "ops[0].inputs.image: argument 1 expects type Mat but get Matx33f: const Matx33f& image". The
+ * mismatch list is kept in the "errors" property of the error, the same as validator.assertNoErrors().
+ *
+ * @param {string} url The path of the spec file.
+ * @param {function} callback The callback, callback(err).
+ */
+function verify(url, callback) {
+  let spec;
+  try {
+    spec = loadSpec(url);
   } catch (err) {
-    callback(err);
+    return callback(err);
   }
+
+  let sources = {};
+  async.eachOfSeries(spec.opsMeta, (meta, index, callback) => {
+    const headerName = `${meta.srcFile}.hpp`;
+    if (sources[headerName] !== undefined) {
+      return callback();
+    }
+    fs.readFile(path.join(spec.dir, headerName), 'utf8', (err, source) => {
+      sources[headerName] = err ? null : source;
+      callback();
+    });
+  }, () => {
+    let errors = [];
+    spec.opsMeta.forEach((meta, index) => {
+      const opPath = `ops[${index}]`;
+      const headerName = `${meta.srcFile}.hpp`;
+      if (sources[headerName] === null) {
+        errors.push({ path: `${opPath}.srcFile`, message: `can not read header file ${headerName}` });
+        return;
+      }
+      // The header may declare the function in its namespace block, or by its qualified name.
+      const declarations = verifier.findDeclarations(sources[headerName], meta.fnName.split('::').pop());
+      if (declarations.length === 0) {
+        errors.push({ path: `${opPath}.fnName`, message: `function ${meta.fnName} is not declared in ${headerName}` });
+        return;
+      }
+
+      // Any of the overloads matches the signature is fine, otherwise reports the mismatches of the
+      // one with the same number of arguments, or the first one.
+      const expected = functionParams(parseOpsMeta(meta));
+      const results = declarations.map((actual) => { return verifier.compareParams(expected, actual); });
+      if (results.some((mismatches) => { return mismatches.length === 0; })) {
+        return;
+      }
+      const sameLengthIdx = lodash.findIndex(declarations, (actual) => { return actual.length === expected.length; });
+      results[sameLengthIdx === -1 ? 0 : sameLengthIdx].forEach((mismatch) => {
+        errors.push({ path: `${opPath}.${mismatch.field}`, message: `${mismatch.message} in ${headerName}` });
+      });
+    });
+
+    if (errors.length > 0) {
+      const lines = errors.map((error) => { return `  ${error.path}: ${error.message}`; });
+      let err = new Error(`Mismatched function signatures:\n${lines.join('\n')}`);
+      err.errors = errors;
+      return callback(err);
+    }
+    callback();
+  });
 }
 
 module.exports = {
-  render
+  generate,
+  writeOutputs,
+  render,
+  check,
+  verify,
+  // Registers project-specific element types, see types.registerType().
+  registerType: types.registerType
 };
@@ -11,6 +11,55 @@ const VEC_OF_PRIM = 'VEC_OF_PRIM';
 const VEC_OF_MAT  = 'VEC_OF_MAT';
 const MAT         = 'MAT';
 
+/**
+ * Define the channel limits of OpenCV: the maximum channel number, and the maximum channel number
+ * which has the CV_<depth>C<n> macros and the Vec typedefs.
+ */
+const CV_CN_MAX        = 512;
+const MAX_VEC_CHANNELS = 4;
+
+/**
+ * Define the format of the dimension descriptor which copies the dimensions of an input.
+ */
+const SAME_AS_FORMAT = /^same_as:\s*([A-Za-z_]\w*)\s*$/;
+
+/**
+ * Define the OpenCV geometry types which can be used as data descriptors. Each field of a geometry
+ * object is an element of the last tensor dimension, eg. [ vector:none, Point2f ] is a tensor of
+ * shape [?, 2] with the x and y coordinates of the points.
+ */
+const GEOMETRY_TYPES = {
+  Point:    { dtype: 'int', fields: ['.x', '.y'] },
+  Point2i:  { dtype: 'int', fields: ['.x', '.y'] },
+  Point2f:  { dtype: 'float', fields: ['.x', '.y'] },
+  Point2d:  { dtype: 'double', fields: ['.x', '.y'] },
+  Point3i:  { dtype: 'int', fields: ['.x', '.y', '.z'] },
+  Point3f:  { dtype: 'float', fields: ['.x', '.y', '.z'] },
+  Point3d:  { dtype: 'double', fields: ['.x', '.y', '.z'] },
+  Rect:     { dtype: 'int', fields: ['.x', '.y', '.width', '.height'] },
+  Rect2i:   { dtype: 'int', fields: ['.x', '.y', '.width', '.height'] },
+  Rect2f:   { dtype: 'float', fields: ['.x', '.y', '.width', '.height'] },
+  Rect2d:   { dtype: 'double', fields: ['.x', '.y', '.width', '.height'] },
+  Size:     { dtype: 'int', fields: ['.width', '.height'] },
+  Size2i:   { dtype: 'int', fields: ['.width', '.height'] },
+  Size2f:   { dtype: 'float', fields: ['.width', '.height'] },
+  Size2d:   { dtype: 'double', fields: ['.width', '.height'] },
+  Scalar:   { dtype: 'double', fields: ['[0]', '[1]', '[2]', '[3]'] },
+  // The octave and class_id are integers, they are stored as float like the other fields.
+  KeyPoint: { dtype: 'float', fields: ['.pt.x', '.pt.y', '.size', '.angle', '.response', { accessor: '.octave', dtype: 'int' },
+                                       { accessor: '.class_id', dtype: 'int' }] }
+};
+
+
+/**
+ * Checks whether the name is an OpenCV geometry type, see GEOMETRY_TYPES.
+ *
+ * @param {string} name The type name.
+ * @return {boolean} Whether it is a geometry type.
+ */
+function isGeometryType(name) {
+  return lodash.has(GEOMETRY_TYPES, name);
+}
 
 /**
  * Parses shape array.
@@ -34,6 +83,15 @@ const MAT         = 'MAT';
  *    type of dimension is not present. In addition, the size of the dimension can be set as
  *    "none" which means the size will be determined at runtime.
  *
+ *    The size of the dimension can also be a symbol, which is a name starts with an uppercase
+ *    letter (except "NONE" and "CV_*"), eg. "H" or "Width". A symbolic dimension is determined at
+ *    runtime like "none", but all the dimensions with the same symbol in an operation must have
+ *    the same size.
+ *
+ *    The size of an output dimension can also be an expression of the input dimensions and the int
+ *    attributes, eg. "dim(src, 1) / 2" or "attr:outHeight", see parseDimExpr(). The output shape
+ *    can also copy all the dimensions of an input with "same_as:<input name>", see expandSameAs().
+ *
  *    For example: "vector:3" means it's a 3-dimensional vector.
  *
  *    If a shape array has vector dimensions, those dimensions should always start from the first
@@ -44,10 +102,13 @@ const MAT         = 'MAT';
  *
  *    1. CV_<bit-depth>{U|S|F}C(<number_of_channels>)
  *    2. primary types, eg. float, int, ...
+ *       With Mat dimensions they are single-channel Mat of the matching depth, eg. [ 3, 3, float ]
+ *       is the same as [ 3, 3, CV_32F ], and [ 3, 3, float:Matx ] is the same as [ 3, 3, CV_32F:Matx ].
+ *    3. OpenCV geometry types, eg. Point2f, Rect, KeyPoint, ...
  *
  * There are only four possible cases for the type of a shape array:
- *   1. Scalar... of primary type object.
- *   2. Vecotr... of primary type object.
+ *   1. Scalar... of primary type or geometry type object.
+ *   2. Vecotr... of primary type or geometry type object.
  *   3. Vector... of Mat object.
  *   4. Just Mat object.
  *
@@ -136,6 +197,15 @@ function parseShape(shape) {
   result.matDims = result.cvRank - result.vecDims;
   result.matDimDtorArr = result.dimDtorArr.slice(lastVecIdx + 1, result.dimDtorArr.length);
 
+  if (result.dataDtor.format === 'std') {
+    if (result.matDims > 0) {
+      // Mat of primary type is a single-channel Mat of the matching depth, eg. float as CV_32F.
+      result.dataDtor = toCvDataDtor(result.dataDtor);
+    } else if (result.dataDtor.ctype) {
+      throw new Error(`Invalid shape format: ${result.dataDtor.ctype} of primary type requires Mat dimensions`);
+    }
+  }
+
   if (lastVecIdx !== -1) {
     if (result.vecDims === result.cvRank) {
       if (result.dataDtor.format === 'cv') {
@@ -166,7 +236,7 @@ function parseShape(shape) {
 
   switch (result.type) {
       case VEC_OF_PRIM:
-          result.varDecStr = declareVec(`${result.dataDtor.dtype}`, result.vecDims);
+          result.varDecStr = declareVec(`${primDecStr(result.dataDtor)}`, result.vecDims);
           break;
       case VEC_OF_MAT:
       case MAT:
@@ -188,7 +258,8 @@ function parseShape(shape) {
               // It's a vector so we have to add a '1' at the front.
               matDimStr = `1, ${matDimStr}`;
             }
-            result.varMatDecStr = `${ctype}<${types.cvToStd(result.dataDtor.dtype)}, ${matDimStr}>`;
+            const dtype = result.dataDtor.typeVar || types.cvToStd(result.dataDtor.dtype);
+            result.varMatDecStr = `${ctype}<${dtype}, ${matDimStr}>`;
           } else {
             result.varMatDecStr = 'Mat';
           }
@@ -200,7 +271,7 @@ function parseShape(shape) {
           }
           break;
       case SCALAR:
-          result.varDecStr = result.dataDtor.dtype;
+          result.varDecStr = primDecStr(result.dataDtor);
           break;
       default:
           throw new Error('Unknown shape format: ' + shape);
@@ -208,6 +279,24 @@ function parseShape(shape) {
 
   return result;
 
+  function toCvDataDtor(dataDtor) {
+    let cvTypeStr;
+    if (dataDtor.typeVar) {
+      cvTypeStr = `CV_${dataDtor.typeVar}`;
+    } else {
+      try {
+        cvTypeStr = types.stdToCv(dataDtor.dtype);
+      } catch (err) {
+        throw new Error(`Invalid shape format: Mat of ${dataDtor.dtype} is not supported by OpenCV`);
+      }
+    }
+    return parseDataDtor(`${cvTypeStr}:${dataDtor.ctype || 'Mat'}`);
+  }
+
+  function primDecStr(dataDtor) {
+    return dataDtor.format === 'geo' ? dataDtor.ctype : dataDtor.dtype;
+  }
+
   function declareVec(template, end) {
     if (end === 0) {
       return `${template}`;
@@ -222,9 +311,30 @@ function parseShape(shape) {
  * The format of the shape element can be one of the following:
  *  1. <type>:<dimensions>
  *  2. <dimensions>
+ *  3. <type>:<symbol>
+ *  4. <symbol>
+ *  5. <type>:<expression>
+ *  6. <expression>
+ *
+ * A symbol is a name starts with an uppercase letter, but "NONE" and names start with "CV_" are
+ * reserved. An expression computes the size from the input dimensions and the attributes, see
+ * parseDimExpr(), it can only be used by outputs.
  *
  * @param {array} shape The shape array to be parsed.
  * @returns {object} The parsed object.
+ * @example
+ *
+ * parseDimDtor('vector:3');
+ * // => { type: 'vector', dims: 3 }
+ *
+ * parseDimDtor('none');
+ * // => { type: 'Mat', dims: 'none' }
+ *
+ * parseDimDtor('H');
+ * // => { type: 'Mat', dims: 'none', symbol: 'H' }
+ *
+ * parseDimDtor('vector:dim(src, 0)');
+ * // => { type: 'vector', dims: 'none', expr: { op: 'dim', name: 'src', dimIdx: 0 } }
  */
 function parseDimDtor(str) {
   if (!lodash.isString(str) && !lodash.isInteger(str)) {
@@ -232,9 +342,21 @@ function parseDimDtor(str) {
   }
   const format1 = /(^vector):(none|0|[1-9]\d*)$/;
   const format2 = /(^none|^0|^[1-9]\d*)$/;
+  const format3 = /(^vector):([A-Z]\w*)$/;
+  const format4 = /^([A-Z]\w*)$/;
 
   let result;
-  if (format1.test(str)) {
+  if (format3.test(str) || format4.test(str)) {
+    result = format3.test(str) ? format3.exec(str).slice(1) : ['Mat', format4.exec(str)[1]];
+    if (result[1] === 'NONE' || result[1].startsWith('CV_')) {
+      throw new Error(`Invalid dimensional descriptor format: ${str}`);
+    }
+    return {
+      type: result[0],
+      dims: 'none',
+      symbol: result[1]
+    };
+  } else if (format1.test(str)) {
     result = format1.exec(str);
     if (result[2] !== 'none' && parseInt(result[2]) < 1) {
       throw new Error('Invalid dimensional descriptor format: dimension should > 0');
@@ -252,18 +374,198 @@ function parseDimDtor(str) {
       type: 'Mat',
       dims: result[1] === 'none' ? result[1] : parseInt(result[1])
     };
+  } else if (SAME_AS_FORMAT.test(str)) {
+    // The outputs expand it by expandSameAs() before parsing.
+    throw new Error(`Invalid dimensional descriptor format: ${str} is only allowed in outputs`);
   } else {
-    throw new Error(`Invalid dimensional descriptor format: ${str}`);
+    result = /^vector:/.test(str) ? ['vector', str.slice('vector:'.length)] : ['Mat', String(str)];
+    let expr;
+    try {
+      expr = parseDimExpr(result[1]);
+    } catch (err) {
+      throw new Error(`Invalid dimensional descriptor format: ${str}`);
+    }
+    return {
+      type: result[0],
+      dims: 'none',
+      expr
+    };
   }
 }
 
+/**
+ * Parses the expression of a dimension size, which is determined by the input dimensions and the
+ * attributes of the operation. The expression consists of:
+ *  - dim(<input name>, <index>): the size of a tensor dimension of the input
+ *  - attr:<attribute name>: the value of an int attribute
+ *  - non-negative integers
+ *  - the integer operators +, -, *, / and parentheses, the division rounds down
+ *
+ * Each node of the parsed expression tree has an "op" field, which is one of 'const', 'dim', 'attr'
+ * or the operator of the binary node, which has "left" and "right" child nodes. An expression
+ * without any dim() or attr: is rejected, since its size is static.
+ *
+ * @param {string} str The expression string to be parsed.
+ * @returns {object} The root node of the parsed expression tree.
+ * @example
+ *
+ * parseDimExpr('dim(src, 1) / 2');
+ * // => { op: '/', left: { op: 'dim', name: 'src', dimIdx: 1 }, right: { op: 'const', value: 2 } }
+ *
+ * parseDimExpr('attr:outHeight');
+ * // => { op: 'attr', name: 'outHeight' }
+ */
+function parseDimExpr(str) {
+  const tokenFormat = /\s*(\d+|[A-Za-z_]\w*|[-+*/(),:])\s*/y;
+  let tokens = [];
+  while (tokenFormat.lastIndex < str.length) {
+    const token = tokenFormat.exec(str);
+    if (!token) {
+      throw new Error(`Invalid dimension expression: ${str}`);
+    }
+    tokens.push(token[1]);
+  }
+
+  let pos = 0;
+  const root = parseSum();
+  if (pos < tokens.length) {
+    throw new Error(`Invalid dimension expression: ${str}`);
+  }
+  if (!dimExprNodes(root).some((node) => { return node.op === 'dim' || node.op === 'attr'; })) {
+    throw new Error(`Invalid dimension expression: ${str} refers to no input dimension or attribute`);
+  }
+  return root;
+
+  function parseSum() {
+    let node = parseProduct();
+    while (tokens[pos] === '+' || tokens[pos] === '-') {
+      const op = tokens[pos++];
+      node = { op, left: node, right: parseProduct() };
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseFactor();
+    while (tokens[pos] === '*' || tokens[pos] === '/') {
+      const op = tokens[pos++];
+      node = { op, left: node, right: parseFactor() };
+    }
+    return node;
+  }
+
+  function parseFactor() {
+    const token = tokens[pos++];
+    if (/^\d+$/.test(token)) {
+      return { op: 'const', value: parseInt(token) };
+    } else if (token === '(') {
+      const node = parseSum();
+      expect(')');
+      return node;
+    } else if (token === 'dim') {
+      expect('(');
+      const name = expectName();
+      expect(',');
+      const dimIdx = tokens[pos++];
+      if (!/^\d+$/.test(dimIdx)) {
+        throw new Error(`Invalid dimension expression: ${str}`);
+      }
+      expect(')');
+      return { op: 'dim', name, dimIdx: parseInt(dimIdx) };
+    } else if (token === 'attr') {
+      expect(':');
+      return { op: 'attr', name: expectName() };
+    }
+    throw new Error(`Invalid dimension expression: ${str}`);
+  }
+
+  function expect(token) {
+    if (tokens[pos++] !== token) {
+      throw new Error(`Invalid dimension expression: ${str}`);
+    }
+  }
+
+  function expectName() {
+    const token = tokens[pos++];
+    if (token === undefined || !/^[A-Za-z_]\w*$/.test(token)) {
+      throw new Error(`Invalid dimension expression: ${str}`);
+    }
+    return token;
+  }
+}
+
+/**
+ * Lists all the nodes of a parsed dimension expression tree in pre-order.
+ *
+ * @param {object} expr The root node of the expression tree, see parseDimExpr().
+ * @returns {array} The list of nodes.
+ */
+function dimExprNodes(expr) {
+  if (expr.left) {
+    return [expr].concat(dimExprNodes(expr.left), dimExprNodes(expr.right));
+  }
+  return [expr];
+}
+
+/**
+ * Gets the input name of a "same_as:<input name>" dimension descriptor.
+ *
+ * @param {string} str The dimension descriptor string.
+ * @returns {string} The input name, or undefined if it's not a same_as descriptor.
+ */
+function getSameAsName(str) {
+  const result = SAME_AS_FORMAT.exec(str);
+  return result ? result[1] : undefined;
+}
+
+/**
+ * Expands the "same_as:<input name>" dimension descriptors of an output shape array, each of them
+ * is replaced by the dimensions of the input, which are the expressions referring to the
+ * dimensions of the input. The data descriptor of the output is kept, so that the output can have
+ * a different type.
+ *
+ * @param {array} shape The shape array to be expanded.
+ * @param {function} lookup The function which returns the shape array of an input by its name, or
+ *                          undefined if there is no such input.
+ * @returns {array} The expanded shape array.
+ * @example
+ *
+ * // The shape of input src is [ none, none, CV_8UC3 ]
+ * expandSameAs([ 'same_as:src', 'CV_32FC3' ], lookup);
+ * // => [ 'dim(src, 0)', 'dim(src, 1)', 'CV_32FC3' ]
+ */
+function expandSameAs(shape, lookup) {
+  const lastElemIdx = shape.length - 1;
+  return shape.reduce((result, dtor, index) => {
+    const name = index < lastElemIdx ? getSameAsName(dtor) : undefined;
+    if (name === undefined) {
+      return result.concat([dtor]);
+    }
+    const refShape = lookup(name);
+    if (!Array.isArray(refShape)) {
+      throw new Error(`Invalid shape format: ${name} referred by ${dtor} is not an input`);
+    }
+    return result.concat(refShape.slice(0, refShape.length - 1).map((refDtor, dimIdx) => {
+      return `${/^vector:/.test(refDtor) ? 'vector:' : ''}dim(${name}, ${dimIdx})`;
+    }));
+  }, []);
+}
+
 /**
  * Parses data descriptor string.
  *
  * Data descriptor format can be one of the following:
- *  1. CV_<bit-depth>{U|S|F}C(<number_of_channels>):{Mat|Matx|Vec}
+ *  1. CV_<bit-depth>{U|S|F}C<number_of_channels>:{Mat|Matx|Vec}, the number is up to 4, or
+ *     CV_<bit-depth>{U|S|F}C(<number_of_channels>):{Mat|Matx|Vec}, the number is up to 512
  *  2. CV_<bit-depth>{U|S|F}:{Mat|Matx|Vec}  // which means channels = 1
- *  3. Primary types, eg. int, float.
+ *  3. CV_<type variable>C(<number_of_channels>):{Mat|Matx|Vec}, eg. CV_TC3, or CV_<type variable>
+ *  4. Primary types, eg. int, float, bool, int64_t, or the ones registered by types.registerType().
+ *     They can be suffixed with :{Mat|Matx|Vec} when used with Mat dimensions, eg. float:Matx.
+ *  5. Type variable, eg. T, or T:{Mat|Matx|Vec}.
+ *  6. OpenCV geometry types, eg. Point2f, Rect, KeyPoint, see GEOMETRY_TYPES.
+ *
+ * A type variable is a name starts with an uppercase letter, which refers to a type attribute of
+ * the operation, eg. "T": "{float32, float64}".
  *
  * @param {string} str The data descriptor string to be parsed.
  * @return {object} The parsed object.
@@ -275,12 +577,22 @@ function parseDimDtor(str) {
  * parseDataDtor('CV_32FC2:Matx');
  * // => { format: 'cv', ctype: 'Matx', dtype: '32F', channels: 2 }
  *
+ * parseDataDtor('CV_32FC(16)');
+ * // => { format: 'cv', ctype: 'Mat', dtype: '32F', channels: 16 }
+ *
  * parseDataDtor('CV_64F:Vec');
  * // => { format: 'cv', ctype: 'Vec', dtype: '64F', channels: 1 }
  *
  * parseDataDtor('int');
  * // => { format: 'std', type: 'int', channels: 1 }
  *
+ * parseDataDtor('CV_TC3');
+ * // => { format: 'cv', ctype: 'Mat', dtype: 'T', typeVar: 'T', channels: 3 }
+ *
+ * parseDataDtor('Point2f');
+ * // => { format: 'geo', ctype: 'Point2f', dtype: 'float', channels: 2,
+ * //      fields: [{ accessor: '.x', dtype: 'float' }, { accessor: '.y', dtype: 'float' }] }
+ *
  */
 function parseDataDtor(str) {
   if (typeof str !== 'string') {
@@ -294,23 +606,24 @@ function parseDataDtor(str) {
 
     const dtypeFormat1 = /^CV_([1-9]\d*)(U|S|F)C([1-9]\d*)$/;
     const dtypeFormat2 = /^CV_([1-9]\d*)(U|S|F)$/;
+    // The channel number in parentheses is the form of more than 4 channels, eg. CV_32FC(16).
+    const dtypeFormat3 = /^CV_([1-9]\d*)(U|S|F)C\(([1-9]\d*)\)$/;
+    const typeVarFormat = /^CV_([A-Z]\w*?)(?:C([1-9]\d*)|C\(([1-9]\d*)\))?$/;
     const ctypeFormat  = /^(Mat|Matx|Vec)$/;
 
     const part1 = str.split(':')[0];
     const part2 = str.split(':')[1];
 
     let dtype;
-    if (dtypeFormat1.test(part1)) {
-      dtype = dtypeFormat1.exec(part1);
+    let cvTypeStr = part1;
+    if (dtypeFormat1.test(part1) || dtypeFormat3.test(part1)) {
+      const inParens = dtypeFormat3.test(part1);
+      dtype = inParens ? dtypeFormat3.exec(part1) : dtypeFormat1.exec(part1);
 
       const depth = `${dtype[1]}${dtype[2]}`;
       const channels = dtype[3];
-      if (channels > 4) {
-        // Maximum channel number is 4
-        throw new Error(`Invalid Data Cell format of channel: expect number between 1, 4 but get ${channels} from ${str}`);
-      }
-      if (depth !== '8U' && depth !== '8S' && depth !== '16U' && depth !== '16S'
-          && depth !== '32S' && depth !== '32F' && depth !== '64F') {
+      checkChannels(channels, inParens);
+      if (!types.isCvDepth(depth)) {
         throw new Error(`Invalid Data Cell format of depth: ${depth} from ${str}`);
       }
       parsed.dtype = depth;
@@ -319,18 +632,29 @@ function parseDataDtor(str) {
       dtype = dtypeFormat2.exec(part1);
 
       const depth = `${dtype[1]}${dtype[2]}`;
-      if (depth !== '8U' && depth !== '8S' && depth !== '16U' && depth !== '16S'
-          && depth !== '32S' && depth !== '32F' && depth !== '64F') {
+      if (!types.isCvDepth(depth)) {
         throw new Error(`Invalid Data Cell format of depth: ${depth} from ${str}`);
       }
       parsed.dtype = depth;
       parsed.channels = 1;
+    } else if (typeVarFormat.test(part1)) {
+      // The depth is a type variable, which is a template parameter of the kernel, so the CV type
+      // is determined at compile time.
+      dtype = typeVarFormat.exec(part1);
+
+      const channels = dtype[2] || dtype[3] || '1';
+      checkChannels(channels, Boolean(dtype[3]));
+      parsed.dtype = dtype[1];
+      parsed.typeVar = dtype[1];
+      parsed.channels = parseInt(channels);
+      cvTypeStr = parsed.channels > 1 ? `CV_MAKETYPE(cv::DataType<${dtype[1]}>::depth, ${channels})` :
+                                        `cv::DataType<${dtype[1]}>::depth`;
     } else {
       throw new Error(`Invalid data descriptor format: ${str}`);
     }
 
-    // Return original CV string part.
-    parsed.toString = toString.bind({ dataDtorStr: part1 });
+    // Return original CV string part, or the compile-time CV type of type variable.
+    parsed.toString = toString.bind({ dataDtorStr: cvTypeStr });
 
     parsed.ctype = 'Mat';   // default ctype
     if (part2) {
@@ -349,23 +673,55 @@ function parseDataDtor(str) {
       parsed.accessor = function(argusStr) { return `[${argusStr}]`; };
     } else {
       // Default is Mat.
-      if (parsed.channels > 1) {
+      if (parsed.channels > MAX_VEC_CHANNELS) {
+        // There is no Vec typedef for so many channels, the channels are accessed by the pointer
+        // to the first channel, which is indexed by the channel number like Vec.
+        parsed.accessor = function(argusStr) {
+          return `.ptr<${this.dtype}>(${argusStr})`;
+        }.bind({ dtype: parsed.typeVar || types.cvToStd(parsed.dtype) });
+      } else if (parsed.channels > 1) {
         parsed.accessor = function(argusStr) {
           return `.at<Vec<${this.dtype}, ${this.channels}>>(${argusStr})`;
-        }.bind({ dtype: types.cvToStd(parsed.dtype), channels: parsed.channels });
+        }.bind({ dtype: parsed.typeVar || types.cvToStd(parsed.dtype), channels: parsed.channels });
       } else {
         parsed.accessor = function(argusStr) {
           return `.at<${this.dtype}>(${argusStr})`;
-        }.bind({ dtype: types.cvToStd(parsed.dtype) });
+        }.bind({ dtype: parsed.typeVar || types.cvToStd(parsed.dtype) });
       }
     }
+  } else if (lodash.has(GEOMETRY_TYPES, str)) {
+    const geometry = GEOMETRY_TYPES[str];
+    parsed.format = 'geo';
+    parsed.ctype = str;
+    parsed.dtype = geometry.dtype;
+    parsed.fields = geometry.fields.map((field) => {
+      return typeof field === 'string' ? { accessor: field, dtype: geometry.dtype } : field;
+    });
+    // The fields are stored in the last tensor dimension like the channels.
+    parsed.channels = parsed.fields.length;
+    parsed.toString = toString.bind({ dataDtorStr: str });
   } else {
-    const stdFormat = /^(char|int|float|double)$/;
-    if (!stdFormat.test(str)) {
+    // The registered types go first, so that they can be told from the type variables.
+    const typeVarFormat = /^([A-Z]\w*)$/;
+    const ctypeFormat  = /^(Mat|Matx|Vec)$/;
+
+    const part1 = str.split(':')[0];
+    const part2 = str.split(':')[1];
+    if (lodash.has(GEOMETRY_TYPES, part1) || (!types.isStdType(part1) && !typeVarFormat.test(part1))) {
       throw new Error(`Invalid data descriptor format: ${str}`);
     }
     parsed.format = 'std';
-    parsed.dtype = stdFormat.exec(str)[1];
+    parsed.dtype = part1;
+    if (!types.isStdType(part1)) {
+      parsed.typeVar = part1;
+    }
+    if (part2 !== undefined) {
+      // The ctype is only used by the shapes with Mat dimensions, see parseShape().
+      if (!ctypeFormat.test(part2)) {
+        throw new Error(`Invalid data descriptor format: ${str}`);
+      }
+      parsed.ctype = part2;
+    }
     parsed.channels = 1;
     parsed.toString = toString.bind({ dataDtorStr: parsed.dtype });
   }
@@ -375,6 +731,14 @@ function parseDataDtor(str) {
   function toString() {
     return this.dataDtorStr;
   }
+
+  function checkChannels(channels, inParens) {
+    // The channel numbers of CV_<depth>C<n> are defined up to 4, the others have to use CV_<depth>C(<n>).
+    const maxChannels = inParens ? CV_CN_MAX : MAX_VEC_CHANNELS;
+    if (channels > maxChannels) {
+      throw new Error(`Invalid Data Cell format of channel: expect number between 1, ${maxChannels} but get ${channels} from ${str}`);
+    }
+  }
 }
 
 /**
@@ -396,6 +760,9 @@ function parseDataDtor(str) {
  * getTfRank([ int ]);
  * // => 0
  *
+ * getTfRank([ vector:none, Point2f ]);
+ * // => 2
+ *
  * getTfRank([ ]);
  * // => Invalid shape format: empty shape array.
  */
@@ -405,7 +772,10 @@ function getTfRank(shape) {
 
   const dtor = parseDataDtor(shape[shape.length - 1]);
   const cvRank = shape.length - 1;
-  if (dtor.format === 'cv') {
+  if (dtor.format === 'geo') {
+    // The fields of geometry types are count as one dimension.
+    return cvRank + 1;
+  } else if (dtor.format === 'cv') {
     if (dtor.channels === 1) {
       return cvRank;
     }
@@ -429,6 +799,30 @@ function getCvRank(shape) {
   return shape.length - 1;
 }
 
+/**
+ * Lists the ragged layers of the shape, which are the dynamic vector dimensions except the first one.
+ * The vectors of such a layer can have different lengths, eg. the rows of vector<vector<int>>, so
+ * the tensor dimension is padded to the longest one.
+ *
+ * @param {object} pShape The parsed shape object.
+ * @returns {array} The indices of the ragged layers.
+ * @example
+ *
+ * getRaggedLayers(parseShape([ vector:none, vector:none, int ]));
+ * // => [ 1 ]
+ *
+ * getRaggedLayers(parseShape([ vector:none, vector:3, none, CV_8U ]));
+ * // => [ ]
+ */
+function getRaggedLayers(pShape) {
+  if (pShape.vecDims < 2) {
+    return [];
+  }
+  return lodash.range(1, pShape.vecDims).filter((layer) => {
+    return pShape.dimDtorArr[layer].dims === 'none';
+  });
+}
+
 module.exports = {
   SCALAR,
   VEC_OF_PRIM,
@@ -437,6 +831,12 @@ module.exports = {
   parseShape,
   getTfRank,
   getCvRank,
+  getRaggedLayers,
   parseDataDtor,
-  parseDimDtor
+  isGeometryType,
+  parseDimDtor,
+  parseDimExpr,
+  dimExprNodes,
+  getSameAsName,
+  expandSameAs
 };
@@ -7,10 +7,16 @@ const kernelTemplate = `
 #include "opencv2/core.hpp"
 
 #include "{{srcFile}}.hpp"
+{{#includes}}
+#include {{{.}}}
+{{/includes}}
 
-using namespace std;
-using namespace pv;
+{{#usingNamespaces}}
+using namespace {{.}};
+{{/usingNamespaces}}
+{{#hasUsingNamespaces}}
 
+{{/hasUsingNamespaces}}
 namespace tensorflow {
 
 using shape_inference::InferenceContext;
@@ -19,6 +25,9 @@ REGISTER_OP("{{opName}}")
   {{#registerOpInput}}
   {{{registerOpInputFn}}}
   {{/registerOpInput}}
+  {{#typeAttrs}}
+  {{{registerTypeAttrFn}}}
+  {{/typeAttrs}}
   {{#opAttributes}}
   {{{registerOpAttrFn}}}
   {{/opAttributes}}
@@ -26,13 +35,19 @@ REGISTER_OP("{{opName}}")
   {{{registerOpOutputFn}}}
   {{/registerOpOutput}}
   .SetShapeFn([](InferenceContext* c) {
+    {{#shapeFnInputs}}
+    {{{checkShapeFnInputFn}}}
+    {{/shapeFnInputs}}
+    {{#shapeFnAttributes}}
+    {{{getShapeFnAttrFn}}}
+    {{/shapeFnAttributes}}
     {{#registerOpShape}}
     {{{registerOpShapeFn}}}
     {{/registerOpShape}}
     return Status::OK();
   });
 
-class {{opName}}Op : public OpKernel {
+{{{templateDecl}}}class {{opName}}Op : public OpKernel {
   public:
     explicit {{opName}}Op(OpKernelConstruction* context) : OpKernel(context) {
       {{#opAttributes}}
@@ -60,7 +75,9 @@ class {{opName}}Op : public OpKernel {
     {{/opAttributes}}
 };
 
-REGISTER_KERNEL_BUILDER(Name("{{opName}}").Device({{device}}), {{opName}}Op);
+{{#kernelBuilders}}
+REGISTER_KERNEL_BUILDER(Name("{{opName}}").Device({{device}}){{{constraints}}}, {{opName}}Op{{{templateArgus}}});
+{{/kernelBuilders}}
 
 } // namespace tensorflow`;
 
@@ -79,14 +96,72 @@ _op_module = tf.load_op_library(os.path.join(
 ))
 
 {{#ops}}
+{{^wrapper}}
 {{name}} = _op_module.{{name}}
+{{/wrapper}}
+{{/ops}}
+{{#hasLengths}}
+
+
+def _full_lengths(tensor, layer):
+  # The vectors of the layer are as long as the tensor dimension if the lengths are not given.
+  shape = tf.shape(tensor)
+  return tf.fill(shape[:layer], shape[layer])
+{{/hasLengths}}
+{{#ops}}
+{{#wrapper}}
+
+
+def {{name}}({{{params}}}, **kwargs):
+  {{#lengths}}
+  if {{lengthsName}} is None:
+    {{lengthsName}} = _full_lengths({{inputName}}, {{layer}})
+  {{/lengths}}
+  return _op_module.{{name}}({{{argus}}}, **kwargs)
+{{/wrapper}}
 {{/ops}}`;
 
+const declTemplate = `
+/** This file was generated automatically, please don't modify it unless you know what you are doing. **/
+/** It declares the functions which the kernels call, include it in your implementation to check the signatures. **/
+
+#ifndef {{guard}}
+#define {{guard}}
+
+#include <string>
+#include <vector>
+
+#include "opencv2/core.hpp"
+
+{{#namespaces}}
+{{#open}}
+{{{open}}}
+
+{{/open}}
+{{#usingDirectives}}
+using namespace std;
+using namespace cv;
+
+{{/usingDirectives}}
+{{#declarations}}
+{{{.}}}
+{{/declarations}}
+{{#close}}
+
+{{{close}}}
+{{/close}}
+
+{{/namespaces}}
+#endif // {{guard}}`;
+
 module.exports = {
   getKernelTemp: () => {
     return kernelTemplate;
   },
   getPyWrapperTemp: () => {
     return pyWrapperTemplate;
+  },
+  getDeclTemp: () => {
+    return declTemplate;
   }
 };
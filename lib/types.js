@@ -1,81 +1,221 @@
 'use strict';
 
+/**
+ * The registry of element types, each one describes how the type is represented in tensorflow,
+ * OpenCV, C++ and Python:
+ *
+ *  - tf:        The tensorflow data type of the tensor, e.g. 'float32'.
+ *  - tensorCpp: The C++ type of the tensor elements, e.g. 'Eigen::half' for 'half'.
+ *  - depth:     The OpenCV depth the elements are stored as, e.g. '32F', undefined if OpenCV does not
+ *               support the type.
+ *  - name:      The name used as primary type in data descriptors, which is also its C++ type, e.g.
+ *               'int', undefined if the type can only be used by OpenCV data descriptors.
+ *  - cpp:       The C++ type used by OpenCV data structures and the function, e.g. 'cv::float16_t'.
+ *  - numpy:     The NumPy data type name, e.g. 'float32'.
+ *
+ * Several types can share the same depth or tensorflow type, e.g. 'int' and 'int32_t'. The first
+ * registered one is the canonical type of the depth or tensorflow type, which is chosen when the
+ * type is looked up by them.
+ */
+let registry = [];
+
+/**
+ * Registers an element type, so that it can be used in the data descriptors and the type attributes.
+ *
+ * @example
+ * // A fixed-point type of the project which is stored as int16 tensors, and can be used as
+ * // data descriptor "fixed16_t", e.g. [ "vector:none", "fixed16_t" ].
+ * registerType({ name: 'fixed16_t', tf: 'int16', depth: '16S' });
+ *
+ * @param {object} type The type definition, see the registry above. Either name or cpp is required,
+ *                      tensorCpp defaults to the one of the canonical type of tf, and numpy defaults
+ *                      to tf.
+ * @return {object} The registered type.
+ */
+function registerType(type) {
+  if (!type || typeof type !== 'object') {
+    throw new Error(`Invalid type definition: ${type}`);
+  }
+  if (typeof type.tf !== 'string' || !/^\w+$/.test(type.tf)) {
+    throw new Error(`Invalid type definition: invalid tensorflow type ${type.tf}`);
+  }
+  if (type.name !== undefined) {
+    if (typeof type.name !== 'string' || !/^[A-Za-z_]\w*$/.test(type.name)) {
+      throw new Error(`Invalid type definition: invalid type name ${type.name}`);
+    }
+    if (findType('name', type.name)) {
+      throw new Error(`Invalid type definition: type ${type.name} is already registered`);
+    }
+  }
+  if (type.depth !== undefined && (typeof type.depth !== 'string' || !/^[1-9]\d*(U|S|F)$/.test(type.depth))) {
+    throw new Error(`Invalid type definition: invalid OpenCV depth ${type.depth}`);
+  }
+
+  const cpp = type.cpp || type.name;
+  if (typeof cpp !== 'string' || cpp.length === 0) {
+    throw new Error(`Invalid type definition: either name or cpp is required for ${type.tf}`);
+  }
+  const tfType = findType('tf', type.tf);
+  const tensorCpp = type.tensorCpp || (tfType ? tfType.tensorCpp : cpp);
+
+  const registered = {
+    tf: type.tf,
+    tensorCpp,
+    depth: type.depth,
+    name: type.name,
+    cpp,
+    numpy: type.numpy || (tfType ? tfType.numpy : type.tf)
+  };
+  registry.push(registered);
+  return registered;
+}
+
+function findType(key, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return registry.find((type) => { return type[key] === value; });
+}
+
+/**
+ * Checks whether the OpenCV depth is supported, e.g. '8U'.
+ */
+function isCvDepth(depth) {
+  return Boolean(findType('depth', depth));
+}
+
+/**
+ * Checks whether the name is a primary type which can be used in data descriptors, e.g. 'int'.
+ */
+function isStdType(name) {
+  return Boolean(findType('name', name));
+}
+
 function cvToStd(typeStr) {
-  switch (typeStr) {
-      case '8U':
-          return 'uint8_t';
-      case '16U':
-          return 'uint16_t';
-      case '8S':
-          return 'int8_t';
-      case '16S':
-          return 'int16_t';
-      case '32S':
-          return 'int32_t';
-      case '32F':
-          return 'float';
-      case '64F':
-          return 'double';
-      default:
-          throw new Error(`Invalid data type format of CV: ${typeStr}`);
+  const type = findType('depth', typeStr);
+  if (!type) {
+    throw new Error(`Invalid data type format of CV: ${typeStr}`);
   }
+  return type.cpp;
 }
 
 function cvToTf(typeStr) {
-  // XXX: Never find uint32 or uint64 been used in Tensorflow source code...
-  switch (typeStr) {
-      case '8U':
-          return 'uint8';
-      case '16U':
-          return 'uint16';
-      case '8S':
-          return 'int8';
-      case '16S':
-          return 'int16';
-      case '32S':
-          return 'int32';
-      case '32F':
-          return 'float32';
-      case '64F':
-          return 'float64';
-      default:
-          throw new Error(`Invalid data type format of CV: ${typeStr}`);
+  const type = findType('depth', typeStr);
+  if (!type) {
+    throw new Error(`Invalid data type format of CV: ${typeStr}`);
   }
+  return type.tf;
 }
 
 function stdToCv(typeStr) {
-  switch (typeStr) {
-      case 'char':
-          return 'CV_8S';
-      case 'int':
-          return 'CV_32S';
-      case 'float':
-          return 'CV_32F';
-      case 'double':
-          return 'CV_64F';
-      default:
-          throw new Error(`Type not supported: ${typeStr}`);
+  const type = findType('name', typeStr);
+  if (!type) {
+    throw new Error(`Type not supported: ${typeStr}`);
+  }
+  if (!type.depth) {
+    // The type can only be used in vectors and scalars.
+    throw new Error(`Type not supported by OpenCV: ${typeStr}`);
   }
+  return `CV_${type.depth}`;
 }
 
 function stdToTf(typeStr) {
+  const type = findType('name', typeStr);
+  if (!type) {
+    throw new Error(`Type not supported: ${typeStr}`);
+  }
+  return type.tf;
+}
+
+// The C++ types of the elements of tensors described by primary types, e.g. 'int8_t' for 'char'.
+function stdToTensorCpp(typeStr) {
+  const type = findType('name', typeStr);
+  if (!type) {
+    throw new Error(`Type not supported: ${typeStr}`);
+  }
+  return type.tensorCpp;
+}
+
+function tfToCv(typeStr) {
+  const type = findType('tf', typeStr);
+  if (!type) {
+    throw new Error(`Invalid data type format of tensorflow: ${typeStr}`);
+  }
+  if (!type.depth) {
+    throw new Error(`Type not supported by OpenCV: ${typeStr}`);
+  }
+  return type.depth;
+}
+
+// The C++ types of tensor elements, which are different from the OpenCV ones for half and quantized
+// types, e.g. tensor<Eigen::half, 2>() but at<cv::float16_t>().
+function tfToCpp(typeStr) {
+  const type = findType('tf', typeStr);
+  if (!type) {
+    throw new Error(`Invalid data type format of tensorflow: ${typeStr}`);
+  }
+  return type.tensorCpp;
+}
+
+function tfToNumpy(typeStr) {
+  const type = findType('tf', typeStr);
+  if (!type) {
+    throw new Error(`Invalid data type format of tensorflow: ${typeStr}`);
+  }
+  return type.numpy;
+}
+
+// The names of data types used in the type lists of attributes, e.g. "T: {float, double}".
+function tfToAttr(typeStr) {
   switch (typeStr) {
-      case 'char':
-          return 'int8';
-      case 'int':
-          return 'int32';
-      case 'float':
-          return 'float32';
-      case 'double':
-          return 'float64';
+      case 'float32':
+          return 'float';
+      case 'float64':
+          return 'double';
       default:
-          throw new Error(`Type not supported: ${typeStr}`);
+          // Make sure it's a valid tensorflow type.
+          tfToCpp(typeStr);
+          return typeStr;
   }
 }
 
+// The canonical types go first.
+[
+  { tf: 'uint8', depth: '8U', name: 'uint8_t' },
+  { tf: 'int8', depth: '8S', name: 'int8_t' },
+  { tf: 'uint16', depth: '16U', name: 'uint16_t' },
+  { tf: 'int16', depth: '16S', name: 'int16_t' },
+  { tf: 'int32', depth: '32S', name: 'int32_t' },
+  { tf: 'float32', depth: '32F', name: 'float' },
+  { tf: 'float64', depth: '64F', name: 'double' },
+  { tf: 'half', depth: '16F', cpp: 'cv::float16_t', tensorCpp: 'Eigen::half', numpy: 'float16' },
+  // OpenCV 4 has no depth for these types, they can only be used in vectors and scalars.
+  { tf: 'bool', name: 'bool' },
+  { tf: 'uint32', name: 'uint32_t' },
+  { tf: 'int64', name: 'int64_t', tensorCpp: 'int64' },
+  { tf: 'uint64', name: 'uint64_t', tensorCpp: 'uint64' },
+  // The aliases of the types above.
+  { tf: 'int8', depth: '8S', name: 'char' },
+  { tf: 'int32', depth: '32S', name: 'int', tensorCpp: 'int' },
+  // The quantized types are stored as the integers of the same size.
+  { tf: 'qint8', depth: '8S', cpp: 'int8_t', tensorCpp: 'qint8', numpy: 'int8' },
+  { tf: 'quint8', depth: '8U', cpp: 'uint8_t', tensorCpp: 'quint8', numpy: 'uint8' },
+  { tf: 'qint16', depth: '16S', cpp: 'int16_t', tensorCpp: 'qint16', numpy: 'int16' },
+  { tf: 'quint16', depth: '16U', cpp: 'uint16_t', tensorCpp: 'quint16', numpy: 'uint16' },
+  { tf: 'qint32', depth: '32S', cpp: 'int32_t', tensorCpp: 'qint32', numpy: 'int32' }
+].forEach(registerType);
+
 module.exports = {
+  registerType,
+  isCvDepth,
+  isStdType,
   cvToStd,
   stdToCv,
   cvToTf,
-  stdToTf
+  stdToTf,
+  stdToTensorCpp,
+  tfToCv,
+  tfToCpp,
+  tfToNumpy,
+  tfToAttr
 };
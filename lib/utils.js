@@ -9,50 +9,175 @@ const types = require('./types');
  * The format of attribute type expression please see:
  * https://www.tensorflow.org/versions/r0.12/how_tos/adding_an_op/index.html#attr_types
  *
+ * Supported types are string, int, float, bool, the lists of them, e.g. "list(int)", and the string
+ * enums, e.g. "{'bilinear', 'nearest'}". An int can be constrained by its minimum, e.g. "int >= 1",
+ * and a list by its minimum length, e.g. "list(int) >= 2". The default value is optional, the
+ * attribute is required if it is omitted.
+ *
+ * @example
+ * parseAttrType('list(int) >= 2 = [3, 3]')
+ * // => { type: 'list(int)', defaultVal: '[3, 3]', minLength: 2 }
+ *
+ * parseAttrType("{'bilinear', 'nearest'}")
+ * // => { type: 'string', allowedValues: ['bilinear', 'nearest'] }
+ *
  * @param {array} str The attribute type expression string to be parsed.
- * @return {object} The parsed object.
+ * @return {object} The parsed object, { type, defaultVal, minimum, minLength, allowedValues }, where
+ *                  the properties other than type are present only if they are given.
  *
  */
 function parseAttrType(str) {
   if (typeof str !== 'string') {
     throw new Error(`Invalid attribute type format: ${str}`);
   }
-  // TODO: Support for more attribute types
-  const format = /^(string|int|float|bool) *= *([^ ].*)/;
+  const format =
+    /^(string|int|float|bool|list\((?:string|int|float|bool)\)|\{[^{}]*\})(?: *>= *(-?(?:0|[1-9]\d*)))?(?: *= *([^ ].*))?$/;
 
   if (!format.test(str)) {
     throw new Error(`Invalid attribute type format: ${str}`);
   }
 
   const result = format.exec(str);
-  const type = result[1];
-  const defaultVal = result[2].trim();
+  const listFormat = /^list\((.*)\)$/.exec(result[1]);
+  let parsed = { type: result[1] };
+
+  if (result[1][0] === '{') {
+    const allowedValues = splitListVal(`[${result[1].slice(1, -1)}]`);
+    if (allowedValues.length === 0 ||
+        !allowedValues.every((value) => { return /^('[^'"]*'|"[^'"]*")$/.test(value); })) {
+      throw new Error(`Invalid attribute type format: ${str}`);
+    }
+    parsed.type = 'string';
+    parsed.allowedValues = allowedValues.map((value) => { return value.slice(1, -1); });
+  }
+
+  if (result[2] !== undefined) {
+    if (listFormat && result[2][0] !== '-') {
+      parsed.minLength = Number(result[2]);
+    } else if (parsed.type === 'int') {
+      parsed.minimum = Number(result[2]);
+    } else {
+      throw new Error(`Invalid attribute type format: ${str}`);
+    }
+  }
+
+  if (result[3] === undefined) {
+    return parsed;
+  }
+  const defaultVal = result[3].trim();
+  const constraint = result[2] !== undefined ? ` >= ${result[2]}` : '';
 
-  if (type === 'string') {
-    if ((defaultVal.length < 2) ||
-        !((defaultVal[0] === '\'' && defaultVal[defaultVal.length - 1] === '\'') ||
-          (defaultVal[0] === '\"' && defaultVal[defaultVal.length - 1] === '\"'))
-    ) {
-      throw new Error(`Invalid default value for string: ${defaultVal} from ${str}`);
+  if (listFormat) {
+    const elems = splitListVal(defaultVal);
+    if (!elems || !elems.every((elem) => { return isValidDefaultVal(listFormat[1], elem); })) {
+      throw new Error(`Invalid default value for ${parsed.type}: ${defaultVal} from ${str}`);
     }
-  } else if (type === 'int') {
-    if (!/^(0|-?[1-9]\d*)$/.test(defaultVal)) {
-      throw new Error(`Invalid default value for int: ${defaultVal} from ${str}`);
+    if (parsed.minLength !== undefined && elems.length < parsed.minLength) {
+      throw new Error(`Invalid default value for ${parsed.type}${constraint}: ${defaultVal} from ${str}`);
+    }
+  } else {
+    if (!isValidDefaultVal(parsed.type, defaultVal)) {
+      throw new Error(`Invalid default value for ${parsed.type}: ${defaultVal} from ${str}`);
     }
-  } else if (type === 'float') {
-    if (!/^-?(0|0\.\d+|\.\d+|[1-9]\d*(\.\d+)?)$/.test(defaultVal)) {
-      throw new Error(`Invalid default value for float: ${defaultVal} from ${str}`);
+    if (parsed.minimum !== undefined && Number(defaultVal) < parsed.minimum) {
+      throw new Error(`Invalid default value for ${parsed.type}${constraint}: ${defaultVal} from ${str}`);
     }
-  } else if (type === 'bool') {
-    if (['0', '1', 'false', 'true', 'False', 'True'].indexOf(defaultVal) === -1) {
-      throw new Error(`Invalid default value for bool: ${defaultVal} from ${str}`);
+    if (parsed.allowedValues && parsed.allowedValues.indexOf(defaultVal.slice(1, -1)) === -1) {
+      throw new Error(`Invalid default value for ${result[1]}: ${defaultVal} from ${str}`);
     }
   }
 
-  return {
-    type,
-    defaultVal
-  };
+  // Keeps the order of properties as { type, defaultVal, ... }.
+  return Object.assign({ type: parsed.type, defaultVal }, parsed);
+}
+
+/**
+ * Parses the type list of a type attribute, which lists the tensorflow types the type variable can
+ * be, e.g. "{float32, float64}".
+ *
+ * @example
+ * parseTypeAttr('{float32, float64}')
+ * // => ['float32', 'float64']
+ *
+ * @param {string} str The type list string to be parsed.
+ * @return {array} The tensorflow types.
+ */
+function parseTypeAttr(str) {
+  if (typeof str !== 'string' || !/^\{[^{}]*\}$/.test(str.trim())) {
+    throw new Error(`Invalid type attribute format: ${str}`);
+  }
+  const typeList = splitListVal(`[${str.trim().slice(1, -1)}]`);
+  if (typeList.length === 0) {
+    throw new Error(`Invalid type attribute format: ${str}`);
+  }
+  typeList.forEach((type, index) => {
+    let cppType;
+    try {
+      cppType = types.tfToCpp(type);
+    } catch (err) {
+      throw new Error(`Invalid type attribute format: unsupported type ${type} from ${str}`);
+    }
+    // A type variable is used as the element type of both tensors and Mat objects.
+    let shared = false;
+    try {
+      shared = types.cvToStd(types.tfToCv(type)) === cppType;
+    } catch (err) {
+      // The type is not supported by OpenCV.
+    }
+    if (!shared) {
+      throw new Error(`Invalid type attribute format: type ${type} can not be shared by tensorflow and OpenCV from ${str}`);
+    }
+    if (typeList.indexOf(type) !== index) {
+      throw new Error(`Invalid type attribute format: duplicate type ${type} from ${str}`);
+    }
+  });
+  return typeList;
+}
+
+function isValidDefaultVal(type, defaultVal) {
+  switch (type) {
+    case 'string':
+      return (defaultVal.length >= 2) &&
+             ((defaultVal[0] === '\'' && defaultVal[defaultVal.length - 1] === '\'') ||
+              (defaultVal[0] === '\"' && defaultVal[defaultVal.length - 1] === '\"'));
+    case 'int':
+      return /^(0|-?[1-9]\d*)$/.test(defaultVal);
+    case 'float':
+      return /^-?(0|0\.\d+|\.\d+|[1-9]\d*(\.\d+)?)$/.test(defaultVal);
+    case 'bool':
+      return ['0', '1', 'false', 'true', 'False', 'True'].indexOf(defaultVal) !== -1;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Splits the default value of list, e.g. "[1, 2]", into the trimmed elements. Returns null if the
+ * value is not enclosed by square brackets.
+ */
+function splitListVal(val) {
+  if (!/^\[.*\]$/.test(val)) {
+    return null;
+  }
+  const inner = val.slice(1, -1).trim();
+  if (inner.length === 0) {
+    return [];
+  }
+  let elems = [];
+  let start = 0;
+  let quote;
+  for (let i = 0; i < inner.length; i++) {
+    if (quote) {
+      if (inner[i] === quote) { quote = undefined; }
+    } else if (inner[i] === '\'' || inner[i] === '"') {
+      quote = inner[i];
+    } else if (inner[i] === ',') {
+      elems.push(inner.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  elems.push(inner.slice(start).trim());
+  return elems;
 }
 
 /**
@@ -177,8 +302,124 @@ function genIfElse(condition, truthyStmts, falsyStmts) {
   }
 }
 
+/**
+ * Parses an argument of the "call" field, which lists the arguments passed to the function.
+ *
+ * An argument is either the name of an input, output, inputoutput or attribute, or a C++ expression
+ * in which "{{name}}" refers to them. The parameter type of an expression is told from its form:
+ *  - literals: 1 (int), 0.5 (double), 0.5f (float), true (bool), 'a' (char), "a" (string)
+ *  - constructors and casts: Size({{w}}, {{h}}) (Size), int(BORDER_REFLECT) (int),
+ *    static_cast<Mat*>(nullptr) (Mat*)
+ * The type can also be given explicitly by an object of { expr, type }, e.g. the one of nullptr. Bare
+ * identifiers like cv::BORDER_REFLECT and nullptr are left untyped, see isUntypedCallArg(). The
+ * namespaces std and cv are dropped from the type, the same as the verifier does.
+ *
+ * @example
+ * parseCallArg('image', ['image', 'ksize']);
+ * // => { ref: 'image' }, the same as '{{image}}'
+ *
+ * parseCallArg('cv::Size({{ksize}}, {{ksize}})', ['image', 'ksize']);
+ * // => { expr: 'cv::Size({{ksize}}, {{ksize}})', refs: ['ksize'], type: 'Size' }
+ *
+ * parseCallArg({ expr: 'nullptr', type: 'cv::Mat*' }, ['image', 'ksize']);
+ * // => { expr: 'nullptr', refs: [], type: 'Mat*' }
+ *
+ * @param {string|object} str The argument string, or the object of { expr, type }, to be parsed.
+ * @param {array} names The names which can be referred to.
+ * @return {object} The parsed argument, { ref } for a name, or { expr, refs, type } for an expression,
+ *                  where type is undefined if it can not be told.
+ */
+function parseCallArg(str, names) {
+  if (lodash.isPlainObject(str)) {
+    if (typeof str.type !== 'string' || str.type.trim().length === 0) {
+      throw new Error(`Invalid call argument: expect a non-empty type string but get ${JSON.stringify(str.type)}`);
+    }
+    const parsed = parseCallArg(str.expr, []);
+    return { expr: parsed.expr, refs: parsed.refs, type: normalizeType(str.type) };
+  }
+  if (typeof str !== 'string' || str.trim().length === 0) {
+    throw new Error(`Invalid call argument: expect a non-empty string but get ${JSON.stringify(str)}`);
+  }
+  const expr = str.trim();
+  const refOnly = /^\{\{\s*(\w+)\s*\}\}$/.exec(expr);
+  if (names.indexOf(expr) > -1 || (refOnly && names.indexOf(refOnly[1]) > -1)) {
+    return { ref: refOnly ? refOnly[1] : expr };
+  }
+
+  let refs = [];
+  const refPattern = /\{\{\s*(\w+)\s*\}\}/g;
+  let match;
+  while ((match = refPattern.exec(expr)) !== null) {
+    if (refs.indexOf(match[1]) === -1) {
+      refs.push(match[1]);
+    }
+  }
+  return { expr, refs, type: exprType(expr) };
+
+  function exprType(expr) {
+    if (/^-?\d+$/.test(expr)) {
+      return 'int';
+    } else if (/^-?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?[fF]$/.test(expr)) {
+      return 'float';
+    } else if (/^-?((\d+\.\d*|\.\d+)([eE][-+]?\d+)?|\d+[eE][-+]?\d+)$/.test(expr)) {
+      return 'double';
+    } else if (expr === 'true' || expr === 'false') {
+      return 'bool';
+    } else if (/^'([^'\\]|\\.+)'$/.test(expr)) {
+      return 'char';
+    } else if (/^"([^"\\]|\\.)*"$/.test(expr)) {
+      return 'string';
+    }
+
+    // The constructor or the cast has to be the whole expression, e.g. not Size(1, 2).area().
+    const cast = /^static_cast\s*<(.+?)>\s*\(/.exec(expr) || /^((?:\w+::)*\w+(?:\s*<[^(){}]*>)?)\s*[({]/.exec(expr);
+    if (!cast || closingIndex(expr, cast[0].length - 1) !== expr.length - 1) {
+      return undefined;
+    }
+    return normalizeType(cast[1]);
+  }
+
+  function normalizeType(type) {
+    return type
+      .replace(/\b(std|cv)::/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([<>,*])\s*/g, '$1')
+      .trim();
+  }
+
+  function closingIndex(expr, openIdx) {
+    let depth = 0;
+    for (let i = openIdx; i < expr.length; i++) {
+      if (expr[i] === '(' || expr[i] === '{') {
+        depth++;
+      } else if (expr[i] === ')' || expr[i] === '}') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+}
+
+/**
+ * Tells whether the call argument is left untyped, which is a bare identifier like cv::BORDER_REFLECT
+ * or nullptr. Their types are declared by the function itself, so the function is not declared again
+ * by the generated header, see renderDeclTemp() of the generator.
+ *
+ * @param {object} arg The argument parsed by parseCallArg().
+ * @return {boolean} Whether the argument is untyped.
+ */
+function isUntypedCallArg(arg) {
+  return !arg.ref && arg.type === undefined && /^(::)?\w+(::\w+)*$/.test(arg.expr) && !/^-?\d/.test(arg.expr);
+}
+
 module.exports = {
   parseAttrType,
+  parseTypeAttr,
+  parseCallArg,
+  isUntypedCallArg,
   lastIndexOf,
   expandArrayAccessor,
   expandArgus,
@@ -0,0 +1,758 @@
+'use strict';
+const lodash = require('lodash');
+const parser = require('./shape');
+const types = require('./types');
+const utils = require('./utils');
+
+/**
+ * Define the known fields of the operations metadata.
+ */
+const OP_FIELDS       = ['srcFile', 'opName', 'fnName', 'device', 'zeroCopy', 'inputs', 'outputs', 'inputoutputs',
+                         'attributes', 'typeAttrs', 'call', 'includes', 'namespace', 'usingDirectives'];
+// The fields which can also be given project-wide, see validateConfig().
+const CONFIG_FIELDS   = ['includes', 'namespace', 'usingDirectives'];
+const TENSOR_SECTIONS = ['inputs', 'outputs', 'inputoutputs'];
+const TENSOR_FIELDS   = ['id', 'shape', 'zeroCopy', 'tensorType', 'lengths', 'padding', 'return'];
+const ATTR_FIELDS     = ['id', 'type', 'as'];
+const ATTR_CV_TYPES   = ['Size', 'Scalar'];
+const DEVICES         = ['DEVICE_CPU', 'DEVICE_GPU'];
+
+
+/**
+ * Validates the metadata of a single operation.
+ *
+ * Unlike the parsers, the validator does not stop at the first problem. It walks through the whole
+ * metadata object and collects every problem it finds, each one is reported with the JSON path of
+ * the offending value, e.g. "ops[2].inputs.image.shape[3]".
+ *
+ * @param {object} opsMeta The operation metadata to be validated.
+ * @param {string} [path='op'] The JSON path of the operation metadata, used as error message prefix.
+ * @return {array} The list of problems, each one is an object of { path, message }. The list is
+ *                 empty if the metadata is valid.
+ */
+function validateOpsMeta(opsMeta, path) {
+  path = path || 'op';
+  let errors = [];
+  const report = (subPath, message) => { errors.push({ path: subPath, message }); };
+
+  if (!lodash.isPlainObject(opsMeta)) {
+    report(path, 'expect an object');
+    return errors;
+  }
+
+  checkUnknownFields(opsMeta, OP_FIELDS, path, report);
+
+  ['srcFile', 'opName', 'fnName'].forEach((field) => {
+    if (opsMeta[field] !== undefined && (!lodash.isString(opsMeta[field]) || opsMeta[field].trim().length === 0)) {
+      report(`${path}.${field}`, 'expect a non-empty string');
+    }
+  });
+  if (lodash.isString(opsMeta.fnName) && opsMeta.fnName.trim().length > 0 && !isQualifiedName(opsMeta.fnName)) {
+    report(`${path}.fnName`, `invalid C++ function name: ${opsMeta.fnName}`);
+  }
+  checkCodeSettings(opsMeta, path, report);
+  if (opsMeta.namespace !== undefined && lodash.isString(opsMeta.fnName) && opsMeta.fnName.indexOf('::') !== -1) {
+    report(`${path}.namespace`, `can not be used with the fully qualified fnName ${opsMeta.fnName}`);
+  }
+  if (opsMeta.device !== undefined && DEVICES.indexOf(opsMeta.device) === -1) {
+    report(`${path}.device`, `expect one of ${DEVICES.join(', ')} but get ${opsMeta.device}`);
+  }
+  checkBoolean(opsMeta.zeroCopy, `${path}.zeroCopy`, report);
+
+  // The ids decide the order of the arguments, they have to be unique across all the sections.
+  let usedIds = {};
+  // The names are used as C++ variable names, they have to be unique across all the sections.
+  let usedNames = {};
+  // The function can only return one output.
+  let returnPath;
+
+  TENSOR_SECTIONS.concat('attributes').forEach((section) => {
+    const entries = opsMeta[section];
+    if (entries === undefined) {
+      return;
+    }
+    if (!lodash.isPlainObject(entries)) {
+      report(`${path}.${section}`, 'expect an object of name-entry pairs');
+      return;
+    }
+    Object.keys(entries).forEach((key) => {
+      const entryPath = `${path}.${section}.${key}`;
+      const entry = entries[key];
+      const name = key.trim();
+
+      if (!isIdentifier(name)) {
+        report(entryPath, `invalid name: "${key}" is not a valid C++ identifier`);
+      } else if (usedNames[name]) {
+        report(entryPath, `duplicate name: already used by ${usedNames[name]}`);
+      } else {
+        usedNames[name] = entryPath;
+      }
+
+      if (!lodash.isPlainObject(entry)) {
+        report(entryPath, 'expect an object');
+        return;
+      }
+
+      if (section === 'attributes') {
+        checkUnknownFields(entry, ATTR_FIELDS, entryPath, report);
+        checkAttrType(entry.type, `${entryPath}.type`, report);
+        checkAttrCvType(entry, `${entryPath}.as`, report);
+      } else {
+        checkUnknownFields(entry, TENSOR_FIELDS, entryPath, report);
+        // Only outputs can copy the dimensions of inputs.
+        const lookup = section === 'outputs' ? (inputName) => { return findInputShape(opsMeta, inputName); } : undefined;
+        checkShape(entry.shape, `${entryPath}.shape`, report, lookup);
+        checkBoolean(entry.zeroCopy, `${entryPath}.zeroCopy`, report);
+        checkTensorType(entry, `${entryPath}.tensorType`, report);
+        checkLengths(entry, `${entryPath}.lengths`, report);
+        checkPadding(entry, section, `${entryPath}.padding`, report);
+        checkReturn(entry, section, `${entryPath}.return`, report);
+        if (entry.return === true && section === 'outputs') {
+          if (returnPath) {
+            report(`${entryPath}.return`, `only one output can be the return value, already used by ${returnPath}`);
+          } else {
+            returnPath = entryPath;
+          }
+        }
+      }
+
+      if (entry.id === undefined) {
+        // The ids are optional if the order of the arguments is given by the call field.
+        if (opsMeta.call === undefined) {
+          report(`${entryPath}.id`, 'missing required field');
+        }
+      } else if (!lodash.isInteger(entry.id) || entry.id < 0) {
+        report(`${entryPath}.id`, `expect a non-negative integer but get ${JSON.stringify(entry.id)}`);
+      } else if (usedIds[entry.id]) {
+        report(`${entryPath}.id`, `duplicate id ${entry.id}: already used by ${usedIds[entry.id]}`);
+      } else {
+        usedIds[entry.id] = entryPath;
+      }
+    });
+  });
+
+  checkTypeAttrs(opsMeta, path, usedNames, report);
+
+  // Outputs can only use the dimension symbols defined by inputs.
+  let inputSymbols = {};
+  ['inputs', 'inputoutputs'].forEach((section) => {
+    forEachDimSymbol(opsMeta[section], (symbol) => { inputSymbols[symbol] = true; });
+  });
+  forEachDimSymbol(opsMeta.outputs, (symbol, key, index) => {
+    if (!inputSymbols[symbol]) {
+      report(`${path}.outputs.${key}.shape[${index}]`, `symbol ${symbol} is not defined by any input`);
+    }
+  });
+
+  checkDimExprs(opsMeta, path, report);
+  checkReturnTypeVar(opsMeta, path, report);
+  checkCall(opsMeta, path, report);
+
+  return errors;
+}
+
+/**
+ * Validates a list of operations metadata, e.g. the content of a spec file.
+ *
+ * @param {array} opsMetaArr The list of operations metadata to be validated.
+ * @return {array} The list of problems of all the operations, see validateOpsMeta().
+ */
+function validateOpsMetaList(opsMetaArr) {
+  if (!Array.isArray(opsMetaArr)) {
+    return [{ path: 'ops', message: 'expect an array of operations metadata' }];
+  }
+  return opsMetaArr.reduce((errors, opsMeta, index) => {
+    return errors.concat(validateOpsMeta(opsMeta, `ops[${index}]`));
+  }, []);
+}
+
+/**
+ * Validates the project-wide settings of the generated C++ code, which are the defaults of the same
+ * fields of all the operations: includes, namespace and usingDirectives.
+ *
+ * @param {object} config The project-wide settings to be validated.
+ * @param {string} [path='config'] The JSON path of the settings, used as error message prefix.
+ * @return {array} The list of problems, see validateOpsMeta().
+ */
+function validateConfig(config, path) {
+  path = path || 'config';
+  let errors = [];
+  const report = (subPath, message) => { errors.push({ path: subPath, message }); };
+
+  if (!lodash.isPlainObject(config)) {
+    report(path, 'expect an object');
+    return errors;
+  }
+  checkUnknownFields(config, CONFIG_FIELDS, path, report);
+  checkCodeSettings(config, path, report);
+
+  return errors;
+}
+
+/**
+ * Throws an error which lists all the given problems if there is any.
+ *
+ * The thrown error keeps the problem list in its "errors" property.
+ *
+ * @param {array} errors The list of problems returned by validateOpsMeta() or validateOpsMetaList().
+ */
+function assertNoErrors(errors) {
+  if (errors.length === 0) {
+    return;
+  }
+  const lines = errors.map((error) => { return `  ${error.path}: ${error.message}`; });
+  let err = new Error(`Invalid operations metadata format:\n${lines.join('\n')}`);
+  err.errors = errors;
+  throw err;
+}
+
+function checkUnknownFields(obj, knownFields, path, report) {
+  Object.keys(obj).forEach((field) => {
+    if (knownFields.indexOf(field) === -1) {
+      const suggestion = closestName(field, knownFields);
+      report(`${path}.${field}`, `unknown field${suggestion ? `, did you mean "${suggestion}"?` : ''}`);
+    }
+  });
+}
+
+/**
+ * Checks the shape array of a tensor.
+ *
+ * @param {*} shape The shape array to be checked.
+ * @param {string} path The JSON path of the shape array.
+ * @param {function} report The function which reports a problem.
+ * @param {function} [lookup] The function which returns the shape array of an input by its name,
+ *                            the same_as dimension descriptors are only allowed if it's given.
+ */
+function checkShape(shape, path, report, lookup) {
+  if (shape === undefined) {
+    report(path, 'missing required field');
+    return;
+  }
+  if (!Array.isArray(shape) || shape.length === 0) {
+    report(path, 'expect a non-empty shape array');
+    return;
+  }
+
+  // Check each descriptor first so that the problems can be reported with the element index.
+  const lastElemIdx = shape.length - 1;
+  let valid = true;
+  shape.forEach((dtor, index) => {
+    const sameAsName = lookup && index < lastElemIdx ? parser.getSameAsName(dtor) : undefined;
+    if (sameAsName !== undefined) {
+      if (!Array.isArray(lookup(sameAsName))) {
+        valid = false;
+        report(`${path}[${index}]`, `${sameAsName} is not an input`);
+      }
+      return;
+    }
+    try {
+      if (index === lastElemIdx) {
+        parser.parseDataDtor(dtor);
+      } else {
+        parser.parseDimDtor(dtor);
+      }
+    } catch (err) {
+      valid = false;
+      report(`${path}[${index}]`, err.message);
+    }
+  });
+  if (!valid) {
+    return;
+  }
+
+  // The descriptors are valid, but their combination may not be.
+  try {
+    parser.parseShape(lookup ? parser.expandSameAs(shape, lookup) : shape);
+  } catch (err) {
+    report(path, err.message);
+  }
+}
+
+function checkBoolean(value, path, report) {
+  if (value !== undefined && !lodash.isBoolean(value)) {
+    report(path, `expect a boolean but get ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Checks the settings of the generated C++ code, which are shared by the operations metadata and the
+ * project-wide config.
+ */
+function checkCodeSettings(obj, path, report) {
+  if (obj.includes !== undefined) {
+    if (!Array.isArray(obj.includes)) {
+      report(`${path}.includes`, 'expect an array of header files');
+    } else {
+      obj.includes.forEach((header, index) => {
+        // Either a quoted header, "blur.hpp", without the quotes, or a system one, <vector>.
+        if (!lodash.isString(header) || !/^(<[^<>"\n]+>|[^<>"\n]+)$/.test(header.trim())) {
+          report(`${path}.includes[${index}]`, `invalid header file: ${JSON.stringify(header)}`);
+        }
+      });
+    }
+  }
+  if (obj.namespace !== undefined) {
+    // The empty namespace is the global one.
+    if (!lodash.isString(obj.namespace) || (obj.namespace !== '' && !isQualifiedName(obj.namespace))) {
+      report(`${path}.namespace`, `invalid C++ namespace: ${JSON.stringify(obj.namespace)}`);
+    }
+  }
+  checkBoolean(obj.usingDirectives, `${path}.usingDirectives`, report);
+}
+
+function checkTensorType(entry, path, report) {
+  if (entry.tensorType === undefined) {
+    return;
+  }
+  try {
+    types.tfToCpp(entry.tensorType);
+  } catch (err) {
+    report(path, err.message);
+    return;
+  }
+
+  let dataDtor;
+  try {
+    dataDtor = parser.parseDataDtor(entry.shape[entry.shape.length - 1]);
+  } catch (err) {
+    // Invalid descriptors are reported by checkShape().
+    return;
+  }
+  if (dataDtor.typeVar) {
+    report(path, `the tensor type is decided by type variable ${dataDtor.typeVar}`);
+    return;
+  }
+  // The tensor type has to be stored in the same way as the data descriptor, e.g. quint8 as CV_8U.
+  const defaultType = dataDtor.format === 'cv' ? types.cvToTf(dataDtor.dtype) : types.stdToTf(dataDtor.dtype);
+  if (entry.tensorType !== defaultType && storageOf(entry.tensorType) !== storageOf(defaultType)) {
+    report(path, `tensorflow type ${entry.tensorType} can not be stored as ${dataDtor.toString()}`);
+  }
+
+  function storageOf(tfType) {
+    try {
+      return types.tfToCv(tfType);
+    } catch (err) {
+      // The type is not supported by OpenCV, so it can only be stored as itself.
+      return tfType;
+    }
+  }
+}
+
+function checkLengths(entry, path, report) {
+  checkBoolean(entry.lengths, path, report);
+  if (entry.lengths !== true) {
+    return;
+  }
+
+  let pShape;
+  try {
+    pShape = parser.parseShape(entry.shape);
+  } catch (err) {
+    // Invalid shapes are reported by checkShape().
+    return;
+  }
+  if (parser.getRaggedLayers(pShape).length === 0) {
+    report(path, 'expect a vector:none dimension after the first vector dimension');
+  }
+}
+
+function checkPadding(entry, section, path, report) {
+  if (entry.padding === undefined) {
+    return;
+  }
+  if (section === 'inputs') {
+    // The padding elements of inputs are skipped by the lengths.
+    report(path, 'padding of inputs is not supported, use lengths instead');
+    return;
+  }
+  if (!lodash.isFinite(entry.padding)) {
+    report(path, `expect a number but get ${JSON.stringify(entry.padding)}`);
+    return;
+  }
+  if (lodash.isInteger(entry.padding)) {
+    return;
+  }
+
+  let dataDtor;
+  try {
+    dataDtor = parser.parseDataDtor(entry.shape[entry.shape.length - 1]);
+  } catch (err) {
+    // Invalid descriptors are reported by checkShape().
+    return;
+  }
+  const tfType = entry.tensorType ? entry.tensorType :
+                 dataDtor.typeVar ? undefined :
+                 dataDtor.format === 'cv' ? types.cvToTf(dataDtor.dtype) : types.stdToTf(dataDtor.dtype);
+  if (tfType !== undefined && ['half', 'float32', 'float64'].indexOf(tfType) === -1) {
+    report(path, `expect an integer for tensorflow type ${tfType} but get ${entry.padding}`);
+  }
+}
+
+function checkReturn(entry, section, path, report) {
+  checkBoolean(entry.return, path, report);
+  if (entry.return === true && section !== 'outputs') {
+    report(path, 'only outputs can be the return value');
+  }
+}
+
+/**
+ * Checks the type variable of the output returned by the function, which has to be deduced from the
+ * parameters of the function.
+ */
+function checkReturnTypeVar(opsMeta, path, report) {
+  let returnKey;
+  let paramTypeVars = {};
+  TENSOR_SECTIONS.forEach((section) => {
+    if (!lodash.isPlainObject(opsMeta[section])) {
+      return;
+    }
+    Object.keys(opsMeta[section]).forEach((key) => {
+      const entry = opsMeta[section][key];
+      if (!lodash.isPlainObject(entry)) {
+        return;
+      }
+      if (section === 'outputs' && entry.return === true && returnKey === undefined) {
+        returnKey = key;
+        return;
+      }
+      const typeVar = typeVarOf(entry.shape);
+      if (typeVar) {
+        paramTypeVars[typeVar] = true;
+      }
+    });
+  });
+  if (returnKey === undefined) {
+    return;
+  }
+  const typeVar = typeVarOf(opsMeta.outputs[returnKey].shape);
+  if (typeVar && !paramTypeVars[typeVar]) {
+    report(`${path}.outputs.${returnKey}.return`,
+           `type variable ${typeVar} of the return value can not be deduced from the parameters`);
+  }
+
+  function typeVarOf(shape) {
+    if (!Array.isArray(shape) || shape.length === 0) {
+      return undefined;
+    }
+    try {
+      return parser.parseDataDtor(shape[shape.length - 1]).typeVar;
+    } catch (err) {
+      // Invalid descriptors are reported by checkShape().
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Checks the arguments listed by the call field, see utils.parseCallArg(). The parameter types of the
+ * expressions other than bare identifiers have to be told for declaring the function, and every output
+ * has to be passed to the function, otherwise it is never set.
+ */
+function checkCall(opsMeta, path, report) {
+  if (opsMeta.call === undefined) {
+    return;
+  }
+  if (!Array.isArray(opsMeta.call)) {
+    report(`${path}.call`, 'expect an array of arguments');
+    return;
+  }
+
+  let targets = {};
+  TENSOR_SECTIONS.concat('attributes').forEach((section) => {
+    if (!lodash.isPlainObject(opsMeta[section])) {
+      return;
+    }
+    Object.keys(opsMeta[section]).forEach((key) => {
+      targets[key.trim()] = { section, key, entry: opsMeta[section][key] };
+    });
+  });
+
+  let passed = {};
+  let argIndices = {};
+  opsMeta.call.forEach((str, index) => {
+    const argPath = `${path}.call[${index}]`;
+    let arg;
+    try {
+      arg = utils.parseCallArg(str, Object.keys(targets));
+    } catch (err) {
+      report(argPath, err.message);
+      return;
+    }
+
+    (arg.ref ? [arg.ref] : arg.refs).forEach((name) => {
+      const target = targets[name];
+      if (!target) {
+        report(argPath, `${name} is not an input, output, inputoutput or attribute`);
+        return;
+      }
+      if (target.section === 'outputs' && lodash.isPlainObject(target.entry) && target.entry.return === true) {
+        report(argPath, `${name} is the return value, it can not be passed to the function`);
+      }
+      passed[name] = true;
+    });
+
+    if (arg.ref) {
+      // The names are used as the parameter names of the function declaration.
+      if (argIndices[arg.ref] !== undefined) {
+        report(argPath, `${arg.ref} is already passed as call[${argIndices[arg.ref]}]`);
+      } else {
+        argIndices[arg.ref] = index;
+      }
+    } else if (arg.type === undefined && !utils.isUntypedCallArg(arg)) {
+      report(argPath,
+        `can not tell the parameter type of ${arg.expr}, give it like ${JSON.stringify({ expr: arg.expr, type: 'int' })}`);
+    }
+  });
+
+  ['outputs', 'inputoutputs'].forEach((section) => {
+    Object.keys(targets).forEach((name) => {
+      const target = targets[name];
+      if (target.section === section && lodash.isPlainObject(target.entry) && target.entry.return !== true &&
+          !passed[name]) {
+        report(`${path}.${section}.${target.key}`, 'not passed to the function by call');
+      }
+    });
+  });
+}
+
+function checkAttrType(type, path, report) {
+  if (type === undefined) {
+    report(path, 'missing required field');
+    return;
+  }
+  try {
+    utils.parseAttrType(type);
+  } catch (err) {
+    report(path, err.message);
+  }
+}
+
+function checkAttrCvType(entry, path, report) {
+  if (entry.as === undefined) {
+    return;
+  }
+  if (ATTR_CV_TYPES.indexOf(entry.as) === -1) {
+    report(path, `expect one of ${ATTR_CV_TYPES.join(', ')} but get ${entry.as}`);
+    return;
+  }
+  try {
+    const type = utils.parseAttrType(entry.type).type;
+    if (type !== 'list(int)' && type !== 'list(float)') {
+      report(path, `only list(int) and list(float) can be converted to ${entry.as}, but get ${type}`);
+    }
+  } catch (err) {
+    // Invalid types are reported by checkAttrType().
+  }
+}
+
+function checkTypeAttrs(opsMeta, path, usedNames, report) {
+  let typeVars = {};
+  if (opsMeta.typeAttrs !== undefined) {
+    if (!lodash.isPlainObject(opsMeta.typeAttrs)) {
+      report(`${path}.typeAttrs`, 'expect an object of name-types pairs');
+    } else {
+      Object.keys(opsMeta.typeAttrs).forEach((key) => {
+        const attrPath = `${path}.typeAttrs.${key}`;
+        const name = key.trim();
+        // The type variables are C++ template parameters, they are capitalized to be told from tensors.
+        if (!/^[A-Z]\w*$/.test(name)) {
+          report(attrPath, `invalid type variable name: "${key}" has to start with an uppercase letter`);
+        } else if (usedNames[name]) {
+          report(attrPath, `duplicate name: already used by ${usedNames[name]}`);
+        } else {
+          usedNames[name] = attrPath;
+        }
+        typeVars[name] = true;
+
+        try {
+          utils.parseTypeAttr(opsMeta.typeAttrs[key]);
+        } catch (err) {
+          report(attrPath, err.message);
+        }
+      });
+    }
+  }
+
+  // The data descriptors can only use the declared type variables.
+  TENSOR_SECTIONS.forEach((section) => {
+    if (!lodash.isPlainObject(opsMeta[section])) {
+      return;
+    }
+    Object.keys(opsMeta[section]).forEach((key) => {
+      const entry = opsMeta[section][key];
+      const shape = lodash.isPlainObject(entry) ? entry.shape : undefined;
+      if (!Array.isArray(shape) || shape.length === 0) {
+        return;
+      }
+      try {
+        const typeVar = parser.parseDataDtor(shape[shape.length - 1]).typeVar;
+        if (typeVar && !typeVars[typeVar]) {
+          report(`${path}.${section}.${key}.shape[${shape.length - 1}]`,
+                 `type variable ${typeVar} is not defined in typeAttrs`);
+        }
+      } catch (err) {
+        // Invalid descriptors are reported by checkShape().
+      }
+    });
+  });
+}
+
+/**
+ * Checks the dimension expressions, which can only be used by outputs, and can only refer to the
+ * dimensions of inputs and the int attributes.
+ */
+function checkDimExprs(opsMeta, path, report) {
+  TENSOR_SECTIONS.forEach((section) => {
+    forEachDimExpr(opsMeta[section], (expr, key, index) => {
+      const dtorPath = `${path}.${section}.${key}.shape[${index}]`;
+      if (section !== 'outputs') {
+        report(dtorPath, 'dimension expressions are only allowed in outputs');
+        return;
+      }
+      parser.dimExprNodes(expr).forEach((node) => {
+        if (node.op === 'dim') {
+          checkDimRef(node, dtorPath);
+        } else if (node.op === 'attr') {
+          checkAttrRef(node, dtorPath);
+        }
+      });
+    });
+  });
+
+  function checkDimRef(node, dtorPath) {
+    const shape = findInputShape(opsMeta, node.name);
+    if (!Array.isArray(shape)) {
+      report(dtorPath, `${node.name} is not an input`);
+      return;
+    }
+    let tfRank;
+    try {
+      tfRank = parser.parseShape(shape).tfRank;
+    } catch (err) {
+      // Invalid shapes are reported by checkShape().
+      return;
+    }
+    if (node.dimIdx >= tfRank) {
+      report(dtorPath, `dimension ${node.dimIdx} is out of range, ${node.name} has ${tfRank} dimensions`);
+    }
+  }
+
+  function checkAttrRef(node, dtorPath) {
+    const attributes = lodash.isPlainObject(opsMeta.attributes) ? opsMeta.attributes : {};
+    const key = Object.keys(attributes).find((attrKey) => { return attrKey.trim() === node.name; });
+    if (key === undefined) {
+      report(dtorPath, `attribute ${node.name} is not defined`);
+      return;
+    }
+    try {
+      const type = utils.parseAttrType(attributes[key].type).type;
+      if (type !== 'int') {
+        report(dtorPath, `attribute ${node.name} has to be an int, but get ${type}`);
+      }
+    } catch (err) {
+      // Invalid types are reported by checkAttrType().
+    }
+  }
+}
+
+/**
+ * Finds the shape array of an input or inputoutput by its name, returns undefined if there is no
+ * such tensor.
+ */
+function findInputShape(opsMeta, name) {
+  let shape;
+  ['inputs', 'inputoutputs'].forEach((section) => {
+    const entries = opsMeta[section];
+    if (!lodash.isPlainObject(entries)) {
+      return;
+    }
+    Object.keys(entries).forEach((key) => {
+      if (key.trim() === name && lodash.isPlainObject(entries[key])) {
+        shape = entries[key].shape;
+      }
+    });
+  });
+  return shape;
+}
+
+function forEachDimExpr(entries, fn) {
+  forEachDimDtor(entries, (dimDtor, key, index) => {
+    if (dimDtor.expr) {
+      fn(dimDtor.expr, key, index);
+    }
+  });
+}
+
+function forEachDimSymbol(entries, fn) {
+  forEachDimDtor(entries, (dimDtor, key, index) => {
+    if (dimDtor.symbol) {
+      fn(dimDtor.symbol, key, index);
+    }
+  });
+}
+
+function forEachDimDtor(entries, fn) {
+  if (!lodash.isPlainObject(entries)) {
+    return;
+  }
+  Object.keys(entries).forEach((key) => {
+    const shape = lodash.isPlainObject(entries[key]) ? entries[key].shape : undefined;
+    if (!Array.isArray(shape)) {
+      return;
+    }
+    shape.slice(0, shape.length - 1).forEach((dtor, index) => {
+      let dimDtor;
+      try {
+        dimDtor = parser.parseDimDtor(dtor);
+      } catch (err) {
+        // Invalid descriptors are reported by checkShape().
+        return;
+      }
+      fn(dimDtor, key, index);
+    });
+  });
+}
+
+function isIdentifier(str) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(str);
+}
+
+function isQualifiedName(str) {
+  return str.split('::').every(isIdentifier);
+}
+
+/**
+ * Finds the candidate which is most similar to the given name, used for suggesting the correct
+ * spelling of a mistyped field name. Returns undefined if no candidate is similar enough.
+ */
+function closestName(name, candidates) {
+  let closest, minDistance = 3;
+  candidates.forEach((candidate) => {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < minDistance) {
+      closest = candidate;
+      minDistance = distance;
+    }
+  });
+  return closest;
+
+  function editDistance(a, b) {
+    let prev = lodash.range(b.length + 1);
+    for (let i = 1; i <= a.length; i++) {
+      let curr = [i];
+      for (let j = 1; j <= b.length; j++) {
+        curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = curr;
+    }
+    return prev[b.length];
+  }
+}
+
+module.exports = {
+  validateOpsMeta,
+  validateOpsMetaList,
+  validateConfig,
+  assertNoErrors
+};
@@ -0,0 +1,257 @@
+'use strict';
+const lodash = require('lodash');
+
+/**
+ * Define the C++ keywords which can appear in the type of a parameter without a parameter name,
+ * e.g. "unsigned int".
+ */
+const TYPE_KEYWORDS = ['const', 'unsigned', 'signed', 'char', 'short', 'int', 'long', 'float', 'double',
+                       'bool', 'void'];
+
+
+/**
+ * Finds the declarations of the given function in the C++ source.
+ *
+ * It is not a C++ parser, it only understands what usually appears in the headers of the operations:
+ * comments, preprocessor directives, namespaces and plain function declarations or definitions.
+ *
+ * @example
+ * // returns [[{ name: 'image', type: 'Mat', isConst: true, isRef: true, text: 'const cv::Mat& image' }]]
+ * findDeclarations('void blur(const cv::Mat& image);', 'blur');
+ *
+ * @param {string} source The C++ source code.
+ * @param {string} fnName The function name.
+ * @return {array} The parameter lists of all the declarations (overloads) found, see parseParam().
+ */
+function findDeclarations(source, fnName) {
+  const code = stripComments(source);
+  const pattern = new RegExp(`(^|[^\\w:~.])((?:\\w+::)*)${lodash.escapeRegExp(fnName)}\\s*\\(`, 'g');
+  let result = [];
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    const nameIdx = match.index + match[1].length;
+    // A declaration is preceded by its return type, otherwise it is a call.
+    const before = code.slice(0, nameIdx).trim();
+    if (!/[\w>&*]$/.test(before) || /\breturn$/.test(before)) {
+      continue;
+    }
+    const openIdx = match.index + match[0].length - 1;
+    const closeIdx = findClosingParen(code, openIdx);
+    if (closeIdx === -1) {
+      continue;
+    }
+    const paramStr = code.slice(openIdx + 1, closeIdx).trim();
+    if (paramStr === '' || paramStr === 'void') {
+      result.push([]);
+    } else {
+      result.push(splitTopLevel(paramStr).map(parseParam));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parses a C++ parameter declaration.
+ *
+ * The namespaces std and cv are dropped from the type, so that "const std::vector<cv::Mat> &images"
+ * has the same type as "const vector<Mat>& images".
+ *
+ * @example
+ * // returns { name: 'images', type: 'vector<Mat>', isConst: true, isRef: true, text: 'const std::vector<cv::Mat> &images' }
+ * parseParam('const std::vector<cv::Mat> &images');
+ *
+ * @param {string} text The parameter declaration.
+ * @return {object} The parsed parameter.
+ */
+function parseParam(text) {
+  text = text.trim();
+  // Drop the default argument.
+  let decl = splitTopLevel(text, '=')[0].trim();
+  let name;
+
+  const nameMatch = /^(.*[\s&*>])(\w+)$/.exec(decl);
+  if (nameMatch) {
+    const words = nameMatch[1].trim().split(/\s+/);
+    const hasName = /[&*>]$/.test(nameMatch[1].trim()) ||
+                       words.some((word) => { return TYPE_KEYWORDS.indexOf(word) === -1; }) ||
+                       TYPE_KEYWORDS.indexOf(nameMatch[2]) === -1;
+    if (hasName) {
+      name = nameMatch[2];
+      decl = nameMatch[1];
+    }
+  }
+
+  // Qualifiers of template arguments, e.g. vector<const Mat*>, are kept in the type.
+  const outer = decl.replace(/<.*>/, '<>');
+  const isConst = /\bconst\b/.test(outer);
+  const isRef = /&/.test(outer);
+  const type = normalizeType(decl
+    .replace(/<.*>|\bconst\b/g, (str) => { return str === 'const' ? '' : str; })
+    .replace(/&(?![^<]*>)/g, ''));
+
+  return { name, type, isConst, isRef, text };
+}
+
+/**
+ * Normalizes the spelling of a C++ type, so that the same types are compared equal no matter how
+ * they are written, e.g. "std::vector< cv::Matx<float, 3, 3> >" is "vector<Matx<float,3,3>>".
+ */
+function normalizeType(type) {
+  return type
+    .replace(/\b(std|cv)::/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([<>,*])\s*/g, '$1')
+    .replace(/\bString\b/g, 'string')
+    .trim();
+}
+
+/**
+ * Compares the declared parameters with the expected ones.
+ *
+ * Inputs and attributes are accepted when the types are the same, no matter how they are passed,
+ * since the kernel passes variables to the function. The untyped call arguments like nullptr are
+ * accepted by any declared type. Outputs and inputoutputs have to be passed by
+ * non-const reference, otherwise the results can not be returned to the kernel.
+ *
+ * @param {array} expected The expected parameters, see functionParams() of the generator.
+ * @param {array} actual The declared parameters, see parseParam().
+ * @return {array} The list of mismatches, each one is an object of { field, message }, where field
+ *                 is the spec field name of the parameter, e.g. "inputs.image", or "fnName" if the
+ *                 mismatch is not about a single parameter.
+ */
+function compareParams(expected, actual) {
+  let mismatches = [];
+  const report = (field, message) => { mismatches.push({ field, message }); };
+  const fieldOf = (param) => { return `${param.section}.${param.name}`; };
+
+  if (expected.length !== actual.length) {
+    report('fnName', `expect ${expected.length} arguments but get ${actual.length}`);
+  }
+
+  expected.forEach((param, index) => {
+    const pos = `argument ${index + 1}`;
+    const declared = actual[index];
+    if (!declared) {
+      report(fieldOf(param), `${pos} is missing, expect ${declareExpected(param)}`);
+      return;
+    }
+
+    // The parameter may be declared at another position, which means the ids are out of order.
+    if (declared.name && declared.name !== param.name) {
+      const other = lodash.find(expected, { name: declared.name });
+      if (other) {
+        report(fieldOf(param), `${pos} is declared as ${declared.name}, check the order of ids`);
+        return;
+      }
+    }
+
+    if (param.type === undefined) {
+      return;
+    }
+    // The expected type is spelled by the generator, e.g. "Matx<float, 3, 3>".
+    const expectedType = normalizeType(param.type);
+    const expectedDepth = vectorDepth(expectedType);
+    const declaredDepth = vectorDepth(declared.type);
+    if (expectedDepth !== declaredDepth) {
+      report(fieldOf(param),
+        `${pos} expects vector nesting depth ${expectedDepth} but get ${declaredDepth}: ${declared.text}`);
+    } else if (elementType(expectedType) !== elementType(declared.type)) {
+      report(fieldOf(param),
+        `${pos} expects type ${elementType(expectedType)} but get ${elementType(declared.type)}: ${declared.text}`);
+    } else if (param.section !== 'inputs' && param.section !== 'attributes' &&
+               (!declared.isRef || declared.isConst)) {
+      report(fieldOf(param), `${pos} must be passed by non-const reference: ${declared.text}`);
+    }
+  });
+
+  actual.slice(expected.length).forEach((declared, index) => {
+    report('fnName', `argument ${expected.length + index + 1} is not in the spec: ${declared.text}`);
+  });
+
+  return mismatches;
+
+  function declareExpected(param) {
+    if (param.type === undefined) {
+      return `an argument for ${param.name}`;
+    }
+    return `${param.isConst ? 'const ' : ''}${param.type}${param.isRef ? '&' : ''} ${param.name}`;
+  }
+}
+
+function vectorDepth(type) {
+  let depth = 0;
+  while (/^vector</.test(type)) {
+    type = type.slice('vector<'.length, -1);
+    depth++;
+  }
+  return depth;
+}
+
+function elementType(type) {
+  while (/^vector</.test(type)) {
+    type = type.slice('vector<'.length, -1);
+  }
+  return type;
+}
+
+function stripComments(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/\/\/.*$/gm, '')
+    .replace(/^\s*#.*$/gm, '');
+}
+
+function findClosingParen(code, openIdx) {
+  let depth = 0;
+  for (let i = openIdx; i < code.length; i++) {
+    if (code[i] === '(') {
+      depth++;
+    } else if (code[i] === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Splits the string by the separator which is not enclosed by any bracket or quote.
+ */
+function splitTopLevel(str, separator) {
+  separator = separator || ',';
+  let result = [];
+  let depth = 0;
+  let start = 0;
+  let quote;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (quote) {
+      if (ch === '\\') {
+        i++;
+      } else if (ch === quote) {
+        quote = undefined;
+      }
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if ('(<[{'.indexOf(ch) !== -1) {
+      depth++;
+    } else if (')>]}'.indexOf(ch) !== -1) {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      result.push(str.slice(start, i));
+      start = i + 1;
+    }
+  }
+  result.push(str.slice(start));
+  return result;
+}
+
+module.exports = {
+  findDeclarations,
+  parseParam,
+  compareParams
+};
@@ -0,0 +1,166 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { parseArgs, expandPatterns, run } from '../lib/cli';
+import { testThrownMsg } from './helper';
+
+const SPEC = {
+  inputs: { image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] } },
+  outputs: { result: { id: 1, shape: ['none', 'none', 'CV_8UC3'] } }
+};
+
+function makeSpecDir(names) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  names.forEach((name) => {
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(SPEC));
+  });
+  return dir;
+}
+
+function makeIO() {
+  let io = { out: '', err: '' };
+  io.stdout = { write: (str) => { io.out += str; } };
+  io.stderr = { write: (str) => { io.err += str; } };
+  return io;
+}
+
+test('parseArgs: parse options and spec files', t => {
+  t.deepEqual(parseArgs(['a.json', '-o', 'build', '--dry-run', 'ops/*.json', '--kernel-only']), {
+    patterns: ['a.json', 'ops/*.json'],
+    outDir: 'build',
+    config: undefined,
+    stdout: false,
+    dryRun: true,
+    kernelOnly: true,
+    pythonOnly: false,
+    check: false,
+    verify: false,
+    help: false
+  });
+  t.is(parseArgs(['--out-dir=build', 'a.json']).outDir, 'build');
+  t.true(parseArgs(['--stdout', '--python-only', 'a.json']).stdout);
+  t.true(parseArgs(['--verify', 'a.json']).verify);
+  t.is(parseArgs(['--config', 'ops.json', 'a.json']).config, 'ops.json');
+  t.is(parseArgs(['--config=ops.json', 'a.json']).config, 'ops.json');
+  t.true(parseArgs(['-h']).help);
+});
+
+test('parseArgs: throw error for invalid arguments', t => {
+  testThrownMsg(t, 'Invalid arguments: no spec file given', parseArgs, []);
+  testThrownMsg(t, 'Invalid arguments: unknown option --out', parseArgs, ['--out', 'a.json']);
+  testThrownMsg(t, 'Invalid arguments: missing directory after -o', parseArgs, ['a.json', '-o']);
+  testThrownMsg(t, 'Invalid arguments: missing file after --config', parseArgs, ['a.json', '--config']);
+  testThrownMsg(t, 'Invalid arguments: --kernel-only and --python-only can not be used together',
+    parseArgs, ['--kernel-only', '--python-only', 'a.json']);
+  testThrownMsg(t, 'Invalid arguments: --check and --dry-run can not be used together',
+    parseArgs, ['--check', '--dry-run', 'a.json']);
+});
+
+test('expandPatterns: expand globs to spec files', t => {
+  const dir = makeSpecDir(['b', 'a']);
+  t.deepEqual(expandPatterns([path.join(dir, '*.json'), path.join(dir, 'a.json'), 'missing.json']), [
+    path.join(dir, 'a.json'),
+    path.join(dir, 'b.json'),
+    'missing.json'
+  ]);
+  t.deepEqual(expandPatterns([path.join(dir, '*.txt')]), [path.join(dir, '*.txt')]);
+});
+
+test.cb('run: write output files to output directory', t => {
+  const dir = makeSpecDir(['blur']);
+  const outDir = path.join(dir, 'build');
+  const io = makeIO();
+  run(['--kernel-only', '-o', outDir, path.join(dir, '*.json')], io, (exitCode) => {
+    t.is(exitCode, 0);
+    t.is(io.out, `wrote ${path.join(outDir, 'blur_op.cc')}\nwrote ${path.join(outDir, 'blur_op_decl.hpp')}\n`);
+    t.deepEqual(fs.readdirSync(outDir).sort(), ['blur_op.cc', 'blur_op_decl.hpp']);
+    t.end();
+  });
+});
+
+test.cb('run: create nested output directory', t => {
+  const dir = makeSpecDir(['blur']);
+  const outDir = path.join(dir, 'build', 'gen');
+  run(['--python-only', '--out-dir', outDir, path.join(dir, 'blur.json')], makeIO(), (exitCode) => {
+    t.is(exitCode, 0);
+    t.deepEqual(fs.readdirSync(outDir), ['blur_op.py']);
+    t.end();
+  });
+});
+
+test.cb('run: print output files without writing them', t => {
+  const dir = makeSpecDir(['blur']);
+  const io = makeIO();
+  run(['--stdout', '--python-only', path.join(dir, 'blur.json')], io, (exitCode) => {
+    t.is(exitCode, 0);
+    t.true(io.out.indexOf(`==> ${path.join(dir, 'blur_op.py')} <==\n`) === 0);
+    t.true(io.out.indexOf('blur = _op_module.blur') !== -1);
+    t.deepEqual(fs.readdirSync(dir), ['blur.json']);
+    t.end();
+  });
+});
+
+test.cb('run: exit non-zero on any error', t => {
+  const dir = makeSpecDir(['blur']);
+  const io = makeIO();
+  run(['--dry-run', path.join(dir, 'missing.json'), path.join(dir, 'blur.json')], io, (exitCode) => {
+    t.is(exitCode, 1);
+    t.true(io.err.indexOf(`${path.join(dir, 'missing.json')}: ENOENT`) === 0);
+    t.is(io.out, `would write ${path.join(dir, 'blur_op.cc')}\n` +
+                 `would write ${path.join(dir, 'blur_op_decl.hpp')}\n` +
+                 `would write ${path.join(dir, 'blur_op.py')}\n`);
+    t.deepEqual(fs.readdirSync(dir), ['blur.json']);
+
+    const io2 = makeIO();
+    run(['--unknown'], io2, (exitCode) => {
+      t.is(exitCode, 1);
+      t.true(io2.err.indexOf('Invalid arguments: unknown option --unknown\n\nUsage: ops-gen') === 0);
+      t.end();
+    });
+  });
+});
+
+test.cb('run: apply project-wide config to all spec files', t => {
+  const dir = makeSpecDir(['blur']);
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ includes: ['common.hpp'], namespace: 'lib' }));
+  const io = makeIO();
+  run(['--stdout', '--kernel-only', '--config', configPath, path.join(dir, 'blur.json')], io, (exitCode) => {
+    t.is(exitCode, 0);
+    t.true(io.out.indexOf('#include "blur.hpp"\n#include "common.hpp"\n\nusing namespace std;\nusing namespace cv;\n' +
+                          'using namespace lib;\n') !== -1);
+    t.true(io.out.indexOf('namespace lib {') !== -1);
+
+    const io2 = makeIO();
+    run(['--config', path.join(dir, 'missing.json'), path.join(dir, 'blur.json')], io2, (exitCode) => {
+      t.is(exitCode, 1);
+      t.true(io2.err.indexOf(`${path.join(dir, 'missing.json')}: ENOENT`) === 0);
+      t.deepEqual(fs.readdirSync(dir).sort(), ['blur.json', 'config.json']);
+      t.end();
+    });
+  });
+});
+
+test.cb('run: check whether output files are up to date', t => {
+  const dir = makeSpecDir(['blur']);
+  const io = makeIO();
+  run(['--check', path.join(dir, 'blur.json')], io, (exitCode) => {
+    t.is(exitCode, 1);
+    t.true(io.out.indexOf(`--- /dev/null\ton disk\n+++ ${path.join(dir, 'blur_op.cc')}\tgenerated\n`) !== -1);
+    t.true(io.err.indexOf(`${path.join(dir, 'blur_op.cc')} is out of date with ${path.join(dir, 'blur.json')}\n`) === 0);
+    t.deepEqual(fs.readdirSync(dir), ['blur.json']);
+
+    run([path.join(dir, 'blur.json')], makeIO(), (exitCode) => {
+      t.is(exitCode, 0);
+      const io2 = makeIO();
+      run(['--check', path.join(dir, 'blur.json')], io2, (exitCode) => {
+        t.is(exitCode, 0);
+        t.is(io2.out, '');
+        t.is(io2.err, '');
+        t.end();
+      });
+    });
+  });
+});
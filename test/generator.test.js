@@ -3,6 +3,9 @@ import rewire from 'rewire';
 import sinon from 'sinon';
 import Mustache from 'mustache';
 import _ from 'lodash';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 import {
   VALID_CV_DEPTHS,
@@ -26,15 +29,35 @@ const opAttributes = generator.__get__('opAttributes');
 const registerOpAttrFn = generator.__get__('registerOpAttrFn');
 const getAttributesFn = generator.__get__('getAttributesFn');
 const declareAttributesFn = generator.__get__('declareAttributesFn');
+const shapeFnInputs = generator.__get__('shapeFnInputs');
+const checkShapeFnInputFn = generator.__get__('checkShapeFnInputFn');
 const registerOpShape = generator.__get__('registerOpShape');
 const registerOpShapeFn = generator.__get__('registerOpShapeFn');
+const resolveDimSymbols = generator.__get__('resolveDimSymbols');
+const resolveDimExprs = generator.__get__('resolveDimExprs');
+const shapeFnAttributes = generator.__get__('shapeFnAttributes');
+const getShapeFnAttrFn = generator.__get__('getShapeFnAttrFn');
+const describeTfShape = generator.__get__('describeTfShape');
+const checkStaticDims = generator.__get__('checkStaticDims');
+const checkDimSymbols = generator.__get__('checkDimSymbols');
+const checkDimExprs = generator.__get__('checkDimExprs');
 const computeInput = generator.__get__('computeInput');
 const computeInputFn = generator.__get__('computeInputFn');
 const computeExecute = generator.__get__('computeExecute');
 const computeExecuteFn = generator.__get__('computeExecuteFn');
 const computeOutput = generator.__get__('computeOutput');
 const computeOutputFn = generator.__get__('computeOutputFn');
+const parseOpsMeta = generator.__get__('parseOpsMeta');
+const functionParams = generator.__get__('functionParams');
+const declareFunction = generator.__get__('declareFunction');
 const renderKernelTemp = generator.__get__('renderKernelTemp');
+const writeFiles = generator.__get__('writeFiles');
+const renderDeclTemp = generator.__get__('renderDeclTemp');
+const kernelTypeCombinations = generator.__get__('kernelTypeCombinations');
+const registerTypeAttrFn = generator.__get__('registerTypeAttrFn');
+const lengthsTensors = generator.__get__('lengthsTensors');
+const pyWrapper = generator.__get__('pyWrapper');
+const renderpyWrapperTemp = generator.__get__('renderpyWrapperTemp');
 
 
 test('ascendingId: given objects a and b, return a.id - b.id', t => {
@@ -121,6 +144,37 @@ test('registerOpInput: convert inputs and inputoutputs of parsed operations meta
   ]);
 });
 
+test('registerOpInput: register lengths tensors right after their inputs', t => {
+  const pShape = parseShape(['vector:none', 'vector:none', 'vector:none', 'int']);
+  t.deepEqual(registerOpInput({
+    inputs: [
+      { id: 2, name: 'input2', typeFormat: 'std', dtype: 'float' },
+      { id: 0, name: 'input0', typeFormat: 'std', dtype: 'int', pShape, lengths: true }
+    ],
+    inputoutputs: [
+      { id: 1, name: 'inputoutput1', typeFormat: 'std', dtype: 'int', pShape, lengths: true }
+    ]
+  }), [
+    { name: 'input0', type: 'int32' },
+    { name: 'input0_lengths_1', type: 'int32' },
+    { name: 'input0_lengths_2', type: 'int32' },
+    { name: 'inputoutput1_in', type: 'int32' },
+    { name: 'inputoutput1_lengths_1', type: 'int32' },
+    { name: 'inputoutput1_lengths_2', type: 'int32' },
+    { name: 'input2', type: 'float32' }
+  ]);
+});
+
+test('lengthsTensors: list lengths tensors of the ragged layers', t => {
+  t.deepEqual(lengthsTensors({ name: 'a', pShape: parseShape(['vector:none', 'vector:none', 'int']) }), []);
+  t.deepEqual(lengthsTensors({ name: 'a', lengths: true, pShape: parseShape(['vector:none', 'vector:none', 'int']) }), [
+    { name: 'a_lengths_1', layer: 1 }
+  ]);
+  t.deepEqual(lengthsTensors({ name: 'a', lengths: true, pShape: parseShape(['vector:none', 'vector:3', 'vector:N', 'none', 'CV_8U']) }), [
+    { name: 'a_lengths_2', layer: 2 }
+  ]);
+});
+
 test('registerOpInputFn: return string of an input', t => {
   t.is(
     registerOpInputFn.bind({ name: 'input', type: 'int16'})(),
@@ -197,6 +251,24 @@ test('registerOpOutput: convert outputs and inputoutputs of parsed operations me
   ]);
 });
 
+test('registerOpOutput: register lengths tensors right after the outputs', t => {
+  const pShape = parseShape(['vector:none', 'vector:none', 'int']);
+  const inputoutput = { id: 0, name: 'b', typeFormat: 'std', dtype: 'int', pShape, lengths: true };
+  t.deepEqual(registerOpOutput({
+    outputs: [
+      { id: 1, name: 'a', typeFormat: 'std', dtype: 'int', pShape, lengths: true },
+      { id: 2, name: 'c', typeFormat: 'std', dtype: 'float' }
+    ],
+    // The lengths of inputoutputs are inputs.
+    inputoutputs: [inputoutput]
+  }), [
+    { name: 'b', type: 'int32' },
+    { name: 'a', type: 'int32' },
+    { name: 'a_lengths_1', type: 'int32' },
+    { name: 'c', type: 'float32' }
+  ]);
+});
+
 test('registerOpOutputFn: return string of an output', t => {
   t.is(
     registerOpOutputFn.bind({ name: 'output', type: 'int16'})(),
@@ -242,6 +314,26 @@ test('opAttributes: convert attributes of parsed operations metadata to array',
     { name: 'attr3', type: 'int', defaultVal: '0'},
     { name: 'attr10', type: 'float', defaultVal: '10.0'}
   ]);
+  // Test for list attributes
+  t.deepEqual(opAttributes({
+    attributes: [
+      { id: 0, name: 'attr0', type: 'list(int)', defaultVal: '[1, 2]', minLength: 2, as: 'Size' },
+      { id: 1, name: 'attr1', type: 'list(float)', defaultVal: '[]' }
+    ]
+  }), [
+    { name: 'attr0', type: 'list(int)', defaultVal: '[1, 2]', minLength: 2, as: 'Size' },
+    { name: 'attr1', type: 'list(float)', defaultVal: '[]' }
+  ]);
+  // Test for attributes with constraints
+  t.deepEqual(opAttributes({
+    attributes: [
+      { id: 0, name: 'attr0', type: 'int', minimum: 1 },
+      { id: 1, name: 'attr1', type: 'string', defaultVal: '\'a\'', allowedValues: ['a', 'b'] }
+    ]
+  }), [
+    { name: 'attr0', type: 'int', defaultVal: undefined, minimum: 1 },
+    { name: 'attr1', type: 'string', defaultVal: '\'a\'', allowedValues: ['a', 'b'] }
+  ]);
 });
 
 test('registerOpAttrFn: return string of an attribute', t => {
@@ -256,7 +348,7 @@ test('registerOpAttrFn: return string of an attribute', t => {
   );
   t.is(
     registerOpAttrFn.bind({ name: 'attr', type: 'string', defaultVal: '"string"'})(),
-    '.Attr("attr: string = "string"")'
+    '.Attr("attr: string = \'string\'")'
   );
   // XXX: should we use enforce user specifying default values?
   // Tests for input without default value
@@ -277,6 +369,33 @@ test('registerOpAttrFn: return string of an attribute', t => {
     registerOpAttrFn.bind({ name: 'AttribuTe', type: 'float', defaultVal: '10.0'})(),
     '.Attr("attribu_te: float = 10.0")'
   );
+  // Tests for list attributes
+  t.is(
+    registerOpAttrFn.bind({ name: 'ksize', type: 'list(int)', defaultVal: '[3, 3]', minLength: 2 })(),
+    '.Attr("ksize: list(int) >= 2 = [3, 3]")'
+  );
+  t.is(
+    registerOpAttrFn.bind({ name: 'order', type: 'list(string)', defaultVal: '[\'b\', \'g\', \'r\']' })(),
+    '.Attr("order: list(string) = [\'b\', \'g\', \'r\']")'
+  );
+  // Tests for attributes with constraints
+  t.is(
+    registerOpAttrFn.bind({ name: 'count', type: 'int', minimum: 1 })(),
+    '.Attr("count: int >= 1")'
+  );
+  t.is(
+    registerOpAttrFn.bind({ name: 'mode', type: 'string', defaultVal: '"nearest"', allowedValues: ['bilinear', 'nearest'] })(),
+    '.Attr("mode: {\'bilinear\', \'nearest\'} = \'nearest\'")'
+  );
+  // The strings of default values are single-quoted in the C++ string literal
+  t.is(
+    registerOpAttrFn.bind({ name: 'order', type: 'list(string)', defaultVal: '["b", \'g\', "r"]' })(),
+    '.Attr("order: list(string) = [\'b\', \'g\', \'r\']")'
+  );
+  t.is(
+    registerOpAttrFn.bind({ name: 'text', type: 'string', defaultVal: '"it\'s"' })(),
+    '.Attr("text: string = \\"it\'s\\"")'
+  );
 });
 
 test('getAttributesFn: return string of getting an attribute', t => {
@@ -292,6 +411,49 @@ test('getAttributesFn: return string of getting an attribute', t => {
     getAttributesFn.bind({ name: '_attribuTe0' })(),
     'OP_REQUIRES_OK(context, context->GetAttr("attribu_te0", &_attribuTe0_));'
   );
+  // Tests for list attributes converted to OpenCV types
+  t.is(
+    getAttributesFn.bind({ name: 'kSize', type: 'list(float)', as: 'Size' })(),
+    `OP_REQUIRES_OK(context, context->GetAttr("k_size", &kSize_));
+OP_REQUIRES(context, kSize_.size() == 2,
+            errors::InvalidArgument("k_size must have 2 elements to be converted to Size, but got ",
+            kSize_.size()));
+kSize_cv_ = Size2f(kSize_[0], kSize_[1]);`
+  );
+  t.is(
+    getAttributesFn.bind({ name: 'color', type: 'list(int)', as: 'Scalar' })(),
+    `OP_REQUIRES_OK(context, context->GetAttr("color", &color_));
+OP_REQUIRES(context, color_.size() >= 1 && color_.size() <= 4,
+            errors::InvalidArgument("color must have 1 to 4 elements to be converted to Scalar, but got ",
+            color_.size()));
+for (size_t i = 0; i < color_.size(); i++) {
+  color_cv_[i] = color_[i];
+}`
+  );
+  // Tests for attributes with constraints
+  t.is(
+    getAttributesFn.bind({ name: 'count', type: 'int', minimum: -1 })(),
+    `OP_REQUIRES_OK(context, context->GetAttr("count", &count_));
+OP_REQUIRES(context, count_ >= -1,
+            errors::InvalidArgument("count must be >= -1, but got ", count_));`
+  );
+  t.is(
+    getAttributesFn.bind({ name: 'kSize', type: 'list(int)', minLength: 2, as: 'Size' })(),
+    `OP_REQUIRES_OK(context, context->GetAttr("k_size", &kSize_));
+OP_REQUIRES(context, kSize_.size() >= 2,
+            errors::InvalidArgument("k_size must have at least 2 elements, but got ",
+            kSize_.size()));
+OP_REQUIRES(context, kSize_.size() == 2,
+            errors::InvalidArgument("k_size must have 2 elements to be converted to Size, but got ",
+            kSize_.size()));
+kSize_cv_ = Size(kSize_[0], kSize_[1]);`
+  );
+  t.is(
+    getAttributesFn.bind({ name: 'mode', type: 'string', allowedValues: ['bilinear', 'nearest'] })(),
+    `OP_REQUIRES_OK(context, context->GetAttr("mode", &mode_));
+OP_REQUIRES(context, mode_ == "bilinear" || mode_ == "nearest",
+            errors::InvalidArgument("mode must be one of 'bilinear', 'nearest', but got ", mode_));`
+  );
 });
 
 test('declareAttributesFn: return string of declaraing a attribute', t => {
@@ -303,6 +465,14 @@ test('declareAttributesFn: return string of declaraing a attribute', t => {
     declareAttributesFn.bind({ type: 'float', name: 'attr' })(),
     'float      attr_;'
   );
+  t.is(
+    declareAttributesFn.bind({ type: 'list(string)', name: 'attr' })(),
+    'vector<string>      attr_;'
+  );
+  t.is(
+    declareAttributesFn.bind({ type: 'list(int)', name: 'attr', as: 'Size' })(),
+    'vector<int>      attr_;\nSize      attr_cv_;'
+  );
 });
 
 test('registerOpShape: convert shapes of outputs and inputoutputs of parsed operations metadata to array', t => {
@@ -420,6 +590,300 @@ test('registerOpShapeFn: return string for setting output shape', t => {
   );
 });
 
+test('registerOpShapeFn: return string for setting output shape with symbolic dimensions', t => {
+  let pShape = parseShape(['H', 'W', 'CV_8UC3']);
+  pShape.dimDtorArr[0].ref = { name: 'a', regIdx: 1, dimIdx: 0 };
+  pShape.dimDtorArr[1].ref = { name: 'b', regIdx: 2, dimIdx: 3 };
+  t.is(
+    registerOpShapeFn.bind({ regIdx: 0, pShape })(),
+    'c->set_output(0, c->MakeShape({ H_dim, W_dim, 3 }));'
+  );
+  pShape = parseShape(['vector:N', 'float']);
+  pShape.dimDtorArr[0].ref = { name: 'a', regIdx: 0, dimIdx: 1 };
+  t.is(
+    registerOpShapeFn.bind({ regIdx: 1, pShape })(),
+    'c->set_output(1, c->Vector(N_dim));'
+  );
+});
+
+test('registerOpShapeFn: return string for setting output shape of geometry types', t => {
+  t.is(registerOpShapeFn.bind({ regIdx: 0, pShape: parseShape(['Rect']) })(), 'c->set_output(0, c->Vector(4));');
+  t.is(
+    registerOpShapeFn.bind({ regIdx: 1, pShape: parseShape(['vector:none', 'KeyPoint']) })(),
+    'c->set_output(1, c->Matrix(InferenceContext::kUnknownDim, 7));'
+  );
+});
+
+test('checkShapeFnInputFn: return string for checking input shapes in shape function', t => {
+  // Tests for inputs without static dimensions
+  t.is(
+    checkShapeFnInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['int']) })(),
+    `shape_inference::ShapeHandle a_shape;
+TF_RETURN_IF_ERROR(c->WithRank(c->input(0), 0, &a_shape));`
+  );
+  // Tests for static dimensions and channels
+  t.is(
+    checkShapeFnInputFn.bind({ regIdx: 1, name: 'b', pShape: parseShape(['vector:none', '4', 'CV_32FC2']) })(),
+    `shape_inference::ShapeHandle b_shape;
+TF_RETURN_IF_ERROR(c->WithRank(c->input(1), 3, &b_shape));
+shape_inference::DimensionHandle b_shape_dim_1;
+TF_RETURN_IF_ERROR(c->WithValue(c->Dim(b_shape, 1), 4, &b_shape_dim_1));
+shape_inference::DimensionHandle b_shape_dim_2;
+TF_RETURN_IF_ERROR(c->WithValue(c->Dim(b_shape, 2), 2, &b_shape_dim_2));`
+  );
+  // Tests for lengths tensors
+  t.is(
+    checkShapeFnInputFn.bind({
+      regIdx: 0,
+      name: 'c',
+      pShape: parseShape(['vector:none', 'vector:none', 'int']),
+      lengths: [{ regIdx: 1, name: 'c_lengths_1', layer: 1 }]
+    })(),
+    `shape_inference::ShapeHandle c_shape;
+TF_RETURN_IF_ERROR(c->WithRank(c->input(0), 2, &c_shape));
+shape_inference::ShapeHandle c_lengths_1_shape;
+TF_RETURN_IF_ERROR(c->WithRank(c->input(1), 1, &c_lengths_1_shape));`
+  );
+});
+
+test('checkShapeFnInputFn: merge dimensions with the same symbol in shape function', t => {
+  const parsedOpsMeta = {
+    inputs: [
+      { id: 0, name: 'a', pShape: parseShape(['N', 'N', 'CV_32F']) },
+      { id: 1, name: 'b', pShape: parseShape(['vector:N', 'float']) }
+    ]
+  };
+  resolveDimSymbols(parsedOpsMeta);
+  const inputs = shapeFnInputs(parsedOpsMeta);
+  t.deepEqual(inputs.map((input) => input.name), ['a', 'b']);
+  t.is(
+    checkShapeFnInputFn.bind(inputs[0])(),
+    `shape_inference::ShapeHandle a_shape;
+TF_RETURN_IF_ERROR(c->WithRank(c->input(0), 2, &a_shape));
+shape_inference::DimensionHandle N_dim = c->Dim(a_shape, 0);
+TF_RETURN_IF_ERROR(c->Merge(N_dim, c->Dim(a_shape, 1), &N_dim));`
+  );
+  t.is(
+    checkShapeFnInputFn.bind(inputs[1])(),
+    `shape_inference::ShapeHandle b_shape;
+TF_RETURN_IF_ERROR(c->WithRank(c->input(1), 1, &b_shape));
+TF_RETURN_IF_ERROR(c->Merge(N_dim, c->Dim(b_shape, 0), &N_dim));`
+  );
+});
+
+test('registerOpShape: list shapes of lengths tensors after the outputs', t => {
+  const pShape = parseShape(['vector:none', 'vector:none', 'vector:none', 'int']);
+  t.deepEqual(registerOpShape({
+    outputs: [
+      { id: 0, name: 'a', pShape, lengths: true },
+      { id: 1, name: 'b', pShape }
+    ]
+  }), [
+    { regIdx: 0, pShape },
+    { regIdx: 1, pShape, lengthsLayer: 1 },
+    { regIdx: 2, pShape, lengthsLayer: 2 },
+    { regIdx: 3, pShape }
+  ]);
+});
+
+test('registerOpShapeFn: return string for setting shape of lengths tensors', t => {
+  const pShape = parseShape(['vector:3', 'vector:none', 'vector:none', 'int']);
+  t.is(registerOpShapeFn.bind({ regIdx: 1, pShape, lengthsLayer: 1 })(), 'c->set_output(1, c->Vector(3));');
+  t.is(
+    registerOpShapeFn.bind({ regIdx: 2, pShape, lengthsLayer: 2 })(),
+    'c->set_output(2, c->MakeShape({ 3, InferenceContext::kUnknownDim }));'
+  );
+});
+
+test('registerOpShapeFn: return string for setting output shape with channels in parentheses', t => {
+  t.is(
+    registerOpShapeFn.bind({ regIdx: 0, pShape: parseShape(['none', 'none', 'CV_32FC(16)']) })(),
+    'c->set_output(0, c->MakeShape({ InferenceContext::kUnknownDim, InferenceContext::kUnknownDim, 16 }));'
+  );
+});
+
+test('registerOpShapeFn: return string for setting output shape with dimension expressions', t => {
+  let pShape = parseShape(['dim(a, 1)', 'attr:size', 'CV_8UC3']);
+  pShape.dimDtorArr[0].expr.regIdx = 2;
+  t.is(
+    registerOpShapeFn.bind({ regIdx: 0, pShape })(),
+    'c->set_output(0, c->MakeShape({ c->Dim(c->input(2), 1), size_, 3 }));'
+  );
+  pShape = parseShape(['vector:(dim(a, 0) + 1) / 2', '2 * attr:size', 'float']);
+  pShape.dimDtorArr[0].expr.left.left.regIdx = 0;
+  t.is(
+    registerOpShapeFn.bind({ regIdx: 1, pShape })(),
+    `shape_inference::DimensionHandle output_1_dim_0;
+TF_RETURN_IF_ERROR(c->Add(c->Dim(c->input(0), 0), 1, &output_1_dim_0));
+shape_inference::DimensionHandle output_1_dim_1;
+TF_RETURN_IF_ERROR(c->Divide(output_1_dim_0, 2, false, &output_1_dim_1));
+shape_inference::DimensionHandle output_1_dim_2;
+TF_RETURN_IF_ERROR(c->Multiply(c->MakeDim(2), size_, &output_1_dim_2));
+c->set_output(1, c->Matrix(output_1_dim_1, output_1_dim_2));`
+  );
+});
+
+test('shapeFnAttributes: list attributes used by dimension expressions of outputs', t => {
+  const parsedOpsMeta = {
+    attributes: [
+      { id: 2, name: 'width', type: 'int' },
+      { id: 1, name: 'height', type: 'int' },
+      { id: 3, name: 'scale', type: 'float' }
+    ],
+    outputs: [
+      { id: 0, name: 'a', pShape: parseShape(['attr:width', 'attr:height * attr:width', 'CV_8U']) },
+      { id: 4, name: 'b', pShape: parseShape(['none', 'CV_8U']) }
+    ]
+  };
+  t.deepEqual(shapeFnAttributes({}), []);
+  t.deepEqual(shapeFnAttributes(parsedOpsMeta), [{ name: 'height', type: 'int' }, { name: 'width', type: 'int' }]);
+  t.is(
+    getShapeFnAttrFn.bind({ name: 'outHeight', type: 'int' })(),
+    'int outHeight_;\nTF_RETURN_IF_ERROR(c->GetAttr("out_height", &outHeight_));'
+  );
+});
+
+test('resolveDimExprs: resolve input dimensions of dimension expressions to registration indices', t => {
+  const parsedOpsMeta = {
+    inputs: [
+      { id: 2, name: 'b', pShape: parseShape(['vector:none', 'vector:none', 'int']), lengths: true },
+      { id: 0, name: 'a', pShape: parseShape(['none', 'CV_8U']) }
+    ],
+    outputs: [
+      { id: 3, name: 'c', pShape: parseShape(['dim(b, 1) * dim(a, 0)', 'dim(b, 0)', 'CV_8U']) }
+    ]
+  };
+  resolveDimExprs(parsedOpsMeta);
+  const dimDtorArr = parsedOpsMeta.outputs[0].pShape.dimDtorArr;
+  t.deepEqual(dimDtorArr[0].expr.left, { op: 'dim', name: 'b', dimIdx: 1, regIdx: 1 });
+  t.deepEqual(dimDtorArr[0].expr.right, { op: 'dim', name: 'a', dimIdx: 0, regIdx: 0 });
+  t.deepEqual(dimDtorArr[1].expr, { op: 'dim', name: 'b', dimIdx: 0, regIdx: 1 });
+
+  // Test for inputs which are not defined
+  testThrownMsg(
+    t,
+    'Invalid shape format: a referred by b is not an input',
+    resolveDimExprs,
+    { outputs: [{ id: 0, name: 'b', pShape: parseShape(['dim(a, 0)', 'CV_8U']) }] }
+  );
+});
+
+test('resolveDimSymbols: resolve symbolic dimensions to the first input dimension with the same symbol', t => {
+  const parsedOpsMeta = {
+    inputs: [
+      { id: 2, name: 'b', pShape: parseShape(['W', 'H', 'CV_8U']) },
+      { id: 0, name: 'a', pShape: parseShape(['H', 'W', 'CV_8U']) }
+    ],
+    inputoutputs: [
+      { id: 1, name: 'c', pShape: parseShape(['N', 'N', 'CV_32F']) }
+    ],
+    outputs: [
+      { id: 3, name: 'd', pShape: parseShape(['vector:N', 'H', 'W', 'CV_8U']) },
+      { id: 4, name: 'e', pShape: parseShape(['none', 'CV_8U']) }
+    ]
+  };
+  resolveDimSymbols(parsedOpsMeta);
+
+  const refH = { name: 'a', regIdx: 0, dimIdx: 0 };
+  const refW = { name: 'a', regIdx: 0, dimIdx: 1 };
+  const refN = { name: 'c', regIdx: 1, dimIdx: 0 };
+  t.deepEqual(parsedOpsMeta.inputs[1].pShape.dimDtorArr.map((dtor) => dtor.ref), [refH, refW]);
+  t.deepEqual(parsedOpsMeta.inputs[0].pShape.dimDtorArr.map((dtor) => dtor.ref), [refW, refH]);
+  t.deepEqual(parsedOpsMeta.inputoutputs[0].pShape.dimDtorArr.map((dtor) => dtor.ref), [refN, refN]);
+  t.deepEqual(parsedOpsMeta.outputs[0].pShape.dimDtorArr.map((dtor) => dtor.ref), [refN, refH, refW]);
+  t.deepEqual(parsedOpsMeta.outputs[1].pShape.dimDtorArr.map((dtor) => dtor.ref), [undefined]);
+
+  // Test for symbols which are not defined by inputs
+  testThrownMsg(
+    t,
+    'Invalid shape format: symbol H of b is not defined by any input',
+    resolveDimSymbols,
+    { outputs: [{ id: 0, name: 'b', pShape: parseShape(['H', 'CV_8U']) }] }
+  );
+});
+
+test('describeTfShape: return the expected tensor shape description of a parsed shape', t => {
+  t.is(describeTfShape(parseShape(['int'])), '[]');
+  t.is(describeTfShape(parseShape(['vector:none', 'vector:3', 'float'])), '[?, 3]');
+  t.is(describeTfShape(parseShape(['H', 'none', 'CV_8UC3'])), '[H, ?, 3]');
+  t.is(describeTfShape(parseShape(['3', '3', 'CV_64F:Matx'])), '[3, 3]');
+  t.is(describeTfShape(parseShape(['vector:N', '4', 'CV_32FC2'])), '[N, 4, 2]');
+});
+
+test('checkStaticDims: return string of checking static dimension sizes and channels at runtime', t => {
+  // Tests for shapes without static dimension sizes
+  t.is(checkStaticDims('a', parseShape(['int'])), '');
+  t.is(checkStaticDims('a', parseShape(['none', 'H', 'CV_8U'])), '');
+  // Tests for shapes with static dimension sizes
+  t.is(
+    checkStaticDims('a', parseShape(['3', '3', 'CV_64F:Matx'])),
+    `OP_REQUIRES(context, {{name}}_in_dims_sz_0 == 3,
+              errors::InvalidArgument("a must have shape [3, 3], but got ",
+              {{name}}_in.shape().DebugString()));
+OP_REQUIRES(context, {{name}}_in_dims_sz_1 == 3,
+              errors::InvalidArgument("a must have shape [3, 3], but got ",
+              {{name}}_in.shape().DebugString()));`
+  );
+  t.is(
+    checkStaticDims('b', parseShape(['vector:2', 'float'])),
+    `OP_REQUIRES(context, {{name}}_in_dims_sz_0 == 2,
+              errors::InvalidArgument("b must have shape [2], but got ",
+              {{name}}_in.shape().DebugString()));`
+  );
+  // Tests for multichannel shapes
+  t.is(
+    checkStaticDims('c', parseShape(['H', 'W', 'CV_8UC3'])),
+    `OP_REQUIRES(context, {{name}}_in_dims_sz_2 == 3,
+              errors::InvalidArgument("c must have shape [H, W, 3], but got ",
+              {{name}}_in.shape().DebugString()));`
+  );
+  t.is(
+    checkStaticDims('d', parseShape(['vector:none', '4', 'CV_32FC2'])),
+    `OP_REQUIRES(context, {{name}}_in_dims_sz_1 == 4,
+              errors::InvalidArgument("d must have shape [?, 4, 2], but got ",
+              {{name}}_in.shape().DebugString()));
+OP_REQUIRES(context, {{name}}_in_dims_sz_2 == 2,
+              errors::InvalidArgument("d must have shape [?, 4, 2], but got ",
+              {{name}}_in.shape().DebugString()));`
+  );
+});
+
+test('checkDimSymbols: return string of checking symbolic dimensions at runtime', t => {
+  let pShape = parseShape(['H', 'W', '3', 'CV_8U']);
+  pShape.dimDtorArr[0].ref = { name: 'a', regIdx: 0, dimIdx: 0 };
+  pShape.dimDtorArr[1].ref = { name: 'b', regIdx: 1, dimIdx: 2 };
+
+  // Test for the dimensions which refer to themselves
+  t.is(checkDimSymbols('a', parseShape(['H', 'CV_8U']), 'a_in_dims_sz_'), '');
+  t.is(checkDimSymbols('a', _.set(parseShape(['H', 'CV_8U']), 'dimDtorArr[0].ref', { name: 'a', dimIdx: 0 }), 'x_'), '');
+  // Test for the dimensions which refer to the others
+  t.is(
+    checkDimSymbols('a', pShape, '{{name}}_in_dims_sz_', '{{name}}_in.shape().DebugString()'),
+    `OP_REQUIRES(context, {{name}}_in_dims_sz_1 == b_in_dims_sz_2,
+              errors::InvalidArgument("Dimension 1 (W) of a must be equal to dimension 2 of b, but got ",
+              {{name}}_in.shape().DebugString(), " and ", b_in.shape().DebugString()));`
+  );
+  t.is(
+    checkDimSymbols('c', pShape, '{{name}}_out_dims_sz_'),
+    `OP_REQUIRES(context, {{name}}_out_dims_sz_0 == a_in_dims_sz_0,
+              errors::InvalidArgument("Dimension 0 (H) of c must be equal to dimension 0 of a, but got ",
+              {{name}}_out_dims_sz_0, " and ", a_in.shape().DebugString()));
+OP_REQUIRES(context, {{name}}_out_dims_sz_1 == b_in_dims_sz_2,
+              errors::InvalidArgument("Dimension 1 (W) of c must be equal to dimension 2 of b, but got ",
+              {{name}}_out_dims_sz_1, " and ", b_in.shape().DebugString()));`
+  );
+});
+
+test('checkDimExprs: return string of checking dimension expressions at runtime', t => {
+  t.is(checkDimExprs('a', parseShape(['none', 'H', 'CV_8U'])), '');
+  t.is(
+    checkDimExprs('b', parseShape(['3', '(dim(a, 0) - 1) / 2 + attr:pad', 'CV_8U'])),
+    `OP_REQUIRES(context, {{name}}_out_dims_sz_1 == ((a_in_dims_sz_0 - 1) / 2) + pad_,
+              errors::InvalidArgument("Dimension 1 of b must be ((dim(a, 0) - 1) / 2) + attr:pad = ", ((a_in_dims_sz_0 - 1) / 2) + pad_,
+              ", but got ", {{name}}_out_dims_sz_1));`
+  );
+});
+
 test('computeInput: convert inputs and inputoutputs of parsed operations metadata to array for preparing inputs', t => {
   const shape = ['3', '3', 'CV_8U'];
   const pShape = { tfRank: 3 };
@@ -435,15 +899,15 @@ test('computeInput: convert inputs and inputoutputs of parsed operations metadat
       { id: 1, name: 'name1', shape, pShape }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: false, mutable: false }
   ]);
   // Test for inputoutputs only
   t.deepEqual(computeInput({
     inputoutputs: [
-      { id: 1, name: 'name1', shape, pShape }
+      { id: 1, name: 'name1', shape, pShape, zeroCopy: true }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: true, mutable: true }
   ]);
   // Tests for both input and inputoutputs
   t.deepEqual(computeInput({
@@ -454,19 +918,19 @@ test('computeInput: convert inputs and inputoutputs of parsed operations metadat
       { id: 3, name: 'name3', shape, pShape }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape },
-    { regIdx: 1, name: 'name3', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: false, mutable: false },
+    { regIdx: 1, name: 'name3', shape, pShape, zeroCopy: false, mutable: true }
   ]);
   t.deepEqual(computeInput({
     inputs: [
-      { id: 3, name: 'name3', shape, pShape }
+      { id: 3, name: 'name3', shape, pShape, zeroCopy: true }
     ],
     inputoutputs: [
       { id: 1, name: 'name1', shape, pShape }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape },
-    { regIdx: 1, name: 'name3', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: false, mutable: true },
+    { regIdx: 1, name: 'name3', shape, pShape, zeroCopy: true, mutable: false }
   ]);
   t.deepEqual(computeInput({
     inputs: [
@@ -478,16 +942,138 @@ test('computeInput: convert inputs and inputoutputs of parsed operations metadat
       { id: 4, name: 'name4', shape, pShape }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape },
-    { regIdx: 1, name: 'name2', shape, pShape },
-    { regIdx: 2, name: 'name3', shape, pShape },
-    { regIdx: 3, name: 'name4', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: false, mutable: true },
+    { regIdx: 1, name: 'name2', shape, pShape, zeroCopy: false, mutable: false },
+    { regIdx: 2, name: 'name3', shape, pShape, zeroCopy: false, mutable: false },
+    { regIdx: 3, name: 'name4', shape, pShape, zeroCopy: false, mutable: true }
   ]);
 });
 
 test.skip('computeInputFn: return string of inputs changed from tensorflow to OpenCV', t => {
 });
 
+test('computeInput: assign indices to lengths tensors after their inputs', t => {
+  const pShape = parseShape(['vector:none', 'vector:none', 'int']);
+  const inputs = computeInput({
+    inputs: [
+      { id: 0, name: 'a', pShape, lengths: true },
+      { id: 1, name: 'b', pShape }
+    ]
+  });
+  t.is(inputs[0].regIdx, 0);
+  t.deepEqual(inputs[0].lengths, [{ regIdx: 1, name: 'a_lengths_1', layer: 1 }]);
+  t.is(inputs[1].regIdx, 2);
+  t.false('lengths' in inputs[1]);
+});
+
+test('computeInputFn: copy ragged vectors by the lengths tensors', t => {
+  let result = computeInputFn.bind({
+    regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'vector:none', 'int']), zeroCopy: false,
+    lengths: [{ regIdx: 1, name: 'a_lengths_1', layer: 1 }]
+  })();
+  t.true(result.includes('const Tensor& a_lengths_1_in = context->input(1);'));
+  t.true(result.includes('OP_REQUIRES(context, a_lengths_1_in.shape() == TensorShape({ a_in_dims_sz_0 }),'));
+  t.true(result.includes('auto a_lengths_1_in_data = a_lengths_1_in.tensor<int32, 1>();'));
+  t.true(result.includes('a_cv.resize(a_in_dims_sz_0);'));
+  t.true(result.includes('const int32 a_in_len_1 = a_lengths_1_in_data(a_dims_0);'));
+  t.true(result.includes('OP_REQUIRES(context, a_in_len_1 >= 0 && a_in_len_1 <= a_in_dims_sz_1,'));
+  t.true(result.includes('a_cv[a_dims_0].resize(a_in_len_1);'));
+  t.true(result.includes('for (int a_dims_1 = 0; a_dims_1 < a_in_len_1; a_dims_1++) {'));
+  t.false(result.includes('isnan'));
+
+  result = computeInputFn.bind({
+    regIdx: 2, name: 'a', pShape: parseShape(['vector:none', 'vector:none', 'none', 'CV_32F']), zeroCopy: false,
+    lengths: [{ regIdx: 3, name: 'a_lengths_1', layer: 1 }]
+  })();
+  t.true(result.includes('const Tensor& a_lengths_1_in = context->input(3);'));
+  t.true(result.includes('a_cv[a_dims_0].resize(a_in_len_1);'));
+  t.true(result.includes('a_cv[a_dims_0][a_dims_1] = mat;'));
+
+  // The vectors are copied as long as the tensor dimensions without lengths.
+  result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'vector:none', 'float']), zeroCopy: false })();
+  t.true(result.includes('a_cv[a_dims_0].resize(a_in_dims_sz_1);'));
+  t.true(result.includes('a_cv[a_dims_0][a_dims_1] = a_in_data(a_dims_0, a_dims_1);'));
+  t.false(result.includes('isnan'));
+});
+
+test('computeInputFn: wrap the tensor buffer in zero-copy mode', t => {
+  const pShape = parseShape(['none', 'none', 'CV_8UC3']);
+  const wrapStr = 'Mat(2, a_cv_shape, CV_8UC3, const_cast<uint8_t*>(a_in.flat<uint8_t>().data()))';
+
+  // Test for copy mode
+  let result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape, zeroCopy: false, mutable: false })();
+  t.false(result.includes(wrapStr));
+  t.true(result.includes('Mat a_cv(2, a_cv_shape, CV_8UC3);'));
+  // Test for zero-copy mode
+  result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape, zeroCopy: true, mutable: false })();
+  t.true(result.includes('Mat a_cv(2, a_cv_shape, CV_8UC3, const_cast<uint8_t*>(a_in.flat<uint8_t>().data()));'));
+  t.false(result.includes('for ('));
+  // Test for zero-copy mode of mutable input, which should be cloned
+  result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape, zeroCopy: true, mutable: true })();
+  t.true(result.includes(`Mat a_cv = ${wrapStr}.clone();`));
+  t.false(result.includes('for ('));
+  // Test for zero-copy mode of static Mat type, which should fall back to copying
+  result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['3', '3', 'CV_64F:Matx']), zeroCopy: true })();
+  t.true(result.includes('Matx<double, 3, 3> a_cv;'));
+  t.true(result.includes('for ('));
+});
+
+test('computeInputFn: convert half and quantized tensor elements to OpenCV types', t => {
+  let result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['none', 'CV_16FC2']), zeroCopy: false })();
+  t.true(result.includes('auto a_in_data = a_in.tensor<Eigen::half, 2>();'));
+  t.true(result.includes('Mat a_cv(1, a_cv_shape, CV_16FC2);'));
+  t.true(result.includes('a_cv.at<Vec<cv::float16_t, 2>>(a_dims_0)[1] = cv::float16_t(static_cast<float>(a_in_data(a_dims_0, 1)));'));
+
+  result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['none', 'CV_8U']), tensorType: 'quint8', zeroCopy: false })();
+  t.true(result.includes('auto a_in_data = a_in.tensor<quint8, 1>();'));
+  t.true(result.includes('a_cv.at<uint8_t>(a_dims_0) = static_cast<uint8_t>(a_in_data(a_dims_0));'));
+
+  result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'bool']), zeroCopy: false })();
+  t.true(result.includes('auto a_in_data = a_in.tensor<bool, 1>();'));
+  t.true(result.includes('a_cv[a_dims_0] = a_in_data(a_dims_0);'));
+});
+
+test('computeInputFn: convert tensor elements to registered types', t => {
+  generator.registerType({ name: 'fixed8_t', tf: 'int8', depth: '8S' });
+  const result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'fixed8_t']), zeroCopy: false })();
+  t.true(result.includes('auto a_in_data = a_in.tensor<int8_t, 1>();'));
+  t.true(result.includes('vector<fixed8_t> a_cv;'));
+  t.true(result.includes('a_cv[a_dims_0] = static_cast<fixed8_t>(a_in_data(a_dims_0));'));
+});
+
+test('computeInputFn: copy tensor elements to fields of geometry objects', t => {
+  let result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['Rect']), zeroCopy: false })();
+  t.true(result.includes('auto a_in_data = a_in.tensor<int, 1>();'));
+  t.true(result.includes('OP_REQUIRES(context, a_in_dims_sz_0 == 4,'));
+  t.true(result.includes('Rect a_cv;'));
+  t.true(result.includes('a_cv.x = a_in_data(0);\na_cv.y = a_in_data(1);\na_cv.width = a_in_data(2);\na_cv.height = a_in_data(3);'));
+
+  result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'vector:none', 'KeyPoint']), zeroCopy: false })();
+  t.true(result.includes('errors::InvalidArgument("a must have shape [?, ?, 7], but got "'));
+  t.false(result.includes("isnan"));
+  t.true(result.includes('a_cv[a_dims_0][a_dims_1].pt.x = a_in_data(a_dims_0, a_dims_1, 0);'));
+  t.true(result.includes('a_cv[a_dims_0][a_dims_1].octave = static_cast<int>(a_in_data(a_dims_0, a_dims_1, 5));'));
+});
+
+test('computeInputFn: copy tensor elements to Mat of primary type', t => {
+  let result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['3', '3', 'float']), zeroCopy: false })();
+  t.true(result.includes('auto a_in_data = a_in.tensor<float, 2>();'));
+  t.true(result.includes('Mat a_cv(2, a_cv_shape, CV_32F);'));
+  t.true(result.includes('a_cv.at<float>(a_dims_0, a_dims_1) = a_in_data(a_dims_0, a_dims_1);'));
+
+  result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['3', '3', 'double:Matx']), zeroCopy: false })();
+  t.true(result.includes('Matx<double, 3, 3> a_cv;'));
+  t.true(result.includes('a_cv(a_dims_0, a_dims_1) = a_in_data(a_dims_0, a_dims_1);'));
+});
+
+test('computeInputFn: copy more than 4 channels in a loop', t => {
+  const result = computeInputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['none', 'none', 'CV_32FC(8)']), zeroCopy: false })();
+  t.true(result.includes('OP_REQUIRES(context, a_in_dims_sz_2 == 8,'));
+  t.true(result.includes('Mat a_cv(2, a_cv_shape, CV_32FC(8));'));
+  t.true(result.includes('for (int a_channel = 0; a_channel < 8; a_channel++) {\n' +
+    '  a_cv.ptr<float>(a_dims_0, a_dims_1)[a_channel] = a_in_data(a_dims_0, a_dims_1, a_channel);\n}'));
+});
+
 test('computeExecute: convert parsed operations metadata to array for execution', t => {
   const fnName = 'my_func';
   const pShape = { tfRank: 3 };
@@ -526,6 +1112,14 @@ test('computeExecute: convert parsed operations metadata to array for execution'
     fnName,
     attributes: [{ id: 0, name: 'attr0' }]
   });
+  // Test for attributes converted to OpenCV types
+  t.deepEqual(computeExecute({
+    fnName,
+    attributes: [{ id: 0, name: 'attr0', as: 'Size' }, { id: 1, name: 'attr1' }]
+  }), {
+    fnName,
+    attributes: [{ id: 0, name: 'attr0_cv' }, { id: 1, name: 'attr1' }]
+  });
   // Test for all
   t.deepEqual(computeExecute({
     fnName,
@@ -662,10 +1256,10 @@ test('computeOutput: convert outputs and inputoutputs of parsed operations metad
   // Test for inputs only
   t.deepEqual(computeOutput({
     outputs: [
-      { id: 1, name: 'name1', shape, pShape }
+      { id: 1, name: 'name1', shape, pShape, zeroCopy: true }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: true }
   ]);
   // Test for inputoutputs only
   t.deepEqual(computeOutput({
@@ -673,7 +1267,7 @@ test('computeOutput: convert outputs and inputoutputs of parsed operations metad
       { id: 1, name: 'name1', shape, pShape }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: false }
   ]);
   // Tests for both input and inputoutputs
   t.deepEqual(computeOutput({
@@ -684,8 +1278,8 @@ test('computeOutput: convert outputs and inputoutputs of parsed operations metad
       { id: 3, name: 'name3', shape, pShape }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape },
-    { regIdx: 1, name: 'name3', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: false },
+    { regIdx: 1, name: 'name3', shape, pShape, zeroCopy: false }
   ]);
   t.deepEqual(computeOutput({
     outputs: [
@@ -695,8 +1289,8 @@ test('computeOutput: convert outputs and inputoutputs of parsed operations metad
       { id: 1, name: 'name1', shape, pShape }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape },
-    { regIdx: 1, name: 'name3', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: false },
+    { regIdx: 1, name: 'name3', shape, pShape, zeroCopy: false }
   ]);
   t.deepEqual(computeOutput({
     outputs: [
@@ -708,16 +1302,33 @@ test('computeOutput: convert outputs and inputoutputs of parsed operations metad
       { id: 4, name: 'name4', shape, pShape }
     ]
   }), [
-    { regIdx: 0, name: 'name1', shape, pShape },
-    { regIdx: 1, name: 'name2', shape, pShape },
-    { regIdx: 2, name: 'name3', shape, pShape },
-    { regIdx: 3, name: 'name4', shape, pShape }
+    { regIdx: 0, name: 'name1', shape, pShape, zeroCopy: false },
+    { regIdx: 1, name: 'name2', shape, pShape, zeroCopy: false },
+    { regIdx: 2, name: 'name3', shape, pShape, zeroCopy: false },
+    { regIdx: 3, name: 'name4', shape, pShape, zeroCopy: false }
   ]);
 });
 
 test.skip('computeOutputFn: return string of outputs changed from OpenCV to tensorflow', t => {
 });
 
+test('computeOutputFn: copy continuous Mat by memcpy in zero-copy mode', t => {
+  const pShape = parseShape(['none', 'none', 'CV_32FC2']);
+  const copyStr = 'std::memcpy(a_out->flat<float>().data(), a_cv.data, a_cv.total() * a_cv.elemSize());';
+
+  // Test for copy mode
+  let result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape, zeroCopy: false })();
+  t.false(result.includes(copyStr));
+  // Test for zero-copy mode
+  result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape, zeroCopy: true })();
+  t.true(result.includes(`OP_REQUIRES(context, a_cv.type() == CV_32FC2,
+              errors::Internal("a must be of type CV_32FC2, but got type ", a_cv.type()));`));
+  t.true(result.includes(`if (a_cv.isContinuous()) {\n    ${copyStr}\n} else {`));
+  // Test for zero-copy mode of static Mat type, which should fall back to copying
+  result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['4', 'CV_32F:Vec']), zeroCopy: true })();
+  t.false(result.includes('std::memcpy'));
+});
+
 function testIntervalRender(t, opsMeta) {
   const mustacheStub = sinon.stub(Mustache, 'render', () => 'mustache');
   const getTemplateStub = sinon.stub(template, 'get', () => 'template');
@@ -767,6 +1378,410 @@ function testIntervalRender(t, opsMeta) {
   generator.__set__('computeOutput', computeOutput);
 }
 
+test('computeOutputFn: convert OpenCV elements to half and quantized tensor types', t => {
+  let result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['none', 'none', 'CV_16F']), zeroCopy: false })();
+  t.true(result.includes('auto a_out_data = a_out->tensor<Eigen::half, 2>();'));
+  t.true(result.includes('a_out_data(a_dims_0, a_dims_1) = Eigen::half(static_cast<float>(a_cv.at<cv::float16_t>(a_dims_0, a_dims_1)));'));
+
+  result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['int']), tensorType: 'qint32', zeroCopy: false })();
+  t.true(result.includes('auto a_out_data = a_out->tensor<qint32, 0>();'));
+  t.true(result.includes('a_out_data(0) = static_cast<qint32>(a_cv);'));
+
+  // The 64-bit integers of tensorflow are not int64_t.
+  result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'int64_t']), zeroCopy: false })();
+  t.true(result.includes('auto a_out_data = a_out->tensor<int64, 1>();'));
+  t.true(result.includes('a_out_data(a_dims_0) = static_cast<int64>(a_cv[a_dims_0]);'));
+});
+
+test('computeOutputFn: copy fields of geometry objects to tensor elements', t => {
+  let result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['Scalar']), zeroCopy: false })();
+  t.true(result.includes('const int32 a_out_dims_sz_0 = 4;'));
+  t.true(result.includes('auto a_out_data = a_out->tensor<double, 1>();'));
+  t.true(result.includes('a_out_data(0) = a_cv[0];\na_out_data(1) = a_cv[1];\na_out_data(2) = a_cv[2];\na_out_data(3) = a_cv[3];'));
+
+  result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'Point2d']), zeroCopy: false })();
+  t.true(result.includes('const int32 a_out_dims_sz_1 = 2;'));
+  t.true(result.includes('a_out_data(a_dims_0, 0) = a_cv[a_dims_0].x;'));
+  t.true(result.includes('a_out_data(a_dims_0, 1) = a_cv[a_dims_0].y;'));
+});
+
+test('computeOutput: assign indices to lengths tensors after their outputs', t => {
+  const pShape = parseShape(['vector:none', 'vector:none', 'int']);
+  const outputs = computeOutput({
+    outputs: [
+      { id: 0, name: 'a', pShape, lengths: true, padding: -1 },
+      { id: 1, name: 'b', pShape }
+    ]
+  });
+  t.is(outputs[0].regIdx, 0);
+  t.is(outputs[0].padding, -1);
+  t.deepEqual(outputs[0].lengths, [{ regIdx: 1, name: 'a_lengths_1', layer: 1 }]);
+  t.is(outputs[1].regIdx, 2);
+  t.false('lengths' in outputs[1]);
+  t.false('padding' in outputs[1]);
+});
+
+test('computeOutputFn: pad ragged vectors to the longest ones', t => {
+  const result = computeOutputFn.bind({
+    regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'vector:none', 'Point']), zeroCopy: false,
+    padding: -1, lengths: [{ regIdx: 1, name: 'a_lengths_1', layer: 1 }]
+  })();
+  t.true(result.includes('const int32 a_out_dims_sz_0 = static_cast<int32>(a_cv.size());'));
+  t.true(result.includes('int32 a_out_dims_sz_1 = 0;'));
+  t.true(result.includes('const int32 a_out_dims_sz_2 = 2;'));
+  t.true(result.includes('a_out_dims_sz_1 = std::max(a_out_dims_sz_1, static_cast<int32>(a_cv[a_dims_0].size()));'));
+  t.true(result.includes('a_out_data.setConstant(static_cast<int>(-1));'));
+  t.true(result.includes('for (int a_dims_1 = 0; a_dims_1 < static_cast<int32>(a_cv[a_dims_0].size()); a_dims_1++) {'));
+  t.false(result.includes('[0]'));
+
+  t.true(result.includes('OP_REQUIRES_OK(context, context->allocate_output(1, TensorShape({ a_out_dims_sz_0 }), &a_lengths_1_out));'));
+  t.true(result.includes('auto a_lengths_1_out_data = a_lengths_1_out->tensor<int32, 1>();'));
+  t.true(result.includes('a_lengths_1_out_data.setZero();'));
+  t.true(result.includes('a_lengths_1_out_data(a_dims_0) = static_cast<int32>(a_cv[a_dims_0].size());'));
+});
+
+test('computeOutputFn: pad Mats of different sizes to the largest ones', t => {
+  let result = computeOutputFn.bind({
+    regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'none', 'none', 'CV_32FC2']), zeroCopy: false
+  })();
+  t.true(result.includes('int32 a_out_dims_sz_1 = 0;\nint32 a_out_dims_sz_2 = 0;\nconst int32 a_out_dims_sz_3 = 2;'));
+  t.true(result.includes('if (!a_cv[a_dims_0].empty()) {'));
+  t.true(result.includes('a_out_dims_sz_1 = std::max(a_out_dims_sz_1, a_cv[a_dims_0].size[0]);'));
+  t.true(result.includes('a_out_dims_sz_2 = std::max(a_out_dims_sz_2, a_cv[a_dims_0].size[1]);'));
+  t.true(result.includes('a_out_data.setConstant(static_cast<float>(0));'));
+  t.true(result.includes('for (int a_dims_2 = 0; a_dims_2 < a_cv[a_dims_0].size[1]; a_dims_2++) {'));
+
+  // The vectors of a single layer and the static Mat types have no padding.
+  result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['vector:none', '3', 'CV_64F:Vec']), zeroCopy: false })();
+  t.true(result.includes('const int32 a_out_dims_sz_1 = 3;'));
+  t.false(result.includes('setConstant'));
+  t.false(result.includes('std::max'));
+});
+
+test('computeOutputFn: pad to static sizes and reject longer vectors or larger Mats', t => {
+  let result = computeOutputFn.bind({
+    regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'vector:3', 'int']), zeroCopy: false
+  })();
+  t.true(result.includes('const int32 a_out_dims_sz_1 = 3;'));
+  t.true(result.includes('OP_REQUIRES(context, static_cast<int32>(a_cv[a_dims_0].size()) <= 3,\n' +
+    '                  errors::InvalidArgument("Dimension 1 of a must be at most 3, but got ", ' +
+    'static_cast<int32>(a_cv[a_dims_0].size())));'));
+  t.true(result.includes('a_out_data.setConstant(static_cast<int>(0));'));
+  t.false(result.includes('std::max'));
+
+  result = computeOutputFn.bind({
+    regIdx: 0, name: 'a', pShape: parseShape(['vector:none', '3', 'none', 'CV_8U']), zeroCopy: false
+  })();
+  t.true(result.includes('const int32 a_out_dims_sz_1 = 3;\nint32 a_out_dims_sz_2 = 0;'));
+  t.true(result.includes('OP_REQUIRES(context, a_cv[a_dims_0].size[0] <= 3,'));
+  t.true(result.includes('a_out_dims_sz_2 = std::max(a_out_dims_sz_2, a_cv[a_dims_0].size[1]);'));
+
+  // The other static sizes have to be the declared ones.
+  result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['3', 'none', 'CV_8U']), zeroCopy: false })();
+  t.true(result.includes('OP_REQUIRES(context, a_out_dims_sz_0 == 3,\n' +
+    '            errors::InvalidArgument("Dimension 0 of a must be 3, but got ", a_out_dims_sz_0));'));
+  t.false(result.includes('a_out_dims_sz_1 =='));
+});
+
+test('computeOutputFn: copy more than 4 channels in a loop', t => {
+  const result = computeOutputFn.bind({ regIdx: 0, name: 'a', pShape: parseShape(['vector:none', 'none', 'CV_8UC(6)']), zeroCopy: false })();
+  t.true(result.includes('const int32 a_out_dims_sz_2 = 6;'));
+  t.true(result.includes('for (int a_channel = 0; a_channel < 6; a_channel++) {'));
+  t.true(result.includes('a_out_data(a_dims_0, a_dims_1, a_channel) = a_cv[a_dims_0].ptr<uint8_t>(a_dims_1)[a_channel];'));
+});
+
+test('parseOpsMeta: parse operations metadata without modifying it', t => {
+  const opsMeta = {
+    fnName: 'myFn',
+    inputs: { ' image ': { id: 0, shape: ['H', 'W', 'CV_8UC3'] } },
+    outputs: { result: { id: 1, shape: ['H', 'W', 'CV_8U'], zeroCopy: false } },
+    attributes: { name: { id: 2, type: 'string = "abc"' } },
+    zeroCopy: true
+  };
+  const original = JSON.parse(JSON.stringify(opsMeta));
+
+  const parsed = parseOpsMeta(opsMeta);
+  t.deepEqual(opsMeta, original);
+  t.is(parsed.inputs[0].name, 'image');
+  t.is(parsed.inputs[0].typeFormat, 'cv');
+  t.true(parsed.inputs[0].zeroCopy);
+  t.false(parsed.outputs[0].zeroCopy);
+  t.deepEqual(parsed.outputs[0].pShape.dimDtorArr[0].ref, { name: 'image', regIdx: 0, dimIdx: 0 });
+  t.deepEqual(parsed.attributes[0], { id: 2, name: 'name', type: 'string', defaultVal: '"abc"' });
+  t.is(JSON.stringify(parseOpsMeta(opsMeta)), JSON.stringify(parsed));
+
+  testThrownMsg(t, 'Invalid operations metadata format:\n  op.inputs.a.shape: missing required field',
+    parseOpsMeta, { inputs: { a: { id: 0 } } });
+});
+
+test('computeExecuteFn: assign the return value of the function to the returned output', t => {
+  t.is(
+    computeExecuteFn.bind({
+      fnName: 'detect',
+      inputs: [{ id: 0, name: 'image' }],
+      outputs: [
+        { id: 2, name: 'keypoints', pShape: { varDecStr: 'vector<KeyPoint>' }, isReturn: true },
+        { id: 1, name: 'mask', pShape: { varDecStr: 'Mat' } }
+      ]
+    })(),
+    'vector<KeyPoint> keypoints_cv;\nMat mask_cv;\n\n  keypoints_cv = detect(image_cv, mask_cv);'
+  );
+});
+
+test('computeOutputFn: copy scalar returned by the function', t => {
+  const opsMeta = {
+    fnName: 'computeSharpness',
+    inputs: { image: { id: 0, shape: ['none', 'none', 'CV_8U'] } },
+    outputs: { sharpness: { id: 1, shape: ['double'], return: true } }
+  };
+  const parsedOpsMeta = parseOpsMeta(opsMeta);
+  t.deepEqual(computeExecute(parsedOpsMeta).outputs, [
+    { id: 1, name: 'sharpness', pShape: parsedOpsMeta.outputs[0].pShape, isReturn: true }
+  ]);
+  const result = computeOutputFn.bind(computeOutput(parsedOpsMeta)[0])();
+  t.true(result.includes('context->allocate_output(0, TensorShape({  }), &sharpness_out)'));
+  t.true(result.includes('sharpness_out_data(0) = sharpness_cv;'));
+});
+
+test('functionParams: list parameters of the function called by kernel in order of ids', t => {
+  t.deepEqual(functionParams(parseOpsMeta({
+    inputs: {
+      count: { id: 3, shape: ['int'] },
+      image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] }
+    },
+    outputs: { result: { id: 1, shape: ['vector:none', 'float'] } },
+    inputoutputs: { mask: { id: 2, shape: ['none', 'none', 'CV_8U'] } },
+    attributes: {
+      mode: { id: 4, type: 'string = "a"' },
+      ksize: { id: 5, type: 'int = 3' },
+      sizes: { id: 6, type: 'list(int) = [1]' },
+      anchor: { id: 7, type: 'list(float) = [0.5, 0.5]', as: 'Size' },
+      color: { id: 8, type: 'list(int) = [0]', as: 'Scalar' }
+    }
+  })), [
+    { id: 0, section: 'inputs', name: 'image', type: 'Mat', isConst: true, isRef: true },
+    { id: 1, section: 'outputs', name: 'result', type: 'vector<float>', isConst: false, isRef: true },
+    { id: 2, section: 'inputoutputs', name: 'mask', type: 'Mat', isConst: false, isRef: true },
+    { id: 3, section: 'inputs', name: 'count', type: 'int', isConst: false, isRef: false },
+    { id: 4, section: 'attributes', name: 'mode', type: 'string', isConst: true, isRef: true },
+    { id: 5, section: 'attributes', name: 'ksize', type: 'int', isConst: false, isRef: false },
+    { id: 6, section: 'attributes', name: 'sizes', type: 'vector<int>', isConst: true, isRef: true },
+    { id: 7, section: 'attributes', name: 'anchor', type: 'Size2f', isConst: false, isRef: false },
+    { id: 8, section: 'attributes', name: 'color', type: 'Scalar', isConst: true, isRef: true }
+  ]);
+});
+
+test('declareFunction: declare the function called by kernel', t => {
+  t.is(declareFunction(parseOpsMeta({ fnName: 'myFn' })), 'void myFn();');
+  t.is(declareFunction(parseOpsMeta({
+    fnName: 'myFn',
+    inputs: {
+      image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] },
+      count: { id: 3, shape: ['int'] },
+      points: { id: 6, shape: ['vector:none', 'vector:none', 'float'] }
+    },
+    outputs: {
+      result: { id: 2, shape: ['vector:none', 'none', 'CV_32F'] },
+      score: { id: 7, shape: ['double'] }
+    },
+    inputoutputs: {
+      mask: { id: 1, shape: ['none', 'none', 'CV_8U'] }
+    },
+    attributes: {
+      ksize: { id: 4, type: 'int = 3' },
+      mode: { id: 5, type: 'string = "a"' },
+      ratio: { id: 8, type: 'float = 0.5' },
+      flag: { id: 9, type: 'bool = true' }
+    }
+  })), 'void myFn(const Mat& image, Mat& mask, vector<Mat>& result, int count, int ksize, const string& mode, ' +
+       'const vector<vector<float>>& points, double& score, float ratio, bool flag);');
+});
+
+test('declareFunction: declare the returned output as the return type', t => {
+  const opsMeta = {
+    fnName: 'detect',
+    typeAttrs: { T: '{float32, float64}' },
+    inputs: { image: { id: 0, shape: ['none', 'none', 'CV_TC3'] } },
+    outputs: {
+      keypoints: { id: 1, shape: ['vector:none', 'KeyPoint'], return: true },
+      scores: { id: 2, shape: ['vector:none', 'T'] }
+    }
+  };
+  t.deepEqual(functionParams(parseOpsMeta(opsMeta)).map((param) => param.name), ['image', 'scores']);
+  t.is(
+    declareFunction(parseOpsMeta(opsMeta)),
+    'template <typename T> vector<KeyPoint> detect(const Mat& image, vector<T>& scores);'
+  );
+});
+
+test('declareFunction: declare parameters in the order of call arguments', t => {
+  const opsMeta = {
+    fnName: 'GaussianBlur',
+    inputs: { src: { shape: ['none', 'none', 'CV_8UC3'] } },
+    outputs: { dst: { shape: ['same_as:src', 'CV_8UC3'] } },
+    attributes: {
+      ksize: { type: 'int = 3' },
+      sigma: { id: 0, type: 'float = 0' }
+    },
+    call: ['src', 'dst', 'cv::Size({{ksize}}, {{ksize}})', '{{sigma}}', '0.0', 'int(cv::BORDER_REFLECT)']
+  };
+  const parsedOpsMeta = parseOpsMeta(opsMeta);
+  // The entries without ids follow the ones with ids
+  t.deepEqual(parsedOpsMeta.inputs.map((obj) => obj.id), [1]);
+  t.deepEqual(parsedOpsMeta.outputs.map((obj) => obj.id), [2]);
+  t.deepEqual(parsedOpsMeta.attributes.map((obj) => obj.id), [3, 0]);
+  t.deepEqual(functionParams(parsedOpsMeta)[2], { section: 'call', name: 'arg2', type: 'Size', isConst: false, isRef: false });
+  t.is(
+    declareFunction(parsedOpsMeta),
+    'void GaussianBlur(const Mat& src, Mat& dst, Size arg2, float sigma, double arg4, int arg5);'
+  );
+  t.is(
+    computeExecuteFn.bind(computeExecute(parsedOpsMeta))(),
+    'Mat dst_cv;\n\n  GaussianBlur(src_cv, dst_cv, cv::Size(ksize_, ksize_), sigma_, 0.0, int(cv::BORDER_REFLECT));'
+  );
+});
+
+test('declareFunction: pass bare identifiers and explicitly typed expressions', t => {
+  const opsMeta = {
+    fnName: 'cv::GaussianBlur',
+    inputs: { src: { shape: ['none', 'none', 'CV_8UC3'] } },
+    outputs: { dst: { shape: ['same_as:src', 'CV_8UC3'] } },
+    call: ['src', 'dst', 'cv::Size(3, 3)', '0', { expr: 'nullptr', type: 'Mat*' }, 'cv::BORDER_REFLECT']
+  };
+  const parsedOpsMeta = parseOpsMeta(opsMeta);
+  t.deepEqual(functionParams(parsedOpsMeta).slice(4), [
+    { section: 'call', name: 'arg4', type: 'Mat*', isConst: false, isRef: false },
+    { section: 'call', name: 'arg5', type: undefined, isConst: false, isRef: false }
+  ]);
+  t.is(
+    computeExecuteFn.bind(computeExecute(parsedOpsMeta))(),
+    'Mat dst_cv;\n\n  cv::GaussianBlur(src_cv, dst_cv, cv::Size(3, 3), 0, nullptr, cv::BORDER_REFLECT);'
+  );
+  // The function taking untyped arguments is declared by itself.
+  const result = renderDeclTemp('my_ops_op_decl.hpp', [
+    Object.assign({}, opsMeta, { fnName: 'myBlur' }),
+    { fnName: 'fnA', outputs: { a: { id: 0, shape: ['int'] } } }
+  ]);
+  t.false(result.includes('myBlur'));
+  t.true(result.includes('void fnA(int& a);'));
+});
+
+test('computeExecute: refer to converted attributes in call arguments', t => {
+  const parsedOpsMeta = parseOpsMeta({
+    fnName: 'fill',
+    inputoutputs: { image: { shape: ['none', 'none', 'CV_8UC3'] } },
+    attributes: { color: { type: 'list(int) = [0]', as: 'Scalar' } },
+    call: ['image', 'color', 'Scalar({{color}})']
+  });
+  t.deepEqual(computeExecute(parsedOpsMeta).callArgus, ['image_cv', 'color_cv_', 'Scalar(color_cv_)']);
+});
+
+test('declareFunction: pass geometry objects by const reference', t => {
+  t.is(declareFunction(parseOpsMeta({
+    fnName: 'myFn',
+    inputs: { roi: { id: 0, shape: ['Rect'] }, points: { id: 1, shape: ['vector:none', 'Point2f'] } },
+    outputs: { keypoints: { id: 2, shape: ['vector:none', 'KeyPoint'] } }
+  })), 'void myFn(const Rect& roi, const vector<Point2f>& points, vector<KeyPoint>& keypoints);');
+});
+
+test('declareFunction: declare function template for type variables used by parameters', t => {
+  const typeAttrs = { T: '{float32, float64}', U: '{int32}' };
+  t.is(declareFunction(parseOpsMeta({
+    fnName: 'myFn',
+    typeAttrs,
+    inputs: {
+      image: { id: 0, shape: ['none', 'none', 'CV_TC3'] },
+      sigma: { id: 1, shape: ['T'] },
+      points: { id: 2, shape: ['vector:none', 'U'] }
+    }
+  })), 'template <typename T, typename U> void myFn(const Mat& image, T sigma, const vector<U>& points);');
+  t.is(declareFunction(parseOpsMeta({
+    fnName: 'myFn',
+    typeAttrs,
+    inputs: { image: { id: 0, shape: ['none', 'none', 'CV_TC3'] } }
+  })), 'void myFn(const Mat& image);');
+});
+
+test('kernelTypeCombinations: list kernels to be registered for each combination of types', t => {
+  t.deepEqual(kernelTypeCombinations([]), [{ constraints: '', templateArgus: '' }]);
+  t.deepEqual(kernelTypeCombinations([
+    { name: 'T', types: ['float32', 'float64'] },
+    { name: 'U', types: ['uint8'] }
+  ]), [
+    { constraints: '.TypeConstraint<float>("T").TypeConstraint<uint8_t>("U")', templateArgus: '<float, uint8_t>' },
+    { constraints: '.TypeConstraint<double>("T").TypeConstraint<uint8_t>("U")', templateArgus: '<double, uint8_t>' }
+  ]);
+});
+
+test('registerTypeAttrFn: return string of a type attribute', t => {
+  t.is(registerTypeAttrFn.call({ name: 'T', types: ['float32', 'float64', 'int32'] }),
+       '.Attr("T: {float, double, int32}")');
+});
+
+test('renderKernelTemp: render templated kernel for type attributes', t => {
+  const result = renderKernelTemp({
+    srcFile: 'blur',
+    opName: 'Blur',
+    fnName: 'blur',
+    typeAttrs: { T: '{float32, float64}' },
+    inputs: { image: { id: 0, shape: ['none', 'none', 'CV_TC3'] } },
+    outputs: { result: { id: 1, shape: ['none', 'none', 'CV_TC3'] } }
+  });
+  t.true(result.indexOf('.Input("image: T")\n  .Attr("T: {float, double}")\n  .Output("result: T")') !== -1);
+  t.true(result.indexOf('template <typename T>\nclass BlurOp : public OpKernel {') !== -1);
+  t.true(result.indexOf('image_in.tensor<T, 3>()') !== -1);
+  t.true(result.indexOf('Mat image_cv(2, image_cv_shape, CV_MAKETYPE(cv::DataType<T>::depth, 3));') !== -1);
+  t.true(result.indexOf(
+    'REGISTER_KERNEL_BUILDER(Name("Blur").Device(DEVICE_CPU).TypeConstraint<float>("T"), BlurOp<float>);\n' +
+    'REGISTER_KERNEL_BUILDER(Name("Blur").Device(DEVICE_CPU).TypeConstraint<double>("T"), BlurOp<double>);\n') !== -1);
+});
+
+test('renderDeclTemp: render declaration header of all operations', t => {
+  const result = renderDeclTemp('my_ops_op_decl.hpp', [
+    { fnName: 'fnA', inputs: { a: { id: 0, shape: ['none', 'CV_8U'] } } },
+    { fnName: 'fnB', outputs: { b: { id: 0, shape: ['int'] } } }
+  ]);
+  t.true(result.indexOf('#ifndef MY_OPS_OP_DECL_HPP_\n#define MY_OPS_OP_DECL_HPP_\n') !== -1);
+  t.true(result.indexOf('namespace pv {') !== -1);
+  t.true(result.indexOf('void fnA(const Mat& a);\nvoid fnB(int& b);\n\n} // namespace pv') !== -1);
+  t.true(result.endsWith('#endif // MY_OPS_OP_DECL_HPP_'));
+});
+
+test('renderDeclTemp: declare functions in their namespaces', t => {
+  const result = renderDeclTemp('my_ops_op_decl.hpp', [
+    { fnName: 'fnA', outputs: { a: { id: 0, shape: ['int'] } } },
+    { fnName: 'cv::fnB', outputs: { b: { id: 0, shape: ['int'] } } },
+    { fnName: 'fnC', namespace: 'my::ns', outputs: { c: { id: 0, shape: ['int'] } } },
+    { fnName: 'fnD', namespace: '', outputs: { d: { id: 0, shape: ['int'] } } },
+    { fnName: 'fnE', outputs: { e: { id: 0, shape: ['int'] } } }
+  ]);
+  t.true(result.indexOf('namespace pv {\n\nusing namespace std;\nusing namespace cv;\n\n' +
+                        'void fnA(int& a);\nvoid fnE(int& e);\n\n} // namespace pv\n') !== -1);
+  t.true(result.indexOf('namespace my { namespace ns {\n\nusing namespace std;\nusing namespace cv;\n\n' +
+                        'void fnC(int& c);\n\n} } // namespace my::ns\n') !== -1);
+  t.true(result.indexOf('\n\nusing namespace std;\nusing namespace cv;\n\nvoid fnD(int& d);\n\n#endif') !== -1);
+  // The library functions are not declared again.
+  t.false(result.includes('fnB'));
+  t.false(result.includes('namespace cv {'));
+});
+
+test('renderDeclTemp: qualify types without using-directives', t => {
+  const result = renderDeclTemp('my_ops_op_decl.hpp', [{
+    fnName: 'fnA',
+    usingDirectives: false,
+    inputs: { image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] } },
+    outputs: {
+      points: { id: 1, shape: ['vector:none', 'vector:none', 'Point2f'] },
+      kernel: { id: 2, shape: ['3', '3', 'float:Matx'] },
+      count: { id: 4, shape: ['int'], return: true }
+    },
+    attributes: { mode: { id: 3, type: 'string' } }
+  }]);
+  t.true(result.indexOf('namespace pv {\n\nint fnA(const cv::Mat& image, std::vector<std::vector<cv::Point2f>>& points, ' +
+                        'cv::Matx<float, 3, 3>& kernel, const std::string& mode);\n\n} // namespace pv') !== -1);
+  t.false(result.includes('using namespace'));
+});
+
 test.skip('renderKernelTemp: internal function for render', t => {
   const opName = 'my_op';
   const fnName = 'my_fn';
@@ -797,5 +1812,431 @@ test.skip('renderKernelTemp: internal function for render', t => {
   });
 });
 
+test.cb('verify: verify function declared in header file against spec', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  fs.writeFileSync(path.join(dir, 'blur.json'), JSON.stringify([
+    {
+      inputs: { image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] } },
+      outputs: { result: { id: 1, shape: ['none', 'none', 'CV_8UC3'] } },
+      attributes: { ksize: { id: 2, type: 'int = 3' } }
+    },
+    {
+      opName: 'sharpen',
+      fnName: 'sharpen',
+      inputs: { image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] } }
+    },
+    {
+      srcFile: 'missing',
+      opName: 'other'
+    }
+  ]));
+  fs.writeFileSync(path.join(dir, 'blur.hpp'),
+    'namespace pv {\nvoid blur(const cv::Mat& image, cv::Mat& result, double ksize);\n}');
+
+  generator.verify(path.join(dir, 'blur.json'), (err) => {
+    t.is(err.message, 'Mismatched function signatures:\n' +
+      '  ops[0].attributes.ksize: argument 3 expects type int but get double: double ksize in blur.hpp\n' +
+      '  ops[1].fnName: function sharpen is not declared in blur.hpp\n' +
+      '  ops[2].srcFile: can not read header file missing.hpp');
+    t.is(err.errors.length, 3);
+
+    fs.writeFileSync(path.join(dir, 'blur.hpp'),
+      'void blur(const cv::Mat& image, cv::Mat& result, int ksize);\nvoid sharpen(cv::Mat image);');
+    fs.writeFileSync(path.join(dir, 'missing.hpp'), 'void blur();');
+    generator.verify(path.join(dir, 'blur.json'), (err) => {
+      t.falsy(err);
+      t.end();
+    });
+  });
+});
+
+test.serial.cb('verify: find header file next to spec file given by relative path', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  fs.writeFileSync(path.join(dir, 'm.json'), JSON.stringify({
+    inputs: { kernel: { id: 0, shape: ['3', '3', 'CV_32F:Matx'] } }
+  }));
+  fs.writeFileSync(path.join(dir, 'm.hpp'), 'namespace pv {\nvoid m(const cv::Matx<float, 3, 3>& kernel);\n}');
+
+  const cwd = process.cwd();
+  process.chdir(dir);
+  generator.verify('m.json', (err) => {
+    process.chdir(cwd);
+    t.falsy(err);
+    t.end();
+  });
+});
+
+test.cb('verify: verify function of fully qualified name declared in its namespace', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  fs.writeFileSync(path.join(dir, 'blur.json'), JSON.stringify({
+    fnName: 'my::ns::blur',
+    inputs: { image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] } }
+  }));
+  fs.writeFileSync(path.join(dir, 'blur.hpp'), 'namespace my { namespace ns {\nvoid blur(const cv::Mat& image);\n} }');
+
+  generator.verify(path.join(dir, 'blur.json'), (err) => {
+    t.falsy(err);
+    t.end();
+  });
+});
+
+test('generate: resolve to generated sources without touching disk', t => {
+  const spec = { inputs: { a: { id: 0, shape: ['int'] } } };
+  const original = JSON.parse(JSON.stringify(spec));
+
+  return generator.generate(spec, { name: 'my_ops' }).then((sources) => {
+    t.deepEqual(Object.keys(sources), ['my_ops_op.cc', 'my_ops_op_decl.hpp', 'my_ops_op.py']);
+    t.true(sources['my_ops_op.cc'].indexOf('REGISTER_OP("MyOps")') !== -1);
+    t.true(sources['my_ops_op_decl.hpp'].indexOf('void my_ops(int a);') !== -1);
+    t.true(sources['my_ops_op.py'].indexOf('my_ops = _op_module.my_ops') !== -1);
+    t.deepEqual(spec, original);
+
+    return generator.generate([spec, Object.assign({ opName: 'other' }, spec)], { name: 'my_ops', kernelOnly: true });
+  }).then((sources) => {
+    t.deepEqual(Object.keys(sources), ['my_ops_op.cc', 'other_op.cc', 'my_ops_op_decl.hpp']);
+  });
+});
+
+test('pyWrapper: make lengths tensors optional arguments', t => {
+  t.is(pyWrapper(parseOpsMeta({ fnName: 'f', inputs: { a: { id: 0, shape: ['vector:none', 'vector:none', 'int'] } } })),
+       undefined);
+  t.deepEqual(pyWrapper(parseOpsMeta({
+    fnName: 'f',
+    inputs: {
+      image: { id: 0, shape: ['none', 'none', 'CV_8U'] },
+      points: { id: 2, shape: ['vector:none', 'vector:none', 'Point'], lengths: true }
+    },
+    inputoutputs: {
+      mask: { id: 1, shape: ['vector:none', 'vector:none', 'int'], lengths: true }
+    }
+  })), {
+    params: 'image, mask_in, points, mask_lengths_1=None, points_lengths_1=None',
+    lengths: [
+      { lengthsName: 'mask_lengths_1', inputName: 'mask_in', layer: 1 },
+      { lengthsName: 'points_lengths_1', inputName: 'points', layer: 1 }
+    ],
+    argus: 'image, mask_in, mask_lengths_1, points, points_lengths_1'
+  });
+});
+
+test('generate: render lengths tensors of ragged inputs', t => {
+  const spec = [
+    { opName: 'plain', inputs: { a: { id: 0, shape: ['int'] } } },
+    {
+      opName: 'ragged',
+      inputs: {
+        a: { id: 0, shape: ['vector:none', 'vector:none', 'int'], lengths: true },
+        b: { id: 1, shape: ['N', 'CV_8U'] }
+      },
+      outputs: { c: { id: 2, shape: ['N', 'CV_8U'] } }
+    }
+  ];
+  return generator.generate(spec, { name: 'my_ops' }).then((sources) => {
+    const kernel = sources['ragged_op.cc'];
+    t.true(kernel.includes('.Input("a: int32")\n  .Input("a_lengths_1: int32")\n  .Input("b: uint8")'));
+    t.true(kernel.includes('shape_inference::DimensionHandle N_dim = c->Dim(b_shape, 0);'));
+    t.true(kernel.includes('c->set_output(0, c->Vector(N_dim));'));
+    t.true(kernel.includes('const Tensor& b_in = context->input(2);'));
+
+    const wrapper = sources['my_ops_op.py'];
+    t.true(wrapper.includes('plain = _op_module.plain\n'));
+    t.true(wrapper.includes('def _full_lengths(tensor, layer):'));
+    t.true(wrapper.includes('def ragged(a, b, a_lengths_1=None, **kwargs):\n' +
+      '  if a_lengths_1 is None:\n' +
+      '    a_lengths_1 = _full_lengths(a, 1)\n' +
+      '  return _op_module.ragged(a, a_lengths_1, b, **kwargs)\n'));
+  });
+});
+
+test('generate: render padded outputs with lengths tensors', t => {
+  const spec = {
+    opName: 'contours',
+    inputs: { image: { id: 0, shape: ['none', 'none', 'CV_8U'] } },
+    outputs: {
+      contours: { id: 1, shape: ['vector:none', 'vector:none', 'Point'], lengths: true, padding: -1 },
+      areas: { id: 2, shape: ['vector:none', 'double'] }
+    }
+  };
+  return generator.generate(spec, { name: 'my_ops' }).then((sources) => {
+    const kernel = sources['contours_op.cc'];
+    t.true(kernel.includes('.Output("contours: int32")\n  .Output("contours_lengths_1: int32")\n  .Output("areas: float64")'));
+    t.true(kernel.includes('c->set_output(1, c->Vector(InferenceContext::kUnknownDim));'));
+    t.true(kernel.includes('c->set_output(2, c->Vector(InferenceContext::kUnknownDim));'));
+    t.true(kernel.includes('context->allocate_output(1, TensorShape({ contours_out_dims_sz_0 }), &contours_lengths_1_out)'));
+    t.true(kernel.includes('context->allocate_output(2, TensorShape({ areas_out_dims_sz_0 }), &areas_out)'));
+  });
+});
+
+test('renderpyWrapperTemp: return lengths outputs as registered', t => {
+  const result = renderpyWrapperTemp('my_ops.so', [
+    {
+      opName: 'findContours',
+      inputs: { image: { id: 0, shape: ['none', 'none', 'CV_8U'] } },
+      outputs: { contours: { id: 1, shape: ['vector:none', 'vector:none', 'Point'], lengths: true } }
+    },
+    {
+      opName: 'shiftContours',
+      inputs: { contours: { id: 0, shape: ['vector:none', 'vector:none', 'Point'], lengths: true } },
+      outputs: { shifted: { id: 1, shape: ['vector:none', 'vector:none', 'Point'], lengths: true } }
+    }
+  ]);
+  // The exported ops return all the registered outputs, e.g. (contours, contours_lengths_1).
+  t.true(result.includes('\nfind_contours = _op_module.find_contours\n'));
+  t.true(result.includes('  return _op_module.shift_contours(contours, contours_lengths_1, **kwargs)\n'));
+});
+
+test('generate: render output shapes derived from inputs and attributes', t => {
+  const spec = {
+    opName: 'pyrDown',
+    inputs: { src: { id: 0, shape: ['none', 'none', 'CV_8UC3'] } },
+    attributes: { borderType: { id: 1, type: 'int = 4' } },
+    outputs: {
+      dst: { id: 2, shape: ['(dim(src, 0) + 1) / 2', '(dim(src, 1) + 1) / 2', 'CV_8UC3'] },
+      mask: { id: 3, shape: ['same_as:src', 'CV_8U'] }
+    }
+  };
+  return generator.generate(spec, { name: 'my_ops' }).then((sources) => {
+    const kernel = sources['pyr_down_op.cc'];
+    t.true(kernel.includes('TF_RETURN_IF_ERROR(c->Add(c->Dim(c->input(0), 0), 1, &output_0_dim_0));'));
+    t.true(kernel.includes('c->set_output(0, c->MakeShape({ output_0_dim_1, output_0_dim_3, 3 }));'));
+    t.true(kernel.includes('c->set_output(1, c->Matrix(c->Dim(c->input(0), 0), c->Dim(c->input(0), 1)));'));
+    t.true(kernel.includes('OP_REQUIRES(context, mask_out_dims_sz_1 == src_in_dims_sz_1,'));
+    // The attribute is only read by the shape function if it's used by the dimension expressions.
+    t.false(kernel.includes('c->GetAttr('));
+  });
+});
+
+test('generate: render includes, namespaces and using-directives of spec and config', t => {
+  const spec = [
+    { inputs: { a: { id: 0, shape: ['int'] } } },
+    { opName: 'blur', fnName: 'cv::blur', includes: ['<opencv2/imgproc.hpp>'], inputs: { a: { id: 0, shape: ['int'] } } },
+    { opName: 'plain', namespace: 'ext', usingDirectives: false, inputs: { a: { id: 0, shape: ['int'] } } }
+  ];
+
+  return generator.generate(spec, { name: 'my_ops', kernelOnly: true }).then((sources) => {
+    t.true(sources['my_ops_op.cc'].indexOf('#include "my_ops.hpp"\n\nusing namespace std;\nusing namespace pv;\n\n' +
+                                           'namespace tensorflow {') !== -1);
+    t.true(sources['blur_op.cc'].indexOf('#include "my_ops.hpp"\n#include <opencv2/imgproc.hpp>\n\n' +
+                                         'using namespace std;\nusing namespace cv;\n\nnamespace tensorflow {') !== -1);
+    t.true(sources['blur_op.cc'].indexOf('cv::blur(a_cv);') !== -1);
+    t.true(sources['plain_op.cc'].indexOf('#include "my_ops.hpp"\n\nnamespace tensorflow {') !== -1);
+    t.true(sources['plain_op.cc'].indexOf('ext::my_ops(a_cv);') !== -1);
+
+    const config = { includes: ['common.hpp'], namespace: 'lib' };
+    return generator.generate(spec, { name: 'my_ops', kernelOnly: true, config });
+  }).then((sources) => {
+    t.true(sources['my_ops_op.cc'].indexOf('#include "my_ops.hpp"\n#include "common.hpp"\n\n' +
+                                           'using namespace std;\nusing namespace cv;\nusing namespace lib;\n') !== -1);
+    t.true(sources['my_ops_op.cc'].indexOf('  my_ops(a_cv);') !== -1);
+    t.true(sources['blur_op.cc'].indexOf('#include "common.hpp"\n#include <opencv2/imgproc.hpp>\n\nusing') !== -1);
+    t.true(sources['blur_op.cc'].indexOf('cv::blur(a_cv);') !== -1);
+    t.true(sources['plain_op.cc'].indexOf('ext::my_ops(a_cv);') !== -1);
+    t.true(sources['my_ops_op_decl.hpp'].indexOf('namespace lib {\n\nusing namespace std;') !== -1);
+    t.true(sources['my_ops_op_decl.hpp'].indexOf('namespace ext {\n\nvoid my_ops(int a);') !== -1);
+
+    return generator.generate(spec, { name: 'my_ops', config: { namespace: 'a b' } });
+  }).then(() => {
+    t.fail();
+  }, (err) => {
+    t.is(err.message, 'Invalid operations metadata format:\n  config.namespace: invalid C++ namespace: "a b"');
+  });
+});
+
+test('generate: qualify names of std and cv in kernel without using-directives', t => {
+  const spec = {
+    usingDirectives: false,
+    inputs: {
+      image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] },
+      kernel: { id: 3, shape: ['3', '3', 'float:Matx'] }
+    },
+    outputs: { points: { id: 1, shape: ['vector:none', 'vector:none', 'Point2f'] } },
+    attributes: {
+      mode: { id: 2, type: 'string' },
+      ksize: { id: 4, type: 'list(int) = [3, 3]', as: 'Size' }
+    }
+  };
+
+  return generator.generate(spec, { name: 'my_ops', kernelOnly: true }).then((sources) => {
+    const kernel = sources['my_ops_op.cc'];
+    t.false(kernel.includes('using namespace'));
+    t.true(kernel.includes('#include "my_ops.hpp"\n\nnamespace tensorflow {'));
+    t.true(kernel.includes('cv::Mat image_cv(2, image_cv_shape, CV_8UC3);'));
+    t.true(kernel.includes('image_cv.at<cv::Vec<uint8_t, 3>>(image_dims_0, image_dims_1)[0]'));
+    t.true(kernel.includes('cv::Matx<float, 3, 3> kernel_cv;'));
+    t.true(kernel.includes('std::vector<std::vector<cv::Point2f>> points_cv;'));
+    t.true(kernel.includes('std::string      mode_;'));
+    t.true(kernel.includes('std::vector<int>      ksize_;\ncv::Size      ksize_cv_;'));
+    t.true(kernel.includes('ksize_cv_ = cv::Size(ksize_[0], ksize_[1]);'));
+    t.true(kernel.includes('pv::my_ops(image_cv, points_cv, mode_, kernel_cv, ksize_cv_);'));
+    // No name of std or cv is left unqualified out of the string literals.
+    const code = kernel.replace(/"[^"\n]*"/g, '""');
+    t.false(/(^|[^:\w])(Mat|Matx|Vec|vector|string|Size|Point2f)\b/.test(code));
+
+    // The declaration header has no using-directives, so the names are qualified.
+    const header = sources['my_ops_op_decl.hpp'];
+    t.false(header.includes('using namespace'));
+    t.false(/(^|[^:\w])(Mat|vector|string|Point2f)\b/.test(header.replace(/#include.*\n/g, '')));
+  });
+});
+
+test('generate: reject invalid spec or options', t => {
+  return Promise.all([
+    t.throws(generator.generate({}, {}), 'Invalid options: name is required to name the generated files'),
+    t.throws(generator.generate('str', { name: 'a' }), 'Invalid JSON format'),
+    t.throws(generator.generate({ device: 'GPU' }, { name: 'a' }),
+      'Invalid operations metadata format:\n  ops[0].device: expect one of DEVICE_CPU, DEVICE_GPU but get GPU')
+  ]);
+});
+
+test('writeOutputs: write sources to directory', t => {
+  const outDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-')), 'build');
+
+  return generator.writeOutputs({ 'a.cc': 'content a', 'b.py': 'content b' }, outDir).then((paths) => {
+    t.deepEqual(paths, [path.join(outDir, 'a.cc'), path.join(outDir, 'b.py')]);
+    t.is(fs.readFileSync(paths[0], 'utf8'), 'content a');
+    t.is(fs.readFileSync(paths[1], 'utf8'), 'content b');
+  });
+});
+
+test.cb('render: render output files of spec file with options', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  const url = path.join(dir, 'my_ops.json');
+  fs.writeFileSync(url, JSON.stringify({ inputs: { a: { id: 0, shape: ['int'] } } }));
+
+  generator.render(url, { dryRun: true, outDir: 'build' }, (err, outputs) => {
+    t.falsy(err);
+    t.deepEqual(outputs.map((output) => { return output.path; }), [
+      path.join('build', 'my_ops_op.cc'),
+      path.join('build', 'my_ops_op_decl.hpp'),
+      path.join('build', 'my_ops_op.py')
+    ]);
+    t.false(fs.existsSync('build'));
+
+    generator.render(url, { kernelOnly: true, pythonOnly: true }, (err) => {
+      t.is(err.message, 'Invalid options: kernelOnly and pythonOnly can not be used together');
+
+      generator.render(url, { pythonOnly: true }, (err, outputs) => {
+        t.falsy(err);
+        t.deepEqual(outputs.map((output) => { return output.path; }), [path.join(dir, 'my_ops_op.py')]);
+        t.is(fs.readFileSync(path.join(dir, 'my_ops_op.py'), 'utf8'), outputs[0].contents);
+        t.end();
+      });
+    });
+  });
+});
+
+test('writeOutputs: keep existing files if any source fails to be written', t => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  fs.writeFileSync(path.join(outDir, 'a.cc'), 'old content');
+
+  return t.throws(generator.writeOutputs({ 'a.cc': 'new content', 'missing/b.py': 'content b' }, outDir))
+    .then((err) => {
+      t.is(err.code, 'ENOENT');
+      t.is(fs.readFileSync(path.join(outDir, 'a.cc'), 'utf8'), 'old content');
+      t.deepEqual(fs.readdirSync(outDir), ['a.cc']);
+    });
+});
+
+test.serial('writeOutputs: restore existing files if any of them fails to be replaced', t => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  fs.writeFileSync(path.join(outDir, 'a.cc'), 'old a');
+  fs.writeFileSync(path.join(outDir, 'b.py'), 'old b');
+
+  // The new a.cc is already in place when b.py fails to be replaced.
+  const renameStub = sinon.spy((oldPath, newPath, callback) => {
+    if (newPath === path.join(outDir, 'b.py') && /\.tmp$/.test(oldPath)) {
+      return process.nextTick(() => { callback(Object.assign(new Error('rename failed'), { code: 'EACCES' })); });
+    }
+    fs.rename(oldPath, newPath, callback);
+  });
+  generator.__set__('fs', Object.assign({}, fs, { rename: renameStub }));
+  const restore = () => { generator.__set__('fs', fs); };
+
+  return t.throws(generator.writeOutputs({ 'a.cc': 'new a', 'b.py': 'new b', 'c.h': 'new c' }, outDir))
+    .then((err) => {
+      restore();
+      t.is(err.code, 'EACCES');
+      t.is(fs.readFileSync(path.join(outDir, 'a.cc'), 'utf8'), 'old a');
+      t.is(fs.readFileSync(path.join(outDir, 'b.py'), 'utf8'), 'old b');
+      t.deepEqual(fs.readdirSync(outDir).sort(), ['a.cc', 'b.py']);
+    }, (err) => {
+      restore();
+      throw err;
+    });
+});
+
+test('writeOutputs: remove backups of replaced files', t => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  fs.writeFileSync(path.join(outDir, 'a.cc'), 'old a');
+
+  return generator.writeOutputs({ 'a.cc': 'new a', 'b.py': 'new b' }, outDir).then(() => {
+    t.is(fs.readFileSync(path.join(outDir, 'a.cc'), 'utf8'), 'new a');
+    t.deepEqual(fs.readdirSync(outDir).sort(), ['a.cc', 'b.py']);
+  });
+});
+
+test('render: report errors of all operations without writing anything', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  const url = path.join(dir, 'my_ops.json');
+  fs.writeFileSync(url, JSON.stringify([{ opName: 'a' }, { opName: 'b' }, { opName: 'c' }]));
+
+  const renderKernelTempStub = sinon.spy((meta) => {
+    if (meta.opName !== 'B') { throw new Error(`error of ${meta.opName}\nnext line`); }
+    return 'kernel';
+  });
+  const writeFilesStub = sinon.spy();
+  const callback = sinon.spy();
+  generator.__set__('renderKernelTemp', renderKernelTempStub);
+  generator.__set__('writeFiles', writeFilesStub);
+  try {
+    generator.render(url, callback);
+  } finally {
+    generator.__set__('renderKernelTemp', renderKernelTemp);
+    generator.__set__('writeFiles', writeFiles);
+  }
+
+  // Nothing is left to be done once render returns, since no file is written.
+  t.false(writeFilesStub.called);
+  t.true(callback.calledOnce);
+  const err = callback.firstCall.args[0];
+  t.is(renderKernelTempStub.callCount, 3);
+  t.is(err.message, 'Failed to render operations:\n' +
+    '  ops[0] (A): error of A\n    next line\n' +
+    '  ops[2] (C): error of C\n    next line');
+  t.deepEqual(err.errors.map((error) => { return error.path; }), ['ops[0]', 'ops[2]']);
+  t.deepEqual(fs.readdirSync(dir), ['my_ops.json']);
+});
+
+test.cb('check: report files which are not up to date with diff', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ops-gen-'));
+  const url = path.join(dir, 'my_ops.json');
+  fs.writeFileSync(url, JSON.stringify({ inputs: { a: { id: 0, shape: ['int'] } } }));
+
+  generator.render(url, (err, outputs) => {
+    t.falsy(err);
+    generator.check(url, (err, staleFiles) => {
+      t.falsy(err);
+      t.deepEqual(staleFiles, []);
+
+      const pyPath = path.join(dir, 'my_ops_op.py');
+      fs.writeFileSync(pyPath, outputs[2].contents.replace('my_ops = ', 'old_ops = '));
+      fs.unlinkSync(path.join(dir, 'my_ops_op_decl.hpp'));
+      generator.check(url, (err, staleFiles) => {
+        t.falsy(err);
+        t.deepEqual(staleFiles.map((file) => { return file.path; }), [path.join(dir, 'my_ops_op_decl.hpp'), pyPath]);
+        t.true(staleFiles[0].diff.indexOf('--- /dev/null\ton disk\n') !== -1);
+        t.true(staleFiles[1].diff.indexOf(`--- ${pyPath}\ton disk\n+++ ${pyPath}\tgenerated\n`) !== -1);
+        t.true(staleFiles[1].diff.indexOf('\n-old_ops = _op_module.my_ops\n+my_ops = _op_module.my_ops') !== -1);
+        t.is(fs.readFileSync(pyPath, 'utf8').indexOf('old_ops') !== -1, true);
+
+        generator.check(url, { kernelOnly: true }, (err, staleFiles) => {
+          t.deepEqual(staleFiles.map((file) => { return file.path; }), [path.join(dir, 'my_ops_op_decl.hpp')]);
+          t.end();
+        });
+      });
+    });
+  });
+});
+
 test.skip('render: external function for rendering output file', t => {
 });
@@ -10,7 +10,9 @@ import {
   MAX_CV_CHANNELS
 } from './const';
 import { testThrownMsg } from './helper';
-import { parseShape, getTfRank, getCvRank, parseDimDtor, parseDataDtor } from '../lib/shape';
+import {
+  parseShape, getTfRank, getCvRank, getRaggedLayers, parseDimDtor, parseDataDtor, parseDimExpr, expandSameAs
+} from '../lib/shape';
 import { cvToStd } from '../lib/types';
 
 
@@ -93,6 +95,53 @@ test('parseDimDtor: parse dimensional descriptor string', t => {
   });
 });
 
+test('parseDimDtor: parse symbolic dimensional descriptor string', t => {
+  // Test for invalid symbols
+  ['h', 'width', '_H', 'H-1', 'H W', 'vector:h', 'vector:_N', 'VECTOR:N', 'Mat:H', 'CV_8U', 'vector:CV_N'].forEach((dtor) => {
+    testThrownMsg(t, `${INVALID_DIM_DTOR_MSG}: ${dtor}`, parseDimDtor, dtor);
+  });
+  // Test for valid symbols
+  ['H', 'W', 'Width', 'N_1', 'HW2'].forEach((symbol) => {
+    t.deepEqual(parseDimDtor(symbol), { type: 'Mat', dims: 'none', symbol });
+    t.deepEqual(parseDimDtor(`vector:${symbol}`), { type: 'vector', dims: 'none', symbol });
+  });
+});
+
+test('parseDimDtor: parse dimension expressions', t => {
+  // Test for invalid expressions
+  ['dim(a)', 'dim(a, b)', 'dim(a, -1)', 'dim(1, 0)', 'attr:', 'attr:1', 'attr:a +', '(dim(a, 0)', 'dim(a, 0) % 2',
+   '2 * 3', 'dim(a, 0) attr:b', 'vector:attr:', 'Mat:dim(a, 0)'].forEach((dtor) => {
+    testThrownMsg(t, `${INVALID_DIM_DTOR_MSG}: ${dtor}`, parseDimDtor, dtor);
+  });
+  testThrownMsg(t, `${INVALID_DIM_DTOR_MSG}: same_as:a is only allowed in outputs`, parseDimDtor, 'same_as:a');
+  // Test for valid expressions
+  const dimA0 = { op: 'dim', name: 'a', dimIdx: 0 };
+  t.deepEqual(parseDimDtor('dim(a, 0)'), { type: 'Mat', dims: 'none', expr: dimA0 });
+  t.deepEqual(parseDimDtor('vector:dim(a,0)'), { type: 'vector', dims: 'none', expr: dimA0 });
+  t.deepEqual(parseDimDtor('attr:size'), { type: 'Mat', dims: 'none', expr: { op: 'attr', name: 'size' } });
+});
+
+test('parseDimExpr: parse dimension expressions with operator precedence', t => {
+  const dimA0 = { op: 'dim', name: 'a', dimIdx: 0 };
+  const attrB = { op: 'attr', name: 'b' };
+  const two = { op: 'const', value: 2 };
+  t.deepEqual(parseDimExpr('dim(a, 0) / 2'), { op: '/', left: dimA0, right: two });
+  t.deepEqual(parseDimExpr('dim(a, 0) + attr:b * 2'), { op: '+', left: dimA0, right: { op: '*', left: attrB, right: two } });
+  t.deepEqual(parseDimExpr('(dim(a, 0) + attr:b) * 2'), { op: '*', left: { op: '+', left: dimA0, right: attrB }, right: two });
+  t.deepEqual(parseDimExpr('dim(a, 0) - 2 - attr:b'), { op: '-', left: { op: '-', left: dimA0, right: two }, right: attrB });
+  testThrownMsg(t, 'Invalid dimension expression: 2 * 3 refers to no input dimension or attribute', parseDimExpr, '2 * 3');
+});
+
+test('expandSameAs: expand the same_as dimension descriptors to the input dimensions', t => {
+  const lookup = (name) => { return { a: ['vector:none', '3', 'CV_8UC3'], b: ['Rect'] }[name]; };
+  t.deepEqual(expandSameAs(['none', 'CV_8U'], lookup), ['none', 'CV_8U']);
+  t.deepEqual(expandSameAs(['same_as:a', 'CV_32F'], lookup), ['vector:dim(a, 0)', 'dim(a, 1)', 'CV_32F']);
+  t.deepEqual(expandSameAs(['same_as:b', 'vector:none', 'int'], lookup), ['vector:none', 'int']);
+  // Test for the same_as data descriptor, which is left to the parser
+  t.deepEqual(expandSameAs(['same_as:a'], lookup), ['same_as:a']);
+  testThrownMsg(t, 'Invalid shape format: c referred by same_as:c is not an input', expandSameAs, ['same_as:c', 'int'], lookup);
+});
+
 const INVALID_DATA_DTOR_MSG = 'Invalid data descriptor format';
 const INVALID_DATA_DTOR_STATIC_MAT_MSG = 'Invalid data descriptor format: static Mat type (e.g., Matx, Vec) does not support multichannels';
 const INVALID_DATA_CHANNELS_MSG = 'Invalid Data Cell format of channel: expect number between 1, 4 but get';
@@ -184,6 +233,29 @@ test('parseDataDtor: parse data descriptor string', t => {
   VALID_STD_TYPES.forEach((type) => testParsedDataDtorOutputStd(t, type, 'std', type, 1));
 });
 
+test('parseDataDtor: parse data descriptor string with type variable', t => {
+  let parsed = parseDataDtor('CV_TC3');
+  t.is(parsed.format, 'cv');
+  t.is(parsed.dtype, 'T');
+  t.is(parsed.typeVar, 'T');
+  t.is(parsed.channels, 3);
+  t.is(parsed.toString(), 'CV_MAKETYPE(cv::DataType<T>::depth, 3)');
+  t.is(parsed.accessor(''), '.at<Vec<T, 3>>()');
+
+  parsed = parseDataDtor('CV_T');
+  t.is(parsed.channels, 1);
+  t.is(parsed.toString(), 'cv::DataType<T>::depth');
+  t.is(parsed.accessor(''), '.at<T>()');
+
+  parsed = parseDataDtor('T');
+  t.is(parsed.format, 'std');
+  t.is(parsed.dtype, 'T');
+  t.is(parsed.typeVar, 'T');
+
+  t.is(parseDataDtor('CV_8UC3').typeVar, undefined);
+  testInvalidChannelsErrMsg(t, 'CV_TC5', 5);
+});
+
 const SHAPE_NON_ARRAY_MSG = 'Invalid arguments: no shape array found.';
 const SHAPE_EMPTY_ARRAY_MSG = 'Invalid shape format: empty shape array.';
 const SHAPE_RANK_ZERO_MULTICHANNEL_MSG = 'Invalid shape format: rank 0 with multichannel is not allowed.';
@@ -226,6 +298,79 @@ function testParsedShape(
   t.deepEqual(result, expectedResult);
 }
 
+test('parseDataDtor: parse data descriptor string with channel number in parentheses', t => {
+  let parsed = parseDataDtor('CV_32FC(16)');
+  t.is(parsed.dtype, '32F');
+  t.is(parsed.channels, 16);
+  t.is(parsed.toString(), 'CV_32FC(16)');
+  t.is(parsed.accessor('i, j'), '.ptr<float>(i, j)');
+
+  // The channel numbers which have Vec typedefs are still accessed by Vec
+  parsed = parseDataDtor('CV_8UC(3)');
+  t.is(parsed.channels, 3);
+  t.is(parsed.accessor('i'), '.at<Vec<uint8_t, 3>>(i)');
+
+  parsed = parseDataDtor('CV_TC(64)');
+  t.is(parsed.typeVar, 'T');
+  t.is(parsed.channels, 64);
+  t.is(parsed.toString(), 'CV_MAKETYPE(cv::DataType<T>::depth, 64)');
+  t.is(parsed.accessor('i'), '.ptr<T>(i)');
+
+  t.is(parseDataDtor('CV_64FC(512)').channels, 512);
+  testThrownMsg(t, 'Invalid Data Cell format of channel: expect number between 1, 512 but get 513 from CV_64FC(513)',
+    parseDataDtor, 'CV_64FC(513)');
+  testThrownMsg(t, `${INVALID_DATA_DTOR_MSG}: CV_64FC(0)`, parseDataDtor, 'CV_64FC(0)');
+  testThrownMsg(t, 'Invalid data descriptor format: static Mat type (e.g., Matx, Vec) does not support multichannels',
+    parseDataDtor, 'CV_64FC(8):Matx');
+});
+
+test('parseDataDtor: parse data descriptor string of primary type with ctype', t => {
+  let parsed = parseDataDtor('float:Matx');
+  t.is(parsed.format, 'std');
+  t.is(parsed.dtype, 'float');
+  t.is(parsed.ctype, 'Matx');
+  t.is(parsed.toString(), 'float');
+
+  parsed = parseDataDtor('T:Vec');
+  t.is(parsed.typeVar, 'T');
+  t.is(parsed.ctype, 'Vec');
+
+  t.is(parseDataDtor('int').ctype, undefined);
+  testThrownMsg(t, `${INVALID_DATA_DTOR_MSG}: int:Array`, parseDataDtor, 'int:Array');
+  testThrownMsg(t, `${INVALID_DATA_DTOR_MSG}: Point2f:Mat`, parseDataDtor, 'Point2f:Mat');
+});
+
+test('parseDataDtor: parse data descriptor string of geometry type', t => {
+  let parsed = parseDataDtor('Point2f');
+  t.is(parsed.format, 'geo');
+  t.is(parsed.ctype, 'Point2f');
+  t.is(parsed.dtype, 'float');
+  t.is(parsed.channels, 2);
+  t.is(parsed.toString(), 'Point2f');
+  t.deepEqual(parsed.fields, [{ accessor: '.x', dtype: 'float' }, { accessor: '.y', dtype: 'float' }]);
+
+  t.deepEqual(parseDataDtor('Point3d').fields.map((field) => field.accessor), ['.x', '.y', '.z']);
+  t.deepEqual(parseDataDtor('Rect').fields.map((field) => field.accessor), ['.x', '.y', '.width', '.height']);
+  t.deepEqual(parseDataDtor('Size').fields.map((field) => field.accessor), ['.width', '.height']);
+  t.deepEqual(parseDataDtor('Scalar').fields.map((field) => field.accessor), ['[0]', '[1]', '[2]', '[3]']);
+  parsed = parseDataDtor('KeyPoint');
+  t.is(parsed.channels, 7);
+  t.deepEqual(parsed.fields.slice(4), [
+    { accessor: '.response', dtype: 'float' },
+    { accessor: '.octave', dtype: 'int' },
+    { accessor: '.class_id', dtype: 'int' }
+  ]);
+});
+
+test('parseShape: parse shape array of geometry type', t => {
+  testParsedShape(t, ['Rect'], 1, 0, 0, 0, [], 'SCALAR', null, 'Rect');
+  testParsedShape(t, ['vector:none', 'Point2f'], 2, 1, 1, 0, [], 'VEC_OF_PRIM', null, 'vector<Point2f>');
+  testParsedShape(t, ['vector:none', 'vector:3', 'KeyPoint'], 3, 2, 2, 0, [], 'VEC_OF_PRIM', null, 'vector<vector<KeyPoint>>');
+  testThrownMsg(t, SHAPE_MAT_PRIM_MSG, parseShape, ['none', 'Point2f']);
+  testThrownMsg(t, SHAPE_MAT_PRIM_MSG, parseShape, ['vector:none', '3', 'Size']);
+  t.is(getTfRank(['vector:none', 'Point3f']), 2);
+});
+
 test('parseShape: parse shape array', t => {
   // Tests for non-array input
   [undefined, null, {}, 1, NaN, true, '', () => {}].forEach(shape => {
@@ -243,8 +388,24 @@ test('parseShape: parse shape array', t => {
   testThrownMsg(t, SHAPE_SCALAR_CV_MSG, parseShape, ['CV_8UC2'])
 
   // Tests for mat of primary type
-  testThrownMsg(t, SHAPE_MAT_PRIM_MSG, parseShape, ['10', 'int']);
-  testThrownMsg(t, SHAPE_MAT_PRIM_MSG, parseShape, ['none', '10', 'double']);
+  testParsedShape(t, ['10', 'int'], 1, 1, 0, 1, [{type: 'Mat', dims: 10}], 'MAT', 'Mat', 'Mat');
+  testParsedShape(t, ['none', '10', 'double:Mat'], 2, 2, 0, 2, [
+    {type: 'Mat', dims: 'none'},
+    {type: 'Mat', dims: 10}
+  ], 'MAT', 'Mat', 'Mat');
+  testParsedShape(t, ['3', '3', 'float:Matx'], 2, 2, 0, 2, [
+    {type: 'Mat', dims: 3},
+    {type: 'Mat', dims: 3}
+  ], 'MAT', 'Matx<float, 3, 3>', 'Matx<float, 3, 3>');
+  testParsedShape(t, ['4', 'uint8_t:Vec'], 1, 1, 0, 1, [{type: 'Mat', dims: 4}], 'MAT', 'Vec<uint8_t, 4>',
+                  'Vec<uint8_t, 4>');
+  t.is(parseShape(['10', 'int']).dataDtor.toString(), 'CV_32S');
+  t.is(parseShape(['none', 'none', 'T']).dataDtor.toString(), 'cv::DataType<T>::depth');
+  testThrownMsg(t, 'Invalid shape format: Mat of bool is not supported by OpenCV', parseShape, ['none', 'bool']);
+  testThrownMsg(t, 'Invalid shape format: Matx of primary type requires Mat dimensions', parseShape, ['int:Matx']);
+  testThrownMsg(t, 'Invalid shape format: Vec of primary type requires Mat dimensions', parseShape,
+                ['vector:3', 'float:Vec']);
+  testThrownMsg(t, SHAPE_VEC_ONE_DIM_MSG, parseShape, ['3', '3', 'float:Vec']);
 
   // Tests for mat of cv type
   testParsedShape(t, ['none', 'CV_16S'], 1, 1, 0, 1, [{type: 'Mat', dims: 'none'}], 'MAT', 'Mat', 'Mat');
@@ -271,6 +432,11 @@ test('parseShape: parse shape array', t => {
   testThrownMsg(t, SHAPE_MATX_TWO_DIM_MSG, parseShape, ['3', '3', '3', 'CV_32F:Matx']);
   testThrownMsg(t, SHAPE_INVALID_DIM_DYNAMIC_MSG, parseShape, ['none', '3', 'CV_32F:Vec']);
   testThrownMsg(t, SHAPE_INVALID_DIM_DYNAMIC_MSG, parseShape, ['none', '3', 'CV_32F:Matx']);
+  testThrownMsg(t, SHAPE_INVALID_DIM_DYNAMIC_MSG, parseShape, ['N', 'CV_32F:Vec']);
+  testParsedShape(t, ['H', 'W', 'CV_8UC3'], 3, 2, 0, 2, [
+    {type: 'Mat', dims: 'none', symbol: 'H'},
+    {type: 'Mat', dims: 'none', symbol: 'W'}
+  ], 'MAT', 'Mat', 'Mat');
 
   // Tests for vector of primary type
   testParsedShape(t, ['vector:none', 'double'], 1, 1, 1, 0, [], 'VEC_OF_PRIM', null, 'vector<double>');
@@ -283,8 +449,12 @@ test('parseShape: parse shape array', t => {
   testThrownMsg(t, SHAPE_VECTOR_CV_MSG, parseShape, ['vector:3', 'vector:10', 'CV_32SC3']);
 
   // Tests for vector of Mat of primary types
-  testThrownMsg(t, SHAPE_MAT_PRIM_MSG, parseShape, ['vector:none', '10', 'int']);
-  testThrownMsg(t, SHAPE_MAT_PRIM_MSG, parseShape, ['vector:30', '30', '10', 'char']);
+  testParsedShape(t, ['vector:none', '10', 'int'], 2, 2, 1, 1, [{type: 'Mat', dims: 10}], 'VEC_OF_MAT',
+                  'Mat', 'vector<Mat>');
+  testParsedShape(t, ['vector:30', '30', '10', 'char:Matx'], 3, 3, 1, 2, [
+    {type: 'Mat', dims: 30},
+    {type: 'Mat', dims: 10}
+  ], 'VEC_OF_MAT', 'Matx<int8_t, 30, 10>', 'vector<Matx<int8_t, 30, 10>>');
 
   // Tests for vector of Mat of cv types
   testParsedShape(t, ['vector:none', '100', 'CV_8S'], 2, 2, 1, 1, [{type: 'Mat', dims: 100}], 'VEC_OF_MAT',
@@ -313,3 +483,12 @@ test('parseShape: parse shape array', t => {
   testThrownMsg(t, SHAPE_MAT_VECTOR_MSG, parseShape, ['vector:none', '10', 'vector:10', 'CV_16U']);
 });
 
+
+test('getRaggedLayers: list the dynamic vector dimensions except the first one', t => {
+  t.deepEqual(getRaggedLayers(parseShape(['int'])), []);
+  t.deepEqual(getRaggedLayers(parseShape(['vector:none', 'int'])), []);
+  t.deepEqual(getRaggedLayers(parseShape(['vector:none', 'vector:none', 'int'])), [1]);
+  t.deepEqual(getRaggedLayers(parseShape(['vector:3', 'vector:N', 'vector:4', 'vector:none', 'Point'])), [1, 3]);
+  t.deepEqual(getRaggedLayers(parseShape(['vector:none', 'none', 'none', 'CV_8U'])), []);
+  t.deepEqual(getRaggedLayers(parseShape(['vector:none', 'vector:none', 'none', 'CV_8U'])), [1]);
+});
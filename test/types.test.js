@@ -21,7 +21,7 @@ test('cvToStd: translate a CvType (without CV_ prefix and channel postfix) to st
   checkErrMsg(t, types.cvToStd, cvErrMsg, '8F');
   t.is(types.cvToStd('16U'), 'uint16_t');
   t.is(types.cvToStd('16S'), 'int16_t');
-  checkErrMsg(t, types.cvToStd, cvErrMsg, '16F');
+  t.is(types.cvToStd('16F'), 'cv::float16_t');
   checkErrMsg(t, types.cvToStd, cvErrMsg, '32U');
   t.is(types.cvToStd('32S'), 'int32_t');
   t.is(types.cvToStd('32F'), 'float');
@@ -37,7 +37,7 @@ test('cvToTf: translate a CvType (without CV_ prefix and channel postfix) to ten
   checkErrMsg(t, types.cvToTf, cvErrMsg, '8F');
   t.is(types.cvToTf('16U'), 'uint16');
   t.is(types.cvToTf('16S'), 'int16');
-  checkErrMsg(t, types.cvToTf, cvErrMsg, '16F');
+  t.is(types.cvToTf('16F'), 'half');
   checkErrMsg(t, types.cvToTf, cvErrMsg, '32U');
   t.is(types.cvToTf('32S'), 'int32');
   t.is(types.cvToTf('32F'), 'float32');
@@ -52,6 +52,14 @@ test('stdToCv: translate a standard C type to CvType (without channel postfix)',
   t.is(types.stdToCv('int'), 'CV_32S');
   t.is(types.stdToCv('float'), 'CV_32F');
   t.is(types.stdToCv('double'), 'CV_64F');
+  t.is(types.stdToCv('uint8_t'), 'CV_8U');
+  t.is(types.stdToCv('int8_t'), 'CV_8S');
+  t.is(types.stdToCv('uint16_t'), 'CV_16U');
+  t.is(types.stdToCv('int16_t'), 'CV_16S');
+  t.is(types.stdToCv('int32_t'), 'CV_32S');
+  ['bool', 'uint32_t', 'int64_t', 'uint64_t'].forEach((type) => {
+    checkErrMsg(t, types.stdToCv, 'Type not supported by OpenCV', type);
+  });
 });
 
 test('stdToCv: translate a standard C type to tensorflow type', t => {
@@ -60,4 +68,84 @@ test('stdToCv: translate a standard C type to tensorflow type', t => {
   t.is(types.stdToTf('int'), 'int32');
   t.is(types.stdToTf('float'), 'float32');
   t.is(types.stdToTf('double'), 'float64');
+  t.is(types.stdToTf('bool'), 'bool');
+  t.is(types.stdToTf('uint8_t'), 'uint8');
+  t.is(types.stdToTf('int8_t'), 'int8');
+  t.is(types.stdToTf('uint16_t'), 'uint16');
+  t.is(types.stdToTf('int16_t'), 'int16');
+  t.is(types.stdToTf('uint32_t'), 'uint32');
+  t.is(types.stdToTf('int32_t'), 'int32');
+  t.is(types.stdToTf('uint64_t'), 'uint64');
+  t.is(types.stdToTf('int64_t'), 'int64');
+  checkErrMsg(t, types.stdToTf, stdErrMsg, 'long');
+});
+
+test('tfToCv: translate a tensorflow type to CvType (without CV_ prefix and channel postfix)', t => {
+  const tfErrMsg = 'Invalid data type format of tensorflow';
+  checkErrMsg(t, types.tfToCv, tfErrMsg);
+  checkErrMsg(t, types.tfToCv, tfErrMsg, 'float');
+  ['bool', 'uint32', 'int64', 'uint64'].forEach((type) => {
+    checkErrMsg(t, types.tfToCv, 'Type not supported by OpenCV', type);
+  });
+  ['8U', '8S', '16U', '16S', '32S', '32F', '64F', '16F'].forEach((cvType) => {
+    t.is(types.tfToCv(types.cvToTf(cvType)), cvType);
+  });
+  t.is(types.tfToCv('qint8'), '8S');
+  t.is(types.tfToCv('quint8'), '8U');
+  t.is(types.tfToCv('qint16'), '16S');
+  t.is(types.tfToCv('quint16'), '16U');
+  t.is(types.tfToCv('qint32'), '32S');
+});
+
+test('tfToCpp: translate a tensorflow type to the C++ type of tensor elements', t => {
+  checkErrMsg(t, types.tfToCpp, 'Invalid data type format of tensorflow', 'float');
+  ['8U', '8S', '16U', '16S', '32S', '32F', '64F'].forEach((cvType) => {
+    t.is(types.tfToCpp(types.cvToTf(cvType)), types.cvToStd(cvType));
+  });
+  t.is(types.tfToCpp('half'), 'Eigen::half');
+  t.is(types.tfToCpp('bool'), 'bool');
+  t.is(types.tfToCpp('int64'), 'int64');
+  t.is(types.tfToCpp('uint64'), 'uint64');
+  t.is(types.stdToTensorCpp('int64_t'), 'int64');
+  t.is(types.tfToCpp('uint32'), 'uint32_t');
+  t.is(types.tfToCpp('quint8'), 'quint8');
+});
+
+test('tfToAttr: translate a tensorflow type to the name used in type list of attribute', t => {
+  checkErrMsg(t, types.tfToAttr, 'Invalid data type format of tensorflow', 'double');
+  t.is(types.tfToAttr('float32'), 'float');
+  t.is(types.tfToAttr('float64'), 'double');
+  t.is(types.tfToAttr('uint8'), 'uint8');
+  t.is(types.tfToAttr('int32'), 'int32');
+  t.is(types.tfToAttr('half'), 'half');
+});
+
+test('tfToNumpy: translate a tensorflow type to NumPy data type name', t => {
+  checkErrMsg(t, types.tfToNumpy, 'Invalid data type format of tensorflow', 'float');
+  t.is(types.tfToNumpy('float32'), 'float32');
+  t.is(types.tfToNumpy('half'), 'float16');
+  t.is(types.tfToNumpy('bool'), 'bool');
+  t.is(types.tfToNumpy('quint8'), 'uint8');
+});
+
+test('registerType: register a project-specific type', t => {
+  const registered = types.registerType({ name: 'fixed16_t', tf: 'int16', depth: '16S' });
+  t.deepEqual(registered, {
+    tf: 'int16', tensorCpp: 'int16_t', depth: '16S', name: 'fixed16_t', cpp: 'fixed16_t', numpy: 'int16'
+  });
+  t.true(types.isStdType('fixed16_t'));
+  t.is(types.stdToTf('fixed16_t'), 'int16');
+  t.is(types.stdToCv('fixed16_t'), 'CV_16S');
+  t.is(types.stdToTensorCpp('fixed16_t'), 'int16_t');
+  // The canonical types are kept.
+  t.is(types.cvToStd('16S'), 'int16_t');
+  t.is(types.tfToCpp('int16'), 'int16_t');
+
+  const errMsg = 'Invalid type definition';
+  t.throws(() => types.registerType(), `${errMsg}: undefined`);
+  t.throws(() => types.registerType({ name: 'fixed8_t' }), `${errMsg}: invalid tensorflow type undefined`);
+  t.throws(() => types.registerType({ name: 'int', tf: 'int32' }), `${errMsg}: type int is already registered`);
+  t.throws(() => types.registerType({ name: 'fixed<8>', tf: 'int8' }), `${errMsg}: invalid type name fixed<8>`);
+  t.throws(() => types.registerType({ name: 'fixed8_t', tf: 'int8', depth: '8Q' }), `${errMsg}: invalid OpenCV depth 8Q`);
+  t.throws(() => types.registerType({ tf: 'int8', depth: '8S' }), `${errMsg}: either name or cpp is required for int8`);
 });
@@ -22,7 +22,7 @@ function testParsedAttrTypeOutput(t, attrType, expectedType, expectedDefaultVal)
 test('parseAttrType: parse attribute expression string', t => {
   // Test for invalid input
   [undefined, null, 1, 0.5, -0.5, NaN, '', "", {}, () => {}, 'uint8', 'char',
-    'string', ' string', '  string', 'string =', 'int', 'int = ', 'float  =', 'bool  =  '].forEach((attrType) => {
+    ' string', '  string', 'string =', 'int = ', 'float  =', 'bool  =  '].forEach((attrType) => {
     testThrownMsg(
       t,
       `${INVALID_ATTR_TYPE_MSG}: ${attrType}`,
@@ -88,6 +88,135 @@ test('parseAttrType: parse attribute expression string', t => {
   });
 });
 
+test('parseAttrType: parse attribute expression string without default value', t => {
+  ['string', 'int', 'float', 'bool', 'list(int)', 'list(string)'].forEach((type) => {
+    t.deepEqual(utils.parseAttrType(type), { type });
+  });
+  t.deepEqual(utils.parseAttrType('list(float) >= 1'), { type: 'list(float)', minLength: 1 });
+});
+
+test('parseAttrType: parse attribute expression string with constraints', t => {
+  // Tests for minimum of int
+  t.deepEqual(utils.parseAttrType('int >= 1'), { type: 'int', minimum: 1 });
+  t.deepEqual(utils.parseAttrType('int>=-1 = 0'), { type: 'int', defaultVal: '0', minimum: -1 });
+  t.deepEqual(utils.parseAttrType('int >= 3 = 3'), { type: 'int', defaultVal: '3', minimum: 3 });
+  testThrownMsg(t, `${INVALID_DEFAULT_VALUE_MSG} int >= 1: 0 from int >= 1 = 0`, utils.parseAttrType, 'int >= 1 = 0');
+  ['float >= 1', 'string >= 1', 'bool >= 0', 'int >= 1.5', 'int >= x'].forEach((attrType) => {
+    testThrownMsg(t, `${INVALID_ATTR_TYPE_MSG}: ${attrType}`, utils.parseAttrType, attrType);
+  });
+  // Tests for string enums
+  t.deepEqual(utils.parseAttrType("{'bilinear', 'nearest'}"), { type: 'string', allowedValues: ['bilinear', 'nearest'] });
+  t.deepEqual(utils.parseAttrType("{'bilinear',\"nearest\"} = \"nearest\""), {
+    type: 'string', defaultVal: '"nearest"', allowedValues: ['bilinear', 'nearest']
+  });
+  testThrownMsg(t, `${INVALID_DEFAULT_VALUE_MSG} {'a', 'b'}: 'c' from {'a', 'b'} = 'c'`,
+    utils.parseAttrType, "{'a', 'b'} = 'c'");
+  testThrownMsg(t, `${INVALID_DEFAULT_VALUE_MSG} string: c from {'a', 'b'} = c`, utils.parseAttrType, "{'a', 'b'} = c");
+  ['{}', '{a, b}', "{'a', }", "{'a'} >= 1", "{'it\\'s'}"].forEach((attrType) => {
+    testThrownMsg(t, `${INVALID_ATTR_TYPE_MSG}: ${attrType}`, utils.parseAttrType, attrType);
+  });
+});
+
+test('parseAttrType: parse list attribute expression string', t => {
+  // Test for invalid format of list
+  ['list(uint8) = [1]', 'list() = []', 'list(int) >= = [1]', 'list(int) >= -1 = [1]',
+    'list(int) >= 01 = [1]', 'list(int) = '].forEach((attrType) => {
+    testThrownMsg(t, `${INVALID_ATTR_TYPE_MSG}: ${attrType}`, utils.parseAttrType, attrType);
+  });
+  // Test for invalid default value of list
+  [
+    ['int', '3, 3'], ['int', '[3, 0.5]'], ['int', '[3,]'], ['float', '[1.0, x]'], ['bool', '[yes]'],
+    ['string', '[a, "b"]'], ['string', '["a", "b]']
+  ].forEach((pair) => {
+    const attrType = `list(${pair[0]}) = ${pair[1]}`;
+    testThrownMsg(t, `${INVALID_DEFAULT_VALUE_MSG} list(${pair[0]}): ${pair[1]} from ${attrType}`,
+      utils.parseAttrType, attrType);
+  });
+  // Test for valid default value of list
+  [
+    ['int', '[]'], ['int', '[3, 3]'], ['int', '[ -1,0 ]'], ['float', '[0.5, 1, -.5]'], ['bool', '[true, False]'],
+    ['string', '["a, b", \'c\']']
+  ].forEach((pair) => {
+    testParsedAttrTypeOutput(t, `list(${pair[0]}) = ${pair[1]}`, `list(${pair[0]})`, pair[1]);
+  });
+  // Tests for length constraint
+  t.deepEqual(utils.parseAttrType('list(int) >= 2 = [3, 3]'), { type: 'list(int)', defaultVal: '[3, 3]', minLength: 2 });
+  t.deepEqual(utils.parseAttrType('list(float)>=0=[]'), { type: 'list(float)', defaultVal: '[]', minLength: 0 });
+  testThrownMsg(t, `${INVALID_DEFAULT_VALUE_MSG} list(int) >= 2: [3] from list(int) >= 2 = [3]`,
+    utils.parseAttrType, 'list(int) >= 2 = [3]');
+});
+
+test('parseTypeAttr: parse type list of type attribute', t => {
+  t.deepEqual(utils.parseTypeAttr('{float32, float64}'), ['float32', 'float64']);
+  t.deepEqual(utils.parseTypeAttr(' {uint8} '), ['uint8']);
+  [undefined, 1, '', 'float32', '{}', '[float32]'].forEach((str) => {
+    testThrownMsg(t, `Invalid type attribute format: ${str}`, utils.parseTypeAttr, str);
+  });
+  testThrownMsg(t, 'Invalid type attribute format: unsupported type double from {float32, double}',
+    utils.parseTypeAttr, '{float32, double}');
+  testThrownMsg(t, 'Invalid type attribute format: unsupported type  from {float32, }', utils.parseTypeAttr, '{float32, }');
+  testThrownMsg(t, 'Invalid type attribute format: duplicate type int32 from {int32, int32}',
+    utils.parseTypeAttr, '{int32, int32}');
+  ['half', 'quint8', 'bool', 'int64'].forEach((type) => {
+    testThrownMsg(t, `Invalid type attribute format: type ${type} can not be shared by tensorflow and OpenCV from {float32, ${type}}`,
+      utils.parseTypeAttr, `{float32, ${type}}`);
+  });
+});
+
+test('parseCallArg: parse references and expressions of call arguments', t => {
+  const names = ['image', 'ksize'];
+  [undefined, 1, '', ' '].forEach((str) => {
+    testThrownMsg(t, `Invalid call argument: expect a non-empty string but get ${JSON.stringify(str)}`,
+      utils.parseCallArg, str, names);
+  });
+  // Tests for references
+  t.deepEqual(utils.parseCallArg('image', names), { ref: 'image' });
+  t.deepEqual(utils.parseCallArg(' {{ ksize }} ', names), { ref: 'ksize' });
+  // Tests for expressions
+  t.deepEqual(utils.parseCallArg('cv::Size({{ksize}}, {{ksize}} + 1)', names),
+    { expr: 'cv::Size({{ksize}}, {{ksize}} + 1)', refs: ['ksize'], type: 'Size' });
+  t.deepEqual(utils.parseCallArg('{{mask}}', names), { expr: '{{mask}}', refs: ['mask'], type: undefined });
+  [
+    ['3', 'int'],
+    ['-1', 'int'],
+    ['0.5', 'double'],
+    ['1e-3', 'double'],
+    ['.5f', 'float'],
+    ['false', 'bool'],
+    ["'\\n'", 'char'],
+    ['"reflect"', 'string'],
+    ['int(cv::BORDER_REFLECT)', 'int'],
+    ['std::vector<int>{1, 2}', 'vector<int>'],
+    ['Vec< float, 3 >(1, 2, 3)', 'Vec<float,3>'],
+    ['static_cast<cv::Mat *>(nullptr)', 'Mat*'],
+    ['nullptr', undefined],
+    ['cv::BORDER_REFLECT', undefined],
+    ['Size(1, 2).area()', undefined],
+    ['int(1) + int(2)', undefined]
+  ].forEach((item) => {
+    t.is(utils.parseCallArg(item[0], names).type, item[1]);
+  });
+  // Tests for explicit types
+  t.deepEqual(utils.parseCallArg({ expr: 'nullptr', type: 'cv::Mat *' }, names), { expr: 'nullptr', refs: [], type: 'Mat*' });
+  t.deepEqual(utils.parseCallArg({ expr: '{{ksize}} * 2', type: 'int' }, names),
+    { expr: '{{ksize}} * 2', refs: ['ksize'], type: 'int' });
+  testThrownMsg(t, 'Invalid call argument: expect a non-empty type string but get undefined',
+    utils.parseCallArg, { expr: 'nullptr' }, names);
+  testThrownMsg(t, 'Invalid call argument: expect a non-empty string but get 1',
+    utils.parseCallArg, { expr: 1, type: 'int' }, names);
+});
+
+test('isUntypedCallArg: leave bare identifiers untyped', t => {
+  const names = ['image'];
+  ['nullptr', 'cv::BORDER_REFLECT', 'BORDER_REFLECT', '::NULL'].forEach((str) => {
+    t.true(utils.isUntypedCallArg(utils.parseCallArg(str, names)));
+  });
+  ['image', '{{image}}', '0x10', 'Size(1, 2).area()', 'int(cv::BORDER_REFLECT)'].forEach((str) => {
+    t.false(utils.isUntypedCallArg(utils.parseCallArg(str, names)));
+  });
+  t.false(utils.isUntypedCallArg(utils.parseCallArg({ expr: 'nullptr', type: 'Mat*' }, names)));
+});
+
 test('lastIndexOf: given an array and match function, find the index of last matched element in the array', t => {
   // Test for non-array input
   [undefined, null, 1, 0.5, -0.5, NaN, '', "", {}, () => {}].forEach((arr) => t.is(utils.lastIndexOf(arr), -1));
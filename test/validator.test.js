@@ -0,0 +1,395 @@
+import test from 'ava';
+
+import { validateOpsMeta, validateOpsMetaList, validateConfig, assertNoErrors } from '../lib/validator';
+
+const validOpsMeta = {
+  srcFile: 'my_src',
+  opName: 'MyOp',
+  fnName: 'myFn',
+  device: 'DEVICE_CPU',
+  inputs: {
+    image: { id: 0, shape: ['none', 'none', 'CV_8UC3'] }
+  },
+  outputs: {
+    result: { id: 1, shape: ['vector:none', 'double'] }
+  },
+  inputoutputs: {
+    mask: { id: 2, shape: ['none', 'none', 'CV_8U'] }
+  },
+  attributes: {
+    scale: { id: 3, type: 'float = 1.0' }
+  }
+};
+
+function withChanges(changes) {
+  return Object.assign({}, validOpsMeta, changes);
+}
+
+test('validateOpsMeta: return empty array for valid operations metadata', t => {
+  t.deepEqual(validateOpsMeta(validOpsMeta), []);
+  t.deepEqual(validateOpsMeta({}), []);
+  t.deepEqual(validateOpsMeta({ inputs: {}, outputs: {} }), []);
+});
+
+test('validateOpsMeta: report non-object operations metadata', t => {
+  [undefined, null, 1, 'str', [], () => {}].forEach((opsMeta) => {
+    t.deepEqual(validateOpsMeta(opsMeta), [{ path: 'op', message: 'expect an object' }]);
+  });
+});
+
+test('validateOpsMeta: report unknown fields with suggestions', t => {
+  t.deepEqual(validateOpsMeta({ ouputs: {} }), [
+    { path: 'op.ouputs', message: 'unknown field, did you mean "outputs"?' }
+  ]);
+  t.deepEqual(validateOpsMeta({ something: {} }), [
+    { path: 'op.something', message: 'unknown field' }
+  ]);
+  t.deepEqual(validateOpsMeta({ inputs: { image: { id: 0, shpae: ['int'] } } }), [
+    { path: 'op.inputs.image.shpae', message: 'unknown field, did you mean "shape"?' },
+    { path: 'op.inputs.image.shape', message: 'missing required field' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid top-level fields', t => {
+  t.deepEqual(validateOpsMeta(withChanges({ srcFile: '', opName: 3 })), [
+    { path: 'op.srcFile', message: 'expect a non-empty string' },
+    { path: 'op.opName', message: 'expect a non-empty string' }
+  ]);
+  t.deepEqual(validateOpsMeta(withChanges({ fnName: 'my-fn' })), [
+    { path: 'op.fnName', message: 'invalid C++ function name: my-fn' }
+  ]);
+  t.deepEqual(validateOpsMeta(withChanges({ device: 'CPU' })), [
+    { path: 'op.device', message: 'expect one of DEVICE_CPU, DEVICE_GPU but get CPU' }
+  ]);
+  t.deepEqual(validateOpsMeta(withChanges({ inputs: [] })), [
+    { path: 'op.inputs', message: 'expect an object of name-entry pairs' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid or duplicate ids', t => {
+  t.deepEqual(validateOpsMeta({
+    inputs: {
+      a: { shape: ['int'] },
+      b: { id: '1', shape: ['int'] },
+      c: { id: -1, shape: ['int'] },
+      d: { id: 2, shape: ['int'] }
+    },
+    attributes: {
+      e: { id: 2, type: 'int = 1' }
+    }
+  }), [
+    { path: 'op.inputs.a.id', message: 'missing required field' },
+    { path: 'op.inputs.b.id', message: 'expect a non-negative integer but get "1"' },
+    { path: 'op.inputs.c.id', message: 'expect a non-negative integer but get -1' },
+    { path: 'op.attributes.e.id', message: 'duplicate id 2: already used by op.inputs.d' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid or duplicate names', t => {
+  t.deepEqual(validateOpsMeta({
+    inputs: {
+      'my-input': { id: 0, shape: ['int'] },
+      image: { id: 1, shape: ['int'] }
+    },
+    outputs: {
+      image: { id: 2, shape: ['int'] }
+    }
+  }), [
+    { path: 'op.inputs.my-input', message: 'invalid name: "my-input" is not a valid C++ identifier' },
+    { path: 'op.outputs.image', message: 'duplicate name: already used by op.inputs.image' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid shapes with the index of descriptor', t => {
+  t.deepEqual(validateOpsMeta({
+    inputs: {
+      a: { id: 0, shape: 'int' },
+      b: { id: 1, shape: [] },
+      c: { id: 2, shape: ['none', 'vector:', 'CV_8UC3', 'CV_9U'] },
+      d: { id: 3, shape: ['10', 'bool'] }
+    }
+  }), [
+    { path: 'op.inputs.a.shape', message: 'expect a non-empty shape array' },
+    { path: 'op.inputs.b.shape', message: 'expect a non-empty shape array' },
+    { path: 'op.inputs.c.shape[1]', message: 'Invalid dimensional descriptor format: vector:' },
+    { path: 'op.inputs.c.shape[2]', message: 'Invalid dimensional descriptor format: CV_8UC3' },
+    { path: 'op.inputs.c.shape[3]', message: 'Invalid Data Cell format of depth: 9U from CV_9U' },
+    { path: 'op.inputs.d.shape', message: 'Invalid shape format: Mat of bool is not supported by OpenCV' }
+  ]);
+});
+
+test('validateOpsMeta: report symbols of outputs which are not defined by inputs', t => {
+  t.deepEqual(validateOpsMeta({
+    inputs: {
+      a: { id: 0, shape: ['H', 'W', 'CV_8U'] }
+    },
+    inputoutputs: {
+      b: { id: 1, shape: ['vector:N', 'int'] }
+    },
+    outputs: {
+      c: { id: 2, shape: ['H', 'W', 'C', 'CV_8U'] },
+      d: { id: 3, shape: ['vector:N', 'vector:M', 'int'] }
+    }
+  }), [
+    { path: 'op.outputs.c.shape[2]', message: 'symbol C is not defined by any input' },
+    { path: 'op.outputs.d.shape[1]', message: 'symbol M is not defined by any input' }
+  ]);
+});
+
+test('validateOpsMeta: report dimension expressions which refer to unknown inputs or attributes', t => {
+  t.deepEqual(validateOpsMeta({
+    inputs: {
+      a: { id: 0, shape: ['none', 'none', 'CV_8UC3'] },
+      b: { id: 1, shape: ['dim(a, 0)', 'int'] }
+    },
+    attributes: {
+      size: { id: 2, type: 'int' },
+      scale: { id: 3, type: 'float' }
+    },
+    outputs: {
+      c: { id: 4, shape: ['same_as:a', 'dim(a, 2) * attr:size', 'CV_8U'] },
+      d: { id: 5, shape: ['dim(a, 3)', 'dim(x, 0)', 'attr:scale', 'attr:width', 'CV_8U'] },
+      e: { id: 6, shape: ['same_as:x', 'CV_8U'] },
+      f: { id: 7, shape: ['same_as:a', 'Point2f'] }
+    }
+  }), [
+    { path: 'op.outputs.e.shape[0]', message: 'x is not an input' },
+    { path: 'op.outputs.f.shape', message: 'Invalid shape format: Mat of primary type is not allowed' },
+    { path: 'op.inputs.b.shape[0]', message: 'dimension expressions are only allowed in outputs' },
+    { path: 'op.outputs.d.shape[0]', message: 'dimension 3 is out of range, a has 3 dimensions' },
+    { path: 'op.outputs.d.shape[1]', message: 'x is not an input' },
+    { path: 'op.outputs.d.shape[2]', message: 'attribute scale has to be an int, but get float' },
+    { path: 'op.outputs.d.shape[3]', message: 'attribute width is not defined' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid attribute types', t => {
+  t.deepEqual(validateOpsMeta({
+    attributes: {
+      a: { id: 0 },
+      b: { id: 1, type: 'uint8 = 1' },
+      c: { id: 2, type: 'int = 0.5' }
+    }
+  }), [
+    { path: 'op.attributes.a.type', message: 'missing required field' },
+    { path: 'op.attributes.b.type', message: 'Invalid attribute type format: uint8 = 1' },
+    { path: 'op.attributes.c.type', message: 'Invalid default value for int: 0.5 from int = 0.5' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid conversions of list attributes', t => {
+  t.deepEqual(validateOpsMeta({
+    attributes: {
+      a: { id: 0, type: 'list(int) >= 2 = [3, 3]', as: 'Size' },
+      b: { id: 1, type: 'list(float) = [0.5]', as: 'Scalar' },
+      c: { id: 2, type: 'list(int) = [1]', as: 'Point' },
+      d: { id: 3, type: 'int = 1', as: 'Size' },
+      e: { id: 4, type: 'list(string) = []', as: 'Scalar' },
+      f: { id: 5, type: 'list(int) >= 2 = [1]', as: 'Size' }
+    }
+  }), [
+    { path: 'op.attributes.c.as', message: 'expect one of Size, Scalar but get Point' },
+    { path: 'op.attributes.d.as', message: 'only list(int) and list(float) can be converted to Size, but get int' },
+    { path: 'op.attributes.e.as', message: 'only list(int) and list(float) can be converted to Scalar, but get list(string)' },
+    { path: 'op.attributes.f.type', message: 'Invalid default value for list(int) >= 2: [1] from list(int) >= 2 = [1]' }
+  ]);
+});
+
+test('validateOpsMeta: report tensor types which can not be stored as data descriptors', t => {
+  t.deepEqual(validateOpsMeta({
+    typeAttrs: { T: '{float32}' },
+    inputs: {
+      a: { id: 0, shape: ['none', 'none', 'CV_8UC3'], tensorType: 'quint8' },
+      b: { id: 1, shape: ['none', 'CV_16F'], tensorType: 'half' },
+      c: { id: 2, shape: ['vector:none', 'int64_t'], tensorType: 'int64' },
+      d: { id: 3, shape: ['none', 'CV_8U'], tensorType: 'qint8' },
+      e: { id: 4, shape: ['int'], tensorType: 'uint32' },
+      f: { id: 5, shape: ['none', 'CV_T'], tensorType: 'float32' },
+      g: { id: 6, shape: ['int'], tensorType: 'float16' }
+    }
+  }), [
+    { path: 'op.inputs.d.tensorType', message: 'tensorflow type qint8 can not be stored as CV_8U' },
+    { path: 'op.inputs.e.tensorType', message: 'tensorflow type uint32 can not be stored as int' },
+    { path: 'op.inputs.f.tensorType', message: 'the tensor type is decided by type variable T' },
+    { path: 'op.inputs.g.tensorType', message: 'Invalid data type format of tensorflow: float16' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid type attributes and undefined type variables', t => {
+  t.deepEqual(validateOpsMeta({
+    typeAttrs: { T: '{float32, float64}', t: '{int32}', U: '{uint7}', image: '{float32}' },
+    inputs: {
+      image: { id: 0, shape: ['none', 'none', 'CV_TC3'] },
+      mask: { id: 1, shape: ['none', 'none', 'CV_VC1'] }
+    },
+    outputs: {
+      result: { id: 2, shape: ['V'] }
+    }
+  }), [
+    { path: 'op.typeAttrs.t', message: 'invalid type variable name: "t" has to start with an uppercase letter' },
+    { path: 'op.typeAttrs.U', message: 'Invalid type attribute format: unsupported type uint7 from {uint7}' },
+    { path: 'op.typeAttrs.image', message: 'invalid type variable name: "image" has to start with an uppercase letter' },
+    { path: 'op.inputs.mask.shape[2]', message: 'type variable V is not defined in typeAttrs' },
+    { path: 'op.outputs.result.shape[0]', message: 'type variable V is not defined in typeAttrs' }
+  ]);
+});
+
+test('validateOpsMeta: report lengths of shapes without ragged layers', t => {
+  t.deepEqual(validateOpsMeta({
+    inputs: {
+      a: { id: 0, shape: ['vector:none', 'vector:none', 'int'], lengths: true },
+      b: { id: 1, shape: ['vector:none', 'int'], lengths: true },
+      c: { id: 2, shape: ['vector:none', 'vector:3', 'int'], lengths: true },
+      d: { id: 3, shape: ['vector:none', 'vector:none', 'int'], lengths: 'yes' },
+      e: { id: 4, shape: ['int'], lengths: false }
+    },
+    outputs: {
+      f: { id: 5, shape: ['vector:none', 'vector:none', 'int'], lengths: true },
+      g: { id: 6, shape: ['vector:none', 'int'], lengths: true }
+    }
+  }), [
+    { path: 'op.inputs.b.lengths', message: 'expect a vector:none dimension after the first vector dimension' },
+    { path: 'op.inputs.c.lengths', message: 'expect a vector:none dimension after the first vector dimension' },
+    { path: 'op.inputs.d.lengths', message: 'expect a boolean but get "yes"' },
+    { path: 'op.outputs.g.lengths', message: 'expect a vector:none dimension after the first vector dimension' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid padding values', t => {
+  t.deepEqual(validateOpsMeta({
+    inputs: {
+      a: { id: 0, shape: ['vector:none', 'vector:none', 'int'], padding: 0 }
+    },
+    outputs: {
+      b: { id: 1, shape: ['vector:none', 'vector:none', 'float'], padding: -0.5 },
+      c: { id: 2, shape: ['vector:none', 'vector:none', 'int'], padding: -1 },
+      d: { id: 3, shape: ['vector:none', 'vector:none', 'int'], padding: '0' },
+      e: { id: 4, shape: ['vector:none', 'none', 'CV_8U'], padding: 0.5 },
+      f: { id: 5, shape: ['vector:none', 'none', 'CV_16F'], padding: 0.5 }
+    },
+    inputoutputs: {
+      g: { id: 6, shape: ['vector:none', 'vector:none', 'Point'], padding: 1.5 }
+    }
+  }), [
+    { path: 'op.inputs.a.padding', message: 'padding of inputs is not supported, use lengths instead' },
+    { path: 'op.outputs.d.padding', message: 'expect a number but get "0"' },
+    { path: 'op.outputs.e.padding', message: 'expect an integer for tensorflow type uint8 but get 0.5' },
+    { path: 'op.inputoutputs.g.padding', message: 'expect an integer for tensorflow type int32 but get 1.5' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid return values', t => {
+  t.deepEqual(validateOpsMeta({
+    typeAttrs: { T: '{float32, float64}' },
+    inputs: {
+      a: { id: 0, shape: ['int'], return: true }
+    },
+    outputs: {
+      b: { id: 1, shape: ['T'], return: true },
+      c: { id: 2, shape: ['double'], return: true },
+      d: { id: 3, shape: ['double'], return: 'yes' }
+    }
+  }), [
+    { path: 'op.inputs.a.return', message: 'only outputs can be the return value' },
+    { path: 'op.outputs.c.return', message: 'only one output can be the return value, already used by op.outputs.b' },
+    { path: 'op.outputs.d.return', message: 'expect a boolean but get "yes"' },
+    { path: 'op.outputs.b.return', message: 'type variable T of the return value can not be deduced from the parameters' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid call arguments', t => {
+  t.deepEqual(validateOpsMeta({
+    inputs: {
+      a: { shape: ['none', 'none', 'CV_8U'] }
+    },
+    outputs: {
+      b: { shape: ['none', 'none', 'CV_8U'] },
+      c: { shape: ['double'], return: true },
+      d: { shape: ['int'] }
+    },
+    attributes: {
+      e: { type: 'int' }
+    },
+    call: ['a', 'b', 'a', '', '{{c}}', 'Size({{e}}, {{x}})', '{{e}} * 2', 'nullptr', 'cv::BORDER_REFLECT',
+      { expr: 'nullptr', type: 'Mat*' }, { expr: 'nullptr' }]
+  }), [
+    { path: 'op.call[2]', message: 'a is already passed as call[0]' },
+    { path: 'op.call[3]', message: 'Invalid call argument: expect a non-empty string but get ""' },
+    { path: 'op.call[4]', message: 'c is the return value, it can not be passed to the function' },
+    { path: 'op.call[5]', message: 'x is not an input, output, inputoutput or attribute' },
+    { path: 'op.call[6]', message: 'can not tell the parameter type of {{e}} * 2, give it like {"expr":"{{e}} * 2","type":"int"}' },
+    { path: 'op.call[10]', message: 'Invalid call argument: expect a non-empty type string but get undefined' },
+    { path: 'op.outputs.d', message: 'not passed to the function by call' }
+  ]);
+  t.deepEqual(validateOpsMeta({ call: 'a' }), [{ path: 'op.call', message: 'expect an array of arguments' }]);
+  // The ids are still required without the call field
+  t.deepEqual(validateOpsMeta({ inputs: { a: { shape: ['int'] } } }), [
+    { path: 'op.inputs.a.id', message: 'missing required field' }
+  ]);
+});
+
+test('validateOpsMeta: report invalid includes, namespace and using-directives', t => {
+  t.deepEqual(validateOpsMeta(withChanges({
+    fnName: 'cv::GaussianBlur',
+    includes: ['opencv2/imgproc.hpp', '<vector>'],
+    usingDirectives: false
+  })), []);
+  t.deepEqual(validateOpsMeta(withChanges({ namespace: '' })), []);
+  t.deepEqual(validateOpsMeta(withChanges({ namespace: 'my::ns' })), []);
+  t.deepEqual(validateOpsMeta(withChanges({
+    fnName: 'cv::',
+    includes: ['a.hpp', '"b.hpp"', '', 1],
+    namespace: 'my ns',
+    usingDirectives: 'no'
+  })), [
+    { path: 'op.fnName', message: 'invalid C++ function name: cv::' },
+    { path: 'op.includes[1]', message: 'invalid header file: "\\"b.hpp\\""' },
+    { path: 'op.includes[2]', message: 'invalid header file: ""' },
+    { path: 'op.includes[3]', message: 'invalid header file: 1' },
+    { path: 'op.namespace', message: 'invalid C++ namespace: "my ns"' },
+    { path: 'op.usingDirectives', message: 'expect a boolean but get "no"' },
+    { path: 'op.namespace', message: 'can not be used with the fully qualified fnName cv::' }
+  ]);
+  t.deepEqual(validateOpsMeta(withChanges({ fnName: 'cv::blur', namespace: 'cv', includes: 'a.hpp' })), [
+    { path: 'op.includes', message: 'expect an array of header files' },
+    { path: 'op.namespace', message: 'can not be used with the fully qualified fnName cv::blur' }
+  ]);
+});
+
+test('validateConfig: report invalid project-wide settings', t => {
+  t.deepEqual(validateConfig({}), []);
+  t.deepEqual(validateConfig({ includes: ['common.hpp'], namespace: 'cv', usingDirectives: true }), []);
+  t.deepEqual(validateConfig([]), [{ path: 'config', message: 'expect an object' }]);
+  t.deepEqual(validateConfig({ namespaces: 'cv', fnName: 'f', usingDirectives: 1 }, 'project'), [
+    { path: 'project.namespaces', message: 'unknown field, did you mean "namespace"?' },
+    { path: 'project.fnName', message: 'unknown field' },
+    { path: 'project.usingDirectives', message: 'expect a boolean but get 1' }
+  ]);
+});
+
+test('validateOpsMetaList: report problems of all operations with index', t => {
+  t.deepEqual(validateOpsMetaList({}), [{ path: 'ops', message: 'expect an array of operations metadata' }]);
+  t.deepEqual(validateOpsMetaList([]), []);
+  t.deepEqual(validateOpsMetaList([
+    validOpsMeta,
+    withChanges({ device: 'GPU' }),
+    { inputs: { image: { id: 0, shape: ['none', 'none', 'none', 'CV_8UC5'] } } }
+  ]), [
+    { path: 'ops[1].device', message: 'expect one of DEVICE_CPU, DEVICE_GPU but get GPU' },
+    {
+      path: 'ops[2].inputs.image.shape[3]',
+      message: 'Invalid Data Cell format of channel: expect number between 1, 4 but get 5 from CV_8UC5'
+    }
+  ]);
+});
+
+test('assertNoErrors: throw an error listing all the problems', t => {
+  t.notThrows(() => assertNoErrors([]));
+  const errors = [
+    { path: 'ops[0].device', message: 'message 1' },
+    { path: 'ops[1].inputs.a.id', message: 'message 2' }
+  ];
+  const err = t.throws(() => assertNoErrors(errors),
+    'Invalid operations metadata format:\n  ops[0].device: message 1\n  ops[1].inputs.a.id: message 2');
+  t.deepEqual(err.errors, errors);
+});
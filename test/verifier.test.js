@@ -0,0 +1,120 @@
+import test from 'ava';
+
+import { findDeclarations, parseParam, compareParams } from '../lib/verifier';
+
+test('parseParam: parse type, qualifiers and name of parameter', t => {
+  t.deepEqual(parseParam('const std::vector<cv::Mat> &images'), {
+    name: 'images', type: 'vector<Mat>', isConst: true, isRef: true, text: 'const std::vector<cv::Mat> &images'
+  });
+  t.deepEqual(parseParam(' cv::Mat const& image '), {
+    name: 'image', type: 'Mat', isConst: true, isRef: true, text: 'cv::Mat const& image'
+  });
+  t.deepEqual(parseParam('std::vector< std::vector<float> >& points'), {
+    name: 'points', type: 'vector<vector<float>>', isConst: false, isRef: true,
+    text: 'std::vector< std::vector<float> >& points'
+  });
+  t.deepEqual(parseParam('int ksize = 3'), {
+    name: 'ksize', type: 'int', isConst: false, isRef: false, text: 'int ksize = 3'
+  });
+  t.deepEqual(parseParam('const cv::String& mode = "a=b"'), {
+    name: 'mode', type: 'string', isConst: true, isRef: true, text: 'const cv::String& mode = "a=b"'
+  });
+  t.deepEqual(parseParam('unsigned int'), {
+    name: undefined, type: 'unsigned int', isConst: false, isRef: false, text: 'unsigned int'
+  });
+  t.deepEqual(parseParam('Matx33f&'), {
+    name: undefined, type: 'Matx33f', isConst: false, isRef: true, text: 'Matx33f&'
+  });
+  t.deepEqual(parseParam('vector<const Mat*> mats'), {
+    name: 'mats', type: 'vector<const Mat*>', isConst: false, isRef: false, text: 'vector<const Mat*> mats'
+  });
+});
+
+test('findDeclarations: find all declarations of function', t => {
+  const source = `
+#include "opencv2/core.hpp"
+#define BLUR(x) blur(x)
+
+namespace pv {
+// void blur(int a);
+/* void blur(int b); */
+void blur(const cv::Mat& image,
+          cv::Mat& result, const std::string& mode = "a, b");
+cv::Mat blur(void);
+inline void blurTwice(const cv::Mat& image, cv::Mat& result) {
+  blur(image, result);
+  return blur(result, result);
+}
+void myblur(int c);
+}`;
+  const declarations = findDeclarations(source, 'blur');
+  t.is(declarations.length, 2);
+  t.deepEqual(declarations[0].map((param) => { return param.name; }), ['image', 'result', 'mode']);
+  t.deepEqual(declarations[1], []);
+  t.deepEqual(findDeclarations(source, 'notFound'), []);
+});
+
+test('compareParams: report mismatches in terms of spec field names', t => {
+  const expected = [
+    { id: 0, section: 'inputs', name: 'image', type: 'Mat', isConst: true, isRef: true },
+    { id: 1, section: 'outputs', name: 'points', type: 'vector<vector<Point>>', isConst: false, isRef: true },
+    { id: 2, section: 'inputoutputs', name: 'mask', type: 'Mat', isConst: false, isRef: true },
+    { id: 3, section: 'attributes', name: 'mode', type: 'string', isConst: true, isRef: true }
+  ];
+  const declare = (params) => { return params.map(parseParam); };
+
+  t.deepEqual(compareParams(expected,
+    declare(['const Mat& image', 'vector<vector<Point>>& points', 'Mat& mask', 'string mode'])), []);
+  t.deepEqual(compareParams(expected,
+    declare(['Mat image', 'vector<vector<Point>>& points', 'Mat& mask', 'const string& mode'])), []);
+
+  t.deepEqual(compareParams(expected,
+    declare(['const Matx33f& image', 'vector<Point>& points', 'const Mat& mask', 'int mode'])), [
+      { field: 'inputs.image', message: 'argument 1 expects type Mat but get Matx33f: const Matx33f& image' },
+      { field: 'outputs.points', message: 'argument 2 expects vector nesting depth 2 but get 1: vector<Point>& points' },
+      { field: 'inputoutputs.mask', message: 'argument 3 must be passed by non-const reference: const Mat& mask' },
+      { field: 'attributes.mode', message: 'argument 4 expects type string but get int: int mode' }
+    ]);
+
+  t.deepEqual(compareParams(expected, declare(['const Mat& image', 'Mat& mask', 'vector<vector<Point>>& points'])), [
+    { field: 'fnName', message: 'expect 4 arguments but get 3' },
+    { field: 'outputs.points', message: 'argument 2 is declared as mask, check the order of ids' },
+    { field: 'inputoutputs.mask', message: 'argument 3 is declared as points, check the order of ids' },
+    { field: 'attributes.mode', message: 'argument 4 is missing, expect const string& mode' }
+  ]);
+
+  t.deepEqual(compareParams(expected.slice(0, 1), declare(['const Mat& image', 'int extra'])), [
+    { field: 'fnName', message: 'expect 1 arguments but get 2' },
+    { field: 'fnName', message: 'argument 2 is not in the spec: int extra' }
+  ]);
+});
+
+test('compareParams: accept any type for untyped call arguments', t => {
+  const expected = [
+    { id: 0, section: 'inputs', name: 'src', type: 'Mat', isConst: true, isRef: true },
+    { section: 'call', name: 'arg1', type: undefined, isConst: false, isRef: false }
+  ];
+  const declare = (params) => { return params.map(parseParam); };
+
+  t.deepEqual(compareParams(expected, declare(['const Mat& src', 'int borderType'])), []);
+  t.deepEqual(compareParams(expected, declare(['const Mat& src'])), [
+    { field: 'fnName', message: 'expect 2 arguments but get 1' },
+    { field: 'call.arg1', message: 'argument 2 is missing, expect an argument for arg1' }
+  ]);
+});
+
+test('compareParams: compare Matx and Vec types no matter how they are spelled', t => {
+  const expected = [
+    { id: 0, section: 'inputs', name: 'kernel', type: 'Matx<float, 3, 3>', isConst: true, isRef: true },
+    { id: 1, section: 'outputs', name: 'colors', type: 'vector<Vec<uint8_t, 3>>', isConst: false, isRef: true }
+  ];
+  const declare = (params) => { return params.map(parseParam); };
+
+  t.deepEqual(compareParams(expected,
+    declare(['const cv::Matx<float, 3, 3>& kernel', 'std::vector< cv::Vec<uint8_t,3> >& colors'])), []);
+  t.deepEqual(compareParams(expected,
+    declare(['const cv::Matx<float, 3, 4>& kernel', 'vector<Vec<uint8_t, 3>>& colors'])), [
+      { field: 'inputs.kernel', message: 'argument 1 expects type Matx<float,3,3> but get Matx<float,3,4>: ' +
+                                         'const cv::Matx<float, 3, 4>& kernel' }
+    ]);
+});